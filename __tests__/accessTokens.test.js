@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../app');
+const { sequelize, Sport, AccessToken } = require('../models');
+const { loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Personal access tokens', () => {
+  let admin;
+  let player;
+  let session;
+
+  const issue = async (user, scope) => (await AccessToken.issue(user, { name: 'Script', scope })).token;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await createUser('Admin', 'admin@example.com', { role: 'admin' });
+    player = await createUser('Player', 'player@example.com');
+    const sport = await Sport.create({ name: 'Football', adminId: admin.id });
+    session = await createSession({ sport, creator: admin, venue: 'Park' });
+  });
+
+  it('should show a new token once and only store its hash', async () => {
+    const agent = await loginAs('player@example.com');
+    await agent.post('/auth/tokens').type('form').send({ name: 'Admin bot', scope: 'admin' });
+    expect(await AccessToken.count()).toBe(0);
+
+    await agent.post('/auth/tokens').type('form').send({ name: 'Team bot', scope: 'read' });
+    const page = await agent.get('/auth/settings');
+    const token = /value="(ssp_[0-9a-f]+)"/.exec(page.text)[1];
+
+    const stored = await AccessToken.findOne();
+    expect(stored.tokenHash).toBe(AccessToken.hashToken(token));
+    expect(stored.tokenHash).not.toContain(token);
+    expect(page.text).toContain('Team bot');
+
+    const reloaded = await agent.get('/auth/settings');
+    expect(reloaded.text).not.toContain(token);
+    expect(reloaded.text).toContain(stored.prefix);
+  });
+
+  it('should authenticate API requests with a bearer token', async () => {
+    const token = await issue(player, 'read');
+
+    const me = await request(app).get('/api/v1/me').set('Authorization', `Bearer ${token}`);
+    expect(me.body.data.email).toBe('player@example.com');
+    expect((await AccessToken.findOne()).lastUsedAt).not.toBeNull();
+
+    const wrong = await request(app).get('/api/v1/me').set('Authorization', 'Bearer ssp_nope');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error.code).toBe('unauthorized');
+  });
+
+  it('should stop working once revoked', async () => {
+    const token = await issue(player, 'read');
+    const accessToken = await AccessToken.findOne();
+
+    const agent = await loginAs('admin@example.com');
+    await agent.post(`/auth/tokens/${accessToken.id}/revoke`);
+    await accessToken.reload();
+    expect(accessToken.isRevoked()).toBe(false);
+
+    const owner = await loginAs('player@example.com');
+    await owner.post(`/auth/tokens/${accessToken.id}/revoke`);
+
+    const response = await request(app).get('/api/v1/me').set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(401);
+  });
+
+  it('should limit what each scope can change', async () => {
+    const readToken = await issue(player, 'read');
+    const denied = await request(app).post(`/api/v1/sessions/${session.id}/join`).set('Authorization', `Bearer ${readToken}`);
+    expect(denied.status).toBe(403);
+    expect(await session.hasUserJoined(player.id)).toBe(false);
+
+    const writeToken = await issue(player, 'sessions:write');
+    const joined = await request(app).post(`/api/v1/sessions/${session.id}/join`).set('Authorization', `Bearer ${writeToken}`);
+    expect(joined.body.data).toEqual({ status: 'joined' });
+
+    const settings = await request(app).put('/auth/settings').set('Authorization', `Bearer ${writeToken}`).send({ timeZone: 'UTC' });
+    expect(settings.status).toBe(403);
+    await player.reload();
+    expect(player.timeZone).toBeNull();
+  });
+
+  it('should need an admin token for admin pages', async () => {
+    const sessionsToken = await issue(admin, 'sessions:write');
+    const denied = await request(app).get('/admin/dashboard').set('Authorization', `Bearer ${sessionsToken}`);
+    expect(denied.status).toBe(302);
+
+    const adminToken = await issue(admin, 'admin');
+    const allowed = await request(app).get('/admin/dashboard').set('Authorization', `Bearer ${adminToken}`);
+    expect(allowed.status).toBe(200);
+
+    await expect(AccessToken.issue(player, { name: 'Sneaky', scope: 'admin' })).rejects.toThrow('Only admins can create admin tokens');
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../app');
+const { sequelize, Sport, Session } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('JSON API', () => {
+  let creator;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({ sport, creator, venue: 'Park', ...attributes });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    await createUser('Player 1', 'player1@example.com');
+    await createUser('Player 2', 'player2@example.com');
+    sport = await Sport.create({ name: 'Football', adminId: creator.id });
+  });
+
+  it('should answer with JSON errors and describe the signed in user', async () => {
+    const anonymous = await request(app).get('/api/v1/me');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.error.code).toBe('unauthorized');
+
+    const agent = await loginAs('player1@example.com');
+    const me = await agent.get('/api/v1/me');
+    expect(me.body.data).toMatchObject({ name: 'Player 1', email: 'player1@example.com', role: 'player' });
+
+    const sports = await agent.get('/api/v1/sports');
+    expect(sports.body.data).toEqual([{ id: sport.id, name: 'Football' }]);
+
+    expect((await agent.get('/api/v1/sports/999')).status).toBe(404);
+    expect((await agent.get('/api/v1/nothing-here')).body.error.code).toBe('not_found');
+  });
+
+  it('should list browsable sessions with filters and pagination', async () => {
+    const tennis = await Sport.create({ name: 'Tennis', adminId: creator.id });
+    for (const days of [0, 1, 2]) {
+      await schedule({ date: futureDate(days) });
+    }
+    await schedule({ sportId: tennis.id, minSkillLevel: 3 });
+    await schedule({ visibility: 'invite_only' });
+
+    const agent = await loginAs('player1@example.com');
+    const firstPage = await agent.get(`/api/v1/sessions?sport=${sport.id}&perPage=2`);
+    expect(firstPage.body.data.map(session => session.date)).toEqual([futureDate(), futureDate(1)]);
+    expect(firstPage.body.pagination).toEqual({ page: 1, perPage: 2, total: 3, totalPages: 2 });
+
+    const beginners = await agent.get('/api/v1/sessions?level=1');
+    expect(beginners.body.data.every(session => session.sport.name === 'Football')).toBe(true);
+
+    const invalid = await agent.get('/api/v1/sessions?perPage=500');
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.error.details[0].field).toBe('perPage');
+  });
+
+  it('should leave sessions that have already ended out of the list and the browse page', async () => {
+    await schedule({ date: '2020-01-05', venue: 'Old Park' });
+    const finishedToday = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await schedule({
+      date: finishedToday.toISOString().split('T')[0],
+      time: finishedToday.toISOString().substring(11, 16),
+      timeZone: 'UTC',
+      durationMinutes: 60,
+      venue: 'Earlier Park'
+    });
+    await schedule({ date: futureDate() });
+
+    const agent = await loginAs('player1@example.com');
+    const response = await agent.get('/api/v1/sessions');
+    expect(response.body.data.map(session => session.date)).toEqual([futureDate()]);
+    expect(response.body.pagination).toEqual({ page: 1, perPage: 10, total: 1, totalPages: 1 });
+
+    const page = await agent.get('/player/sessions');
+    expect(page.text).toContain('Park');
+    expect(page.text).not.toContain('Old Park');
+    expect(page.text).not.toContain('Earlier Park');
+  });
+
+  it('should create sessions with the same validation as the web form', async () => {
+    const agent = await loginAs('creator@example.com');
+
+    const invalid = await agent.post('/api/v1/sessions').send({ sportId: sport.id, date: '2020-01-01', time: '25:00', playersNeeded: 0 });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.error.details.map(detail => detail.field)).toEqual(
+      expect.arrayContaining(['date', 'time', 'venue', 'playersNeeded'])
+    );
+    expect(await Session.count()).toBe(0);
+
+    const created = await agent.post('/api/v1/sessions').send({
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:00',
+      venue: 'Park',
+      playersNeeded: 10,
+      repeat: 'weekly',
+      repeatInterval: 1,
+      repeatDays: [0],
+      repeatEnd: 'count',
+      repeatCount: 3
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data.map(session => session.date)).toEqual([futureDate(), futureDate(7), futureDate(14)]);
+    expect(created.body.data[0]).toMatchObject({ time: '18:00', venue: 'Park', creator: { id: creator.id }, availableSlots: 10 });
+  });
+
+  it('should let organizers update and cancel their sessions', async () => {
+    const session = await schedule();
+
+    const player = await loginAs('player1@example.com');
+    const forbidden = await player.patch(`/api/v1/sessions/${session.id}`).send({ playersNeeded: 4 });
+    expect(forbidden.status).toBe(403);
+
+    const agent = await loginAs('creator@example.com');
+    const updated = await agent.patch(`/api/v1/sessions/${session.id}`).send({ playersNeeded: 4, time: '19:30' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data[0]).toMatchObject({ playersNeeded: 4, time: '19:30', venue: 'Park', date: futureDate() });
+
+    const tooShort = await agent.post(`/api/v1/sessions/${session.id}/cancel`).send({ reason: 'Rain' });
+    expect(tooShort.status).toBe(422);
+
+    const cancelled = await agent.post(`/api/v1/sessions/${session.id}/cancel`).send({ reason: 'The pitch is flooded' });
+    expect(cancelled.body.data[0]).toMatchObject({ status: 'cancelled', cancellationReason: 'The pitch is flooded' });
+
+    const again = await agent.post(`/api/v1/sessions/${session.id}/cancel`).send({ reason: 'The pitch is flooded' });
+    expect(again.status).toBe(409);
+  });
+
+  it('should join, waitlist and leave sessions', async () => {
+    const session = await schedule({ playersNeeded: 1 });
+
+    const first = await loginAs('player1@example.com');
+    expect((await first.post(`/api/v1/sessions/${session.id}/join`).send({ guests: 2 })).status).toBe(409);
+    expect((await first.post(`/api/v1/sessions/${session.id}/join`)).body.data).toEqual({ status: 'joined' });
+    expect((await first.post(`/api/v1/sessions/${session.id}/join`)).body.error.message).toBe('You have already joined this session');
+
+    const second = await loginAs('player2@example.com');
+    expect((await second.post(`/api/v1/sessions/${session.id}/join`)).body.data).toEqual({ status: 'waitlisted', position: 1 });
+
+    expect((await first.post(`/api/v1/sessions/${session.id}/leave`)).body.data).toEqual({ status: 'left' });
+    const mine = await second.get('/api/v1/me/sessions');
+    expect(mine.body.data.map(joined => [joined.id, joined.joined])).toEqual([[session.id, true]]);
+
+    expect((await first.post(`/api/v1/sessions/${session.id}/leave`)).status).toBe(409);
+  });
+});
@@ -0,0 +1,94 @@
+const { sequelize, UserSession } = require('../models');
+const { futureDate, loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Attendance tracking', () => {
+  let creator;
+  let players;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    date: '2020-01-06',
+    timeZone: 'UTC',
+    playersNeeded: 6,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ creator, players, sport } = await createFixtures());
+  });
+
+  it('should compute reliability from marked sessions only', async () => {
+    const sessions = await Promise.all([1, 2, 3, 4, 5].map(day => schedule({ date: `2020-01-0${day}` })));
+    for (const session of sessions) {
+      await session.addPlayer(players[0]);
+    }
+    const marks = ['attended', 'attended', 'attended', 'no_show', null];
+    for (const [index, attendance] of marks.entries()) {
+      await UserSession.update({ attendance }, { where: { sessionId: sessions[index].id, userId: players[0].id } });
+    }
+
+    const reliability = await players[0].getReliability();
+    expect(reliability).toMatchObject({ attended: 3, no_show: 1, late_cancel: 0, marked: 4, reliability: 75 });
+    expect((await players[1].getReliability()).reliability).toBeNull();
+  });
+
+  it('should let the organizer mark attendance on the join record', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/attendance`).type('form').send({
+      playerIds: [players[0].id, players[1].id],
+      attendance: ['attended', 'late_cancel']
+    });
+
+    const records = await UserSession.findAll({ where: { sessionId: session.id }, order: [['userId', 'ASC']] });
+    expect(records.map(record => record.attendance)).toEqual(['attended', 'late_cancel']);
+    expect(records[0].attendanceMarkedAt).not.toBeNull();
+  });
+
+  it('should not let other players or upcoming sessions be marked', async () => {
+    const past = await schedule();
+    const upcoming = await schedule({ date: futureDate() });
+    await past.addPlayers(players);
+    await upcoming.addPlayers(players);
+
+    const playerAgent = await loginAs('player1@example.com');
+    await playerAgent.post(`/sessions/${past.id}/attendance`).type('form').send({ playerIds: [players[1].id], attendance: ['no_show'] });
+
+    const creatorAgent = await loginAs('creator@example.com');
+    await creatorAgent.post(`/sessions/${upcoming.id}/attendance`).type('form').send({ playerIds: [players[1].id], attendance: ['no_show'] });
+
+    expect(await UserSession.count({ where: { attendance: 'no_show' } })).toBe(0);
+  });
+
+  it('should show reliability on profiles and in reports', async () => {
+    const session = await schedule({ date: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0] });
+    await session.addPlayer(players[0]);
+    await UserSession.update({ attendance: 'no_show' }, { where: { sessionId: session.id } });
+    await creator.update({ role: 'admin' });
+
+    const agent = await loginAs('creator@example.com');
+    const profile = await agent.get(`/player/profile/${players[0].id}`);
+    expect(profile.status).toBe(200);
+    expect(profile.text).toContain('0%');
+    expect(profile.text).toContain('No-show');
+
+    const reports = await agent.get('/admin/reports');
+    expect(reports.status).toBe(200);
+    expect(reports.text).toContain('Player Reliability');
+    expect(reports.text).toContain('Player 1');
+  });
+});
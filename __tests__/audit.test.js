@@ -0,0 +1,165 @@
+const { sequelize, Sport, Session, AuditLog } = require('../models');
+const { futureDate, loginAs, createUser } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Audit log', () => {
+  let admin;
+  let organizer;
+  let sport;
+  let session;
+
+  const sessionForm = (changes = {}) => ({
+    sportId: sport.id,
+    date: futureDate(),
+    time: '18:00',
+    venue: 'Park',
+    playersNeeded: 10,
+    ...changes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await createUser('Admin', 'admin@example.com', { role: 'admin' });
+    organizer = await createUser('Organizer', 'organizer@example.com');
+    sport = await Sport.create({ name: 'Football', adminId: admin.id });
+    session = await Session.create({ ...sessionForm(), creatorId: organizer.id });
+  });
+
+  it('should record who changed a session and the values before and after', async () => {
+    const agent = await loginAs('organizer@example.com');
+    await agent.put(`/sessions/${session.id}`).type('form').send(sessionForm({ time: '19:30', venue: 'Main Hall' }));
+    await agent.put(`/sessions/${session.id}`).type('form').send(sessionForm({ time: '19:30', venue: 'Main Hall' }));
+
+    const entries = await AuditLog.findAll();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      actorId: organizer.id,
+      action: 'session.updated',
+      entityType: 'session',
+      entityId: session.id
+    });
+    expect(entries[0].changes).toEqual({
+      time: { from: '18:00', to: '19:30' },
+      venue: { from: 'Park', to: 'Main Hall' }
+    });
+  });
+
+  it('should record changes through the update fallback and cancellations', async () => {
+    const basketball = await Sport.create({ name: 'Basketball', adminId: admin.id });
+
+    const agent = await loginAs('organizer@example.com');
+    await agent.post(`/sessions/${session.id}/update`).type('form').send(sessionForm({ sportId: basketball.id }));
+    await agent.post(`/sessions/${session.id}/cancel`).type('form').send({ reason: 'The hall is closed' });
+
+    const entries = await AuditLog.findAll({ order: [['id', 'ASC']] });
+    expect(entries.map(entry => entry.action)).toEqual(['session.updated', 'session.cancelled']);
+    expect(entries[0].changes).toEqual({ sport: { from: 'Football', to: 'Basketball' } });
+    expect(entries[1].getChangeList()).toEqual([
+      { field: 'status', label: 'Status', from: 'active', to: 'cancelled' },
+      { field: 'cancellationReason', label: 'Reason', from: 'none', to: 'The hall is closed' }
+    ]);
+  });
+
+  it('should not keep a change whose entry could not be written', async () => {
+    const failure = jest.spyOn(AuditLog, 'record').mockRejectedValueOnce(new Error('Connection lost'));
+
+    const agent = await loginAs('organizer@example.com');
+    await agent.put(`/sessions/${session.id}`).type('form').send(sessionForm({ venue: 'Main Hall' }));
+    failure.mockRestore();
+
+    await session.reload();
+    expect(session.venue).toBe('Park');
+    expect(await AuditLog.count()).toBe(0);
+
+    await agent.post(`/sessions/${session.id}/cancel`).type('form').send({ reason: 'The hall is closed' });
+    await session.reload();
+    expect(session.status).toBe('cancelled');
+    expect(await AuditLog.count()).toBe(1);
+  });
+
+  it('should record sport renames by admins', async () => {
+    const agent = await loginAs('admin@example.com');
+    await agent.put(`/admin/sports/${sport.id}`).type('form').send({ name: 'Football' });
+    expect(await AuditLog.count()).toBe(0);
+
+    await agent.put(`/admin/sports/${sport.id}`).type('form').send({ name: 'Soccer' });
+    const entry = await AuditLog.findOne();
+    expect(entry).toMatchObject({ actorId: admin.id, action: 'sport.updated', entityType: 'sport', entityId: sport.id });
+    expect(entry.changes).toEqual({ name: { from: 'Football', to: 'Soccer' } });
+  });
+
+  it('should never change or delete entries', async () => {
+    const entry = await AuditLog.record({
+      actor: admin,
+      action: 'sport.updated',
+      entityType: 'sport',
+      entityId: sport.id,
+      changes: { name: { from: 'Football', to: 'Soccer' } }
+    });
+
+    await expect(entry.update({ action: 'session.updated' })).rejects.toThrow('Audit log entries cannot be changed or deleted');
+    await expect(entry.destroy()).rejects.toThrow('Audit log entries cannot be changed or deleted');
+    await expect(AuditLog.destroy({ where: {} })).rejects.toThrow('Audit log entries cannot be changed or deleted');
+    expect(await AuditLog.count()).toBe(1);
+  });
+
+  it('should let admins search the log and show it on the session page', async () => {
+    const organizerAgent = await loginAs('organizer@example.com');
+    await organizerAgent.put(`/sessions/${session.id}`).type('form').send(sessionForm({ venue: 'Riverside Courts' }));
+    const adminAgent = await loginAs('admin@example.com');
+    await adminAgent.put(`/admin/sports/${sport.id}`).type('form').send({ name: 'Soccer' });
+
+    const page = await organizerAgent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('id="history"');
+    expect(page.text).toContain('Riverside Courts');
+
+    const denied = await organizerAgent.get('/admin/audit');
+    expect(denied.status).toBe(302);
+
+    const all = await adminAgent.get('/admin/audit');
+    expect(all.text).toContain('2 entries');
+
+    const byValue = await adminAgent.get('/admin/audit?q=riverside');
+    expect(byValue.text).toContain('1 entry');
+    expect(byValue.text).toContain(`Session #${session.id}`);
+
+    const byActor = await adminAgent.get('/admin/audit?q=Admin&entityType=sport');
+    expect(byActor.text).toContain('1 entry');
+    expect(byActor.text).toContain('Soccer');
+
+    const byAction = await adminAgent.get('/admin/audit?action=session.cancelled');
+    expect(byAction.text).toContain('No changes match these filters.');
+  });
+
+  it('should show and filter entries by day in the viewer\'s time zone', async () => {
+    await organizer.update({ timeZone: 'Asia/Tokyo' });
+    await admin.update({ timeZone: 'America/New_York' });
+    const [entry] = await AuditLog.bulkCreate([{
+      actorId: organizer.id,
+      action: 'session.updated',
+      entityType: 'session',
+      entityId: session.id,
+      changes: { venue: { from: 'Park', to: 'Main Hall' } },
+      createdAt: new Date('2030-01-03T02:30:00Z')
+    }]);
+    expect(entry.getTimestampLabel('Asia/Tokyo')).toBe('Thu, Jan 3, 2030 11:30');
+
+    const organizerAgent = await loginAs('organizer@example.com');
+    const page = await organizerAgent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('Thu, Jan 3, 2030 11:30');
+
+    const adminAgent = await loginAs('admin@example.com');
+    const log = await adminAgent.get('/admin/audit');
+    expect(log.text).toContain('Wed, Jan 2, 2030 21:30');
+    expect((await adminAgent.get('/admin/audit?startDate=2030-01-02&endDate=2030-01-02')).text).toContain('1 entry');
+    expect((await adminAgent.get('/admin/audit?startDate=2030-01-03&endDate=2030-01-03')).text).toContain('No changes match these filters.');
+  });
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../app');
+const { buildCalendar, escapeText, foldLine } = require('../services/ical');
+const { sequelize, Sport, Session } = require('../models');
+const { futureDate, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('iCalendar writer', () => {
+  it('should escape special characters in text values', () => {
+    expect(escapeText('Court 3, North; bring\nwater')).toBe('Court 3\\, North\\; bring\\nwater');
+  });
+
+  it('should fold lines longer than 75 octets', () => {
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toHaveLength(75);
+    expect(lines[1].startsWith(' ')).toBe(true);
+  });
+
+  it('should mark cancelled sessions', () => {
+    const session = Session.build({
+      id: 4,
+      date: '2030-01-06',
+      time: '18:30:00',
+      timeZone: 'UTC',
+      venue: 'Court 3',
+      playersNeeded: 10,
+      status: 'cancelled',
+      cancellationReason: 'Rain'
+    });
+    session.sport = Sport.build({ name: 'Futsal' });
+
+    const calendar = buildCalendar([session], { host: 'example.com' });
+
+    expect(calendar).toContain('UID:session-4@example.com');
+    expect(calendar).toContain('DTSTART:20300106T183000Z');
+    expect(calendar).toContain('SUMMARY:Cancelled: Futsal');
+    expect(calendar).toContain('STATUS:CANCELLED');
+  });
+
+  it('should write start times in UTC', () => {
+    const session = Session.build({
+      id: 5,
+      date: '2030-07-06',
+      time: '18:30:00',
+      timeZone: 'Europe/London',
+      venue: 'Court 3',
+      playersNeeded: 10
+    });
+
+    expect(buildCalendar([session])).toContain('DTSTART:20300706T173000Z');
+  });
+
+  it('should end events after the session duration', () => {
+    const session = Session.build({
+      id: 6,
+      date: '2030-01-06',
+      time: '18:30:00',
+      timeZone: 'UTC',
+      durationMinutes: 90,
+      venue: 'Court 3',
+      playersNeeded: 10
+    });
+
+    const calendar = buildCalendar([session]);
+    expect(calendar).toContain('DTEND:20300106T200000Z');
+    expect(calendar).toContain('SEQUENCE:0');
+  });
+});
+
+describe('Calendar feed', () => {
+  let player;
+  let session;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    const creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    const sport = await Sport.create({ name: 'Cricket', adminId: creator.id });
+    session = await createSession({ sport, creator, time: '09:00', venue: 'Oval' });
+    await session.addPlayer(player);
+    await createSession({ sport, creator, date: futureDate(1), time: '09:00', venue: 'Park' });
+  });
+
+  it('should list only the sessions a user joined or created', async () => {
+    const token = await player.getCalendarToken();
+    const response = await request(app).get(`/calendar/feed/${token}.ics`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/calendar');
+    expect(response.text).toContain(`UID:session-${session.id}@`);
+    expect(response.text).toContain('LOCATION:Oval');
+    expect(response.text).not.toContain('LOCATION:Park');
+  });
+
+  it('should reflect cancellations on the next fetch', async () => {
+    const token = await player.getCalendarToken();
+    await session.cancelSession('Pitch waterlogged');
+
+    const response = await request(app).get(`/calendar/feed/${token}.ics`);
+    expect(response.text).toContain('STATUS:CANCELLED');
+    expect(response.text).toContain('SEQUENCE:1');
+  });
+
+  it('should bump the sequence when the time or venue changes', async () => {
+    const token = await player.getCalendarToken();
+    await session.update({ playersNeeded: 12 });
+    expect(session.calendarSequence).toBe(0);
+
+    await session.update({ time: '10:30', venue: 'Main Oval' });
+    await session.update({ venue: 'North Oval' });
+
+    const response = await request(app).get(`/calendar/feed/${token}.ics`);
+    expect(response.text).toContain('SEQUENCE:2');
+    expect(response.text).toContain(`DTSTART:${futureDate().replace(/-/g, '')}T103000Z`);
+    expect(response.text).toMatch(/LAST-MODIFIED:\d{8}T\d{6}Z/);
+  });
+
+  it('should stop serving a feed once its token is regenerated', async () => {
+    const oldToken = await player.getCalendarToken();
+    await player.regenerateCalendarToken();
+
+    const response = await request(app).get(`/calendar/feed/${oldToken}.ics`);
+    expect(response.status).toBe(404);
+  });
+});
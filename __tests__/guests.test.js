@@ -0,0 +1,94 @@
+const { sequelize, Session, UserSession } = require('../models');
+const { futureDate, loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Guest spots', () => {
+  let creator;
+  let players;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    playersNeeded: 4,
+    maxGuestsPerPlayer: 2,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ creator, players, sport } = await createFixtures({ playerCount: 3 }));
+  });
+
+  it('should count guests against capacity', async () => {
+    const session = await schedule();
+
+    const agent = await loginAs('player1@example.com');
+    await agent.post(`/player/sessions/${session.id}/join`).type('form').send({ guests: 2 });
+
+    const record = await UserSession.findOne({ where: { sessionId: session.id, userId: players[0].id } });
+    expect(record.guests).toBe(2);
+    expect(await session.countHeadcount()).toBe(3);
+    expect(await session.getAvailableSlots()).toBe(1);
+    expect(await Session.countPlayersFor([session.id])).toEqual({ [session.id]: 3 });
+
+    expect((await session.reserveSlot(players[1].id)).status).toBe('joined');
+    expect(await session.isFull()).toBe(true);
+  });
+
+  it('should not allow more guests than the session permits', async () => {
+    const session = await schedule({ maxGuestsPerPlayer: 1 });
+
+    await expect(session.reserveSlot(players[0].id, { guests: 2 }))
+      .rejects.toThrow('You can bring at most 1 guest to this session');
+    await expect((await schedule({ maxGuestsPerPlayer: 0 })).reserveSlot(players[0].id, { guests: 1 }))
+      .rejects.toThrow('This session does not allow guests');
+  });
+
+  it('should waitlist a party that no longer fits and promote it as a whole', async () => {
+    const session = await schedule({ playersNeeded: 3 });
+    await session.reserveSlot(players[0].id, { guests: 1 });
+
+    const outcome = await session.reserveSlot(players[1].id, { guests: 1 });
+    expect(outcome).toEqual({ status: 'waitlisted', position: 1 });
+    await session.reserveSlot(players[2].id);
+    expect(await session.countHeadcount()).toBe(3);
+
+    await session.update({ playersNeeded: 5 });
+    const promoted = await session.promoteFromWaitlist();
+
+    expect(promoted.map(user => user.id)).toEqual([players[1].id]);
+    expect(await session.countHeadcount()).toBe(5);
+  });
+
+  it('should not let capacity drop below players plus guests', async () => {
+    const session = await schedule();
+    await session.reserveSlot(players[0].id, { guests: 2 });
+
+    const agent = await loginAs('creator@example.com');
+    const response = await agent.put(`/sessions/${session.id}`).type('form').send({
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:00',
+      venue: 'Court 3',
+      playersNeeded: 2,
+      maxGuestsPerPlayer: 2
+    });
+
+    expect(response.headers.location).toBe(`/sessions/${session.id}/edit`);
+    await session.reload();
+    expect(session.playersNeeded).toBe(4);
+
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('3 of 4 players joined');
+    expect(page.text).toContain('+2');
+  });
+});
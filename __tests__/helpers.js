@@ -0,0 +1,69 @@
+const request = require('supertest');
+const app = require('../app');
+const { User, Sport, Session } = require('../models');
+
+// Fixtures shared by the suites: signed-in agents, the usual users and
+// sport, and sessions dated relative to today so they stay in the future.
+
+const PASSWORD = 'password123';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The first Sunday at least 60 days from today. Test dates are offsets from
+// it, so they keep their weekday and never slip into the past.
+const BASE_DATE = (() => {
+  const date = new Date(Date.now() + 60 * DAY_MS);
+  date.setUTCDate(date.getUTCDate() + (7 - date.getUTCDay()) % 7);
+  return date.toISOString().split('T')[0];
+})();
+
+// BASE_DATE moved by `days`, as YYYY-MM-DD
+const futureDate = (days = 0) => {
+  return new Date(Date.parse(`${BASE_DATE}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+const loginAs = async (email) => {
+  const agent = request.agent(app);
+  await agent.post('/auth/login').type('form').send({ email, password: PASSWORD });
+  return agent;
+};
+
+const createUser = (name, email, attributes = {}) => {
+  return User.createUser({ name, email, password: PASSWORD, ...attributes });
+};
+
+// The organizer (creator@example.com), `playerCount` players named
+// "Player 1" and so on at player1@example.com..., and a sport the organizer
+// runs. Most suites start from these.
+const createFixtures = async ({ sportName = 'Futsal', playerCount = 2, creatorRole = 'player' } = {}) => {
+  const creator = await createUser('Creator', 'creator@example.com', { role: creatorRole });
+  const players = [];
+  for (let n = 1; n <= playerCount; n++) {
+    players.push(await createUser(`Player ${n}`, `player${n}@example.com`));
+  }
+  const sport = await Sport.create({ name: sportName, adminId: creator.id });
+  return { creator, players, sport };
+};
+
+// A session of `sport` run by `creator` on BASE_DATE at 18:00, unless the
+// other attributes say otherwise.
+const createSession = ({ sport, creator, ...attributes }) => {
+  return Session.create({
+    sportId: sport.id,
+    creatorId: creator.id,
+    date: futureDate(),
+    time: '18:00',
+    venue: 'Court 3',
+    playersNeeded: 10,
+    ...attributes
+  });
+};
+
+module.exports = {
+  PASSWORD,
+  BASE_DATE,
+  futureDate,
+  loginAs,
+  createUser,
+  createFixtures,
+  createSession
+};
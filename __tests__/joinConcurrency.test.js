@@ -0,0 +1,94 @@
+const { sequelize, Session, WaitlistEntry } = require('../models');
+const sessionActions = require('../services/sessionActions');
+const { futureDate, loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Concurrent joins and leaves', () => {
+  let creator;
+  let players;
+  let session;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    let sport;
+    ({ creator, players, sport } = await createFixtures({ playerCount: 6 }));
+    session = await createSession({ sport, creator, playersNeeded: 2 });
+  });
+
+  it('should never overbook when everyone reserves at once', async () => {
+    const outcomes = await Promise.all(players.map(player => session.reserveSlot(player.id)));
+
+    expect(outcomes.filter(outcome => outcome.status === 'joined')).toHaveLength(2);
+    const positions = outcomes
+      .filter(outcome => outcome.status === 'waitlisted')
+      .map(outcome => outcome.position)
+      .sort();
+    expect(positions).toEqual([1, 2, 3, 4]);
+    expect(await session.countPlayers()).toBe(2);
+  });
+
+  it('should reject the losers of a race for the last slot', async () => {
+    const results = await Promise.allSettled(players.map(player => session.addPlayerToSession(player.id)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    for (const result of results.filter(result => result.status === 'rejected')) {
+      expect(result.reason.message).toBe('Session is full');
+    }
+    expect(await session.countPlayers()).toBe(2);
+    expect(await WaitlistEntry.count()).toBe(0);
+  });
+
+  it('should hand a freed slot to the waitlist even while others join', async () => {
+    await session.addPlayers([players[0], players[1]]);
+    await session.addToWaitlist(players[2].id);
+
+    const [left, joined] = await Promise.all([
+      session.releaseSlot(players[0].id),
+      session.reserveSlot(players[3].id)
+    ]);
+
+    expect(left.status).toBe('left');
+    expect(joined.status).toBe('waitlisted');
+    const playerIds = (await session.getPlayers()).map(player => player.id).sort();
+    expect(playerIds).toEqual([players[1].id, players[2].id]);
+    expect(await session.getWaitlistPosition(players[3].id)).toBe(1);
+  });
+
+  it('should not lower capacity below players who join during the edit', async () => {
+    await session.update({ playersNeeded: 4 });
+    await session.addPlayer(players[0]);
+    const editing = await Session.findByPk(session.id, { include: ['players'] });
+    const form = { sportId: session.sportId, date: futureDate(), time: '18:00', venue: 'Court 3', playersNeeded: 2 };
+
+    const [edit] = await Promise.all([
+      sessionActions.updateSessions(editing, creator, form),
+      session.reserveSlot(players[1].id),
+      session.reserveSlot(players[2].id)
+    ]);
+
+    await session.reload();
+    expect(await session.countHeadcount()).toBeLessThanOrEqual(session.playersNeeded);
+    expect(session.playersNeeded).toBe(edit.error ? 4 : 2);
+  });
+
+  it('should keep parallel join requests within capacity', async () => {
+    const agents = [];
+    for (const player of players) {
+      agents.push(await loginAs(player.email));
+    }
+
+    const responses = await Promise.all(agents.map(agent => agent.post(`/player/sessions/${session.id}/join`)));
+
+    expect(responses.every(response => response.headers.location === '/player/dashboard')).toBe(true);
+    expect(await session.countPlayers()).toBe(2);
+    expect(await WaitlistEntry.count({ where: { sessionId: session.id } })).toBe(4);
+  });
+});
@@ -0,0 +1,148 @@
+const { sequelize, Sport, Session, League, LeagueMember, MatchResult } = require('../models');
+const { roundRobin, buildStandings } = require('../services/leagues');
+const { futureDate, loginAs, createUser } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Leagues', () => {
+  let creator;
+  let sport;
+
+  const createLeague = async (names) => {
+    const league = await League.create({ sportId: sport.id, creatorId: creator.id, name: 'Winter League' });
+    for (const name of names) {
+      await LeagueMember.create({ leagueId: league.id, name });
+    }
+    return league;
+  };
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    await createUser('Player One', 'player1@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+  });
+
+  it('should pair every member with every other once per leg', () => {
+    const rounds = roundRobin([1, 2, 3, 4, 5]);
+    expect(rounds).toHaveLength(5);
+    rounds.forEach(pairs => expect(pairs).toHaveLength(2));
+
+    const meetings = rounds.flat().map(pair => [...pair].sort().join('-'));
+    expect(new Set(meetings).size).toBe(10);
+
+    const twoLegs = roundRobin([1, 2, 3, 4], { legs: 2 });
+    expect(twoLegs).toHaveLength(6);
+    expect(twoLegs[3]).toEqual(twoLegs[0].map(([home, away]) => [away, home]));
+  });
+
+  it('should rank by points, then score difference', () => {
+    const standings = buildStandings([1, 2, 3], [
+      { homeId: 1, awayId: 2, homeScore: 1, awayScore: 0, winner: 'home' },
+      { homeId: 2, awayId: 3, homeScore: 1, awayScore: 0, winner: 'home' },
+      { homeId: 3, awayId: 1, homeScore: 1, awayScore: 0, winner: 'home' }
+    ]);
+    expect(standings.map(row => row.points)).toEqual([3, 3, 3]);
+
+    const decided = buildStandings([1, 2, 3], [
+      { homeId: 1, awayId: 2, homeScore: 2, awayScore: 2, winner: 'draw' },
+      { homeId: 2, awayId: 3, homeScore: 3, awayScore: 0, winner: 'home' },
+      { homeId: 3, awayId: 1, homeScore: null, awayScore: null, winner: 'away' }
+    ]);
+    expect(decided.map(row => [row.memberId, row.points])).toEqual([[2, 4], [1, 4], [3, 0]]);
+    expect(decided[0].difference).toBe(3);
+  });
+
+  it('should let a player create a league and add teams and players', async () => {
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sports/${sport.id}/leagues`).type('form').send({ name: 'Spring League' });
+
+    const league = await League.findOne();
+    expect(league.name).toBe('Spring League');
+    expect(league.creatorId).toBe(creator.id);
+
+    await agent.post(`/sports/${sport.id}/leagues/${league.id}/members`).type('form').send({ name: 'Red Lions' });
+    await agent.post(`/sports/${sport.id}/leagues/${league.id}/members`).type('form').send({ email: 'player1@example.com' });
+
+    const members = await LeagueMember.findAll({ order: [['name', 'ASC']] });
+    expect(members.map(member => member.name)).toEqual(['Player One', 'Red Lions']);
+    expect(members[0].userId).not.toBeNull();
+
+    const outsider = await loginAs('player1@example.com');
+    await outsider.post(`/sports/${sport.id}/leagues/${league.id}/members`).type('form').send({ name: 'Blue Sharks' });
+    expect(await LeagueMember.count()).toBe(2);
+  });
+
+  it('should schedule the fixtures as sessions once and lock the members', async () => {
+    const league = await createLeague(['Red Lions', 'Blue Sharks', 'Green Geckos', 'Gold Eagles']);
+
+    const agent = await loginAs('creator@example.com');
+    const schedule = {
+      startDate: futureDate(),
+      time: '18:00',
+      timeZone: 'UTC',
+      venue: 'Court 3',
+      playersNeeded: 10,
+      daysBetweenRounds: 7
+    };
+    await agent.post(`/sports/${sport.id}/leagues/${league.id}/fixtures`).type('form').send(schedule);
+    await agent.post(`/sports/${sport.id}/leagues/${league.id}/fixtures`).type('form').send(schedule);
+
+    const fixtures = await Session.findAll({ where: { leagueId: league.id }, order: [['round', 'ASC']] });
+    expect(fixtures).toHaveLength(6);
+    expect(fixtures.map(fixture => fixture.date)).toEqual([
+      futureDate(), futureDate(), futureDate(7), futureDate(7), futureDate(14), futureDate(14)
+    ]);
+    expect(fixtures.map(fixture => fixture.time.slice(0, 5))).toEqual(['18:00', '19:00', '18:00', '19:00', '18:00', '19:00']);
+    expect(fixtures.every(fixture => fixture.teamCount === 2 && fixture.sportId === sport.id)).toBe(true);
+
+    await agent.post(`/sports/${sport.id}/leagues/${league.id}/members`).type('form').send({ name: 'Late Entry' });
+    expect(await LeagueMember.count()).toBe(4);
+  });
+
+  it('should schedule fixtures once when asked twice at the same time', async () => {
+    const league = await createLeague(['Red Lions', 'Blue Sharks', 'Green Geckos', 'Gold Eagles']);
+    const schedule = { startDate: futureDate(), time: '18:00', timeZone: 'UTC', venue: 'Court 3', playersNeeded: 10 };
+
+    await expect(league.generateFixtures({ ...schedule, time: '22:30', durationMinutes: 90 }))
+      .rejects.toThrow('A round would run past midnight');
+
+    const results = await Promise.allSettled([league.generateFixtures(schedule), league.generateFixtures(schedule)]);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message)
+      .toBe('Fixtures have already been scheduled for this league');
+    expect(await Session.count({ where: { leagueId: league.id } })).toBe(6);
+  });
+
+  it('should update the standings from recorded results', async () => {
+    const league = await createLeague(['Red Lions', 'Blue Sharks']);
+    const [fixture] = await league.generateFixtures({
+      startDate: '2020-01-06',
+      time: '18:00',
+      timeZone: 'UTC',
+      venue: 'Court 3',
+      playersNeeded: 10
+    });
+    await MatchResult.record(fixture, { scores: [2, 5] }, creator);
+
+    const standings = await league.getStandings();
+    const away = await LeagueMember.findByPk(fixture.awayMemberId);
+    expect(standings[0].member.name).toBe(away.name);
+    expect(standings[0]).toMatchObject({ played: 1, won: 1, points: 3, difference: 3 });
+
+    const agent = await loginAs('player1@example.com');
+    const page = await agent.get(`/sports/${sport.id}/leagues/${league.id}`);
+    expect(page.text).toContain('Standings');
+    expect(page.text).toContain('2 – 5');
+
+    const session = await agent.get(`/sessions/${fixture.id}`);
+    expect(session.text).toContain(`${away.name} won`);
+  });
+});
@@ -0,0 +1,117 @@
+const { runLifecycle, AUTO_CANCEL_REASON } = require('../services/lifecycle');
+const { sequelize, Sport, Session, Notification } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Session lifecycle job', () => {
+  let creator;
+  let player;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    timeZone: 'UTC',
+    playersNeeded: 6,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+  });
+
+  it('should mark sessions completed once they have ended', async () => {
+    const finished = await schedule();
+    const inProgress = await schedule({ time: '19:00' });
+
+    const { completed } = await runLifecycle(new Date(`${futureDate()}T19:30:00Z`));
+
+    expect(completed.map(session => session.id)).toEqual([finished.id]);
+    await finished.reload();
+    await inProgress.reload();
+    expect(finished.status).toBe('completed');
+    expect(inProgress.status).toBe('active');
+  });
+
+  it('should cancel under-subscribed sessions once the cutoff passes', async () => {
+    const session = await schedule({ minPlayers: 3, autoCancelHours: 24 });
+    await session.addPlayer(player);
+
+    const early = await runLifecycle(new Date(`${futureDate(-1)}T17:00:00Z`));
+    expect(early.cancelled).toHaveLength(0);
+
+    const due = await runLifecycle(new Date(`${futureDate(-1)}T18:30:00Z`));
+    expect(due.cancelled.map(cancelled => cancelled.id)).toEqual([session.id]);
+
+    await session.reload();
+    expect(session.status).toBe('cancelled');
+    expect(session.cancellationReason).toBe(AUTO_CANCEL_REASON);
+
+    const notifications = await Notification.findAll({ where: { userId: player.id } });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].type).toBe('session_cancelled');
+  });
+
+  it('should decide each cancellation once, counting players who join at the cutoff', async () => {
+    const session = await schedule({ minPlayers: 2, autoCancelHours: 24 });
+    await session.addPlayer(player);
+    const latecomer = await createUser('Latecomer', 'latecomer@example.com');
+    const due = new Date(`${futureDate(-1)}T18:30:00Z`);
+
+    const [first, second, join] = await Promise.allSettled([
+      runLifecycle(due),
+      runLifecycle(due),
+      session.reserveSlot(latecomer.id)
+    ]);
+
+    await session.reload();
+    const cancellations = [first, second].flatMap(run => run.value.cancelled);
+    if (join.status === 'fulfilled') {
+      expect(session.status).toBe('active');
+      expect(cancellations).toHaveLength(0);
+    } else {
+      expect(session.status).toBe('cancelled');
+      expect(cancellations).toHaveLength(1);
+      expect(await Notification.count({ where: { userId: player.id, type: 'session_cancelled' } })).toBe(1);
+    }
+  });
+
+  it('should keep sessions that reached their minimum', async () => {
+    const session = await schedule({ minPlayers: 1, autoCancelHours: 24 });
+    await session.addPlayer(player);
+
+    const { cancelled } = await runLifecycle(new Date(`${futureDate(-1)}T18:30:00Z`));
+
+    expect(cancelled).toHaveLength(0);
+    await session.reload();
+    expect(session.status).toBe('active');
+  });
+
+  it('should not accept a minimum above the players needed', async () => {
+    const agent = await loginAs('creator@example.com');
+
+    const response = await agent.post('/sessions').type('form').send({
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:00',
+      venue: 'Court 3',
+      playersNeeded: 4,
+      minPlayers: 5,
+      autoCancelHours: 24
+    });
+
+    expect(response.headers.location).toBe('/sessions/new');
+    expect(await Session.count()).toBe(0);
+  });
+});
@@ -0,0 +1,171 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../app');
+const { sequelize, Sport } = require('../models');
+const liveUpdates = require('../services/liveUpdates');
+const { PASSWORD, futureDate, createUser, createSession } = require('./helpers');
+
+const server = http.createServer(app);
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await sequelize.close();
+});
+
+// Opens an event stream the way a browser's EventSource would and collects
+// the messages it receives until closed.
+const openStream = (path, cookie) => new Promise((resolve, reject) => {
+  const req = http.get({
+    host: '127.0.0.1',
+    port: server.address().port,
+    path,
+    headers: { Cookie: cookie, Accept: 'text/event-stream' }
+  }, (res) => {
+    const stream = { status: res.statusCode, headers: res.headers, messages: [], close: () => req.destroy() };
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) stream.messages.push({ event: fields.event, data: JSON.parse(fields.data) });
+      });
+    });
+    resolve(stream);
+  });
+  req.on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  expect(condition()).toBe(true);
+};
+
+describe('Live session updates', () => {
+  let organizer;
+  let player;
+  let sport;
+  let session;
+  let streams;
+
+  // Like the shared loginAs, but keeps the session cookie for openStream
+  const loginAs = async (email) => {
+    const agent = request.agent(app);
+    const response = await agent.post('/auth/login').type('form').send({ email, password: PASSWORD });
+    agent.cookie = response.headers['set-cookie'].map(cookie => cookie.split(';')[0]).join('; ');
+    return agent;
+  };
+
+  const follow = async (agent, ids, query = '') => {
+    const stream = await openStream(`/sessions/live?ids=${ids.join(',')}${query}`, agent.cookie);
+    streams.push(stream);
+    return stream;
+  };
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    streams = [];
+
+    organizer = await createUser('Organizer', 'organizer@example.com');
+    player = await createUser('Player', 'player@example.com');
+    sport = await Sport.create({ name: 'Football', adminId: organizer.id });
+    session = await createSession({ sport, creator: organizer, venue: 'Park', playersNeeded: 2, maxGuestsPerPlayer: 1 });
+  });
+
+  afterEach(() => {
+    streams.forEach(stream => stream.close());
+  });
+
+  it('should stream a snapshot of the sessions the user can see', async () => {
+    const hidden = await createSession({ sport, creator: organizer, date: futureDate(1), venue: 'Park', visibility: 'invite_only' });
+    await session.addPlayer(organizer, { through: { guests: 1 } });
+
+    const agent = await loginAs('player@example.com');
+    const stream = await follow(agent, [session.id, hidden.id, 999]);
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    await waitFor(() => stream.messages.length === 1);
+    expect(stream.messages[0]).toEqual({
+      event: 'session',
+      data: {
+        id: session.id,
+        event: null,
+        status: 'active',
+        playersNeeded: 2,
+        headcount: 2,
+        availableSlots: 0,
+        players: [{ id: organizer.id, name: 'Organizer', guests: 1 }]
+      }
+    });
+
+    const invited = await follow(agent, [hidden.id], `&invite=${await hidden.getInviteCode()}`);
+    await waitFor(() => invited.messages.length === 1);
+    expect(invited.messages[0].data.id).toBe(hidden.id);
+  });
+
+  it('should answer 204 when there is nothing to follow', async () => {
+    const agent = await loginAs('player@example.com');
+    expect((await agent.get('/sessions/live')).status).toBe(204);
+    expect((await agent.get('/sessions/live?ids=abc,999')).status).toBe(204);
+
+    const response = await request(app).get(`/sessions/live?ids=${session.id}`);
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe('/auth/login');
+  });
+
+  it('should push slot counts and the roster as players join and leave', async () => {
+    const organizerAgent = await loginAs('organizer@example.com');
+    const stream = await follow(organizerAgent, [session.id]);
+    await waitFor(() => stream.messages.length === 1);
+
+    const agent = await loginAs('player@example.com');
+    await agent.post(`/player/sessions/${session.id}/join`).type('form').send({ guests: 1 });
+    await waitFor(() => stream.messages.length === 2);
+    expect(stream.messages[1].data).toMatchObject({
+      event: 'player.joined',
+      headcount: 2,
+      availableSlots: 0,
+      players: [{ id: player.id, name: 'Player', guests: 1 }]
+    });
+
+    await agent.post(`/player/sessions/${session.id}/leave`);
+    await waitFor(() => stream.messages.length === 3);
+    expect(stream.messages[2].data).toMatchObject({ event: 'player.left', headcount: 0, availableSlots: 2, players: [] });
+  });
+
+  it('should tell pages when a session is cancelled', async () => {
+    const agent = await loginAs('player@example.com');
+    const stream = await follow(agent, [session.id]);
+    await waitFor(() => stream.messages.length === 1);
+
+    const organizerAgent = await loginAs('organizer@example.com');
+    await organizerAgent.post(`/sessions/${session.id}/cancel`).type('form').send({ reason: 'The pitch is flooded' });
+    await waitFor(() => stream.messages.length === 2);
+    expect(stream.messages[1].data).toMatchObject({ id: session.id, event: 'session.cancelled', status: 'cancelled' });
+  });
+
+  it('should mark session pages for live updates and forget closed streams', async () => {
+    const agent = await loginAs('player@example.com');
+    const list = await agent.get('/player/sessions');
+    expect(list.text).toContain(`data-live-session="${session.id}"`);
+    expect(list.text).toContain('/js/live-sessions.js');
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain(`data-live-session="${session.id}"`);
+    expect(page.text).toContain('data-live="join"');
+
+    const stream = await follow(agent, [session.id]);
+    await waitFor(() => liveUpdates.countClients(session.id) === 1);
+    stream.close();
+    await waitFor(() => liveUpdates.countClients(session.id) === 0);
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const events = require('../services/events');
+const { mailer, createMemoryTransport, createFileTransport, createTransportFromEnv } = require('../services/mailer');
+const { sequelize, Sport } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Mail transports', () => {
+  it('should pick a transport from the environment', () => {
+    expect(createTransportFromEnv({ NODE_ENV: 'test' }).name).toBe('memory');
+    expect(createTransportFromEnv({ NODE_ENV: 'development', MAIL_DIR: os.tmpdir() }).name).toBe('file');
+    expect(createTransportFromEnv({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'localhost' }).name).toBe('smtp');
+    expect(() => createTransportFromEnv({ MAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown mail transport');
+  });
+
+  it('should write messages as JSON files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    const transport = createFileTransport(directory);
+
+    await transport.send({ to: 'player@example.com', subject: 'Hello', text: 'Body' });
+
+    const files = fs.readdirSync(directory);
+    expect(files).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, files[0]))).subject).toBe('Hello');
+    fs.rmSync(directory, { recursive: true });
+  });
+});
+
+describe('Session emails', () => {
+  let outbox;
+  let creator;
+  let player;
+  let session;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    outbox = mailer.useTransport(createMemoryTransport());
+
+    creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    const sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+    session = await createSession({ sport, creator });
+  });
+
+  it('should send a join confirmation when a player joins', async () => {
+    const agent = await loginAs('player@example.com');
+    await agent.post(`/player/sessions/${session.id}/join`);
+
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0].to).toBe('player@example.com');
+    expect(outbox.messages[0].subject).toBe(`You're in: Futsal on ${futureDate()}`);
+  });
+
+  it('should include the cancellation reason', async () => {
+    await session.addPlayer(player);
+    await events.publish('session.cancelled', { session, actor: creator, reason: 'Court closed for repairs' });
+
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0].text).toContain('Reason: Court closed for repairs');
+  });
+
+  it('should show the old and new schedule when rescheduled', async () => {
+    await session.addPlayer(player);
+    await session.update({ date: futureDate(1), venue: 'Court 4' });
+    await events.publish('session.updated', {
+      session,
+      actor: creator,
+      changes: {
+        date: { from: futureDate(), to: futureDate(1) },
+        venue: { from: 'Court 3', to: 'Court 4' }
+      }
+    });
+
+    expect(outbox.messages).toHaveLength(1);
+    expect(outbox.messages[0].text).toContain(`Was: ${futureDate()} at 18:00, Court 3`);
+    expect(outbox.messages[0].text).toContain(`Now: ${futureDate(1)} at 18:00, Court 4`);
+  });
+});
@@ -0,0 +1,108 @@
+const { sequelize, MatchResult, MatchResultRevision, PlayerStat } = require('../models');
+const { futureDate, loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Match results', () => {
+  let creator;
+  let players;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    date: '2020-01-06',
+    timeZone: 'UTC',
+    playersNeeded: 4,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ creator, players, sport } = await createFixtures());
+  });
+
+  it('should work out the winner from the scores and check the organizer\'s choice', () => {
+    expect(MatchResult.resolveWinner([3, 2], null)).toBe(1);
+    expect(MatchResult.resolveWinner([2, 2], null)).toBeNull();
+    expect(MatchResult.resolveWinner([null, null], 2)).toBe(2);
+    expect(MatchResult.resolveWinner([null, null], 'draw')).toBeNull();
+
+    expect(() => MatchResult.resolveWinner([3, 2], 2)).toThrow('The winner must have the highest score');
+    expect(() => MatchResult.resolveWinner([3, 2], 'draw')).toThrow('A draw needs the top scores to be level');
+    expect(() => MatchResult.resolveWinner([3, null], null)).toThrow('Enter a score for every team or leave them all empty');
+    expect(() => MatchResult.resolveWinner([null, null], null)).toThrow('Enter the scores or choose a winner');
+  });
+
+  it('should let the organizer record scores and player stats', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/result`).type('form').send({
+      scores: ['3', '1'],
+      winner: '',
+      statLabel: 'Goals',
+      statPlayerIds: [players[0].id, players[1].id],
+      stats: ['2', '']
+    });
+
+    const result = await MatchResult.findOne({ include: ['scores'] });
+    expect(result.winningTeam).toBe(1);
+    expect(result.getScoreList(2)).toEqual([3, 1]);
+    expect(result.statLabel).toBe('Goals');
+    const stats = await PlayerStat.findAll();
+    expect(stats.map(stat => [stat.userId, stat.value])).toEqual([[players[0].id, 2]]);
+
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('Team 1 won');
+    expect(page.text).toContain('Goals');
+  });
+
+  it('should keep the edit history and reject inconsistent results', async () => {
+    const session = await schedule();
+    await MatchResult.record(session, { scores: [1, 1] }, creator);
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/result`).type('form').send({ scores: ['1', '2'], winner: '1' });
+    await agent.post(`/sessions/${session.id}/result`).type('form').send({ scores: ['1', '2'], winner: '' });
+
+    const result = await MatchResult.findOne();
+    expect(result.winningTeam).toBe(2);
+    const revisions = await MatchResultRevision.findAll({ order: [['id', 'ASC']] });
+    expect(revisions.map(revision => revision.summary)).toEqual([
+      'Team 1 1 – 1 Team 2, Draw',
+      'Team 1 1 – 2 Team 2, Team 2 won'
+    ]);
+  });
+
+  it('should only let the organizer record results once the session has started', async () => {
+    const upcoming = await schedule({ date: futureDate() });
+    const past = await schedule();
+
+    const creatorAgent = await loginAs('creator@example.com');
+    await creatorAgent.post(`/sessions/${upcoming.id}/result`).type('form').send({ scores: ['1', '0'] });
+
+    const playerAgent = await loginAs('player1@example.com');
+    await playerAgent.post(`/sessions/${past.id}/result`).type('form').send({ scores: ['1', '0'] });
+
+    expect(await MatchResult.count()).toBe(0);
+  });
+
+  it('should list recent results on the sport page', async () => {
+    const session = await schedule();
+    await MatchResult.record(session, { scores: [4, 2] }, creator);
+
+    const agent = await loginAs('player1@example.com');
+    const page = await agent.get(`/sports/${sport.id}`);
+    expect(page.text).toContain('Recent Results');
+    expect(page.text).toContain('4 – 2');
+  });
+});
@@ -0,0 +1,68 @@
+const events = require('../services/events');
+const { sequelize, Sport, Notification } = require('../models');
+const { loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Session notifications', () => {
+  let creator;
+  let player;
+  let session;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    const sport = await Sport.create({ name: 'Cricket', adminId: creator.id });
+    session = await createSession({ sport, creator, time: '09:00', venue: 'Oval' });
+    await session.addPlayer(player);
+  });
+
+  it('should notify joined players when a session is cancelled', async () => {
+    await events.publish('session.cancelled', { session, actor: creator, reason: 'Rain forecast all day' });
+
+    const notifications = await Notification.findAll({ where: { userId: player.id } });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].type).toBe('session_cancelled');
+    expect(notifications[0].message).toContain('Rain forecast all day');
+    expect(await Notification.count({ where: { userId: creator.id } })).toBe(0);
+  });
+
+  it('should notify about venue changes but not capacity-only changes', async () => {
+    await events.publish('session.updated', {
+      session,
+      actor: creator,
+      changes: { playersNeeded: { from: 10, to: 12 } }
+    });
+    expect(await Notification.count()).toBe(0);
+
+    await events.publish('session.updated', {
+      session,
+      actor: creator,
+      changes: { venue: { from: 'Oval', to: 'Park' } }
+    });
+    const notification = await Notification.findOne({ where: { userId: player.id } });
+    expect(notification.message).toContain('venue Oval → Park');
+  });
+
+  it('should show the unread count and mark notifications read', async () => {
+    await events.publish('player.promoted', { session, user: player });
+
+    const agent = await loginAs('player@example.com');
+
+    const page = await agent.get('/notifications');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('notification-count');
+    expect(page.text).toContain('moved from the waitlist');
+
+    await agent.post('/notifications/read-all');
+    expect(await Notification.countUnread(player.id)).toBe(0);
+  });
+});
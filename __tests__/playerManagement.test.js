@@ -0,0 +1,119 @@
+const { sequelize, JoinRequest, Notification, UserBlock } = require('../models');
+const { futureDate, loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Managing session players', () => {
+  let creator;
+  let players;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    playersNeeded: 4,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ creator, players, sport } = await createFixtures());
+  });
+
+  it('should let the organizer remove a player with a reason', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/players/${players[0].id}/remove`)
+      .type('form')
+      .send({ reason: 'Team is full of regulars this week' });
+
+    expect(await session.hasUserJoined(players[0].id)).toBe(false);
+    const notification = await Notification.findOne({ where: { userId: players[0].id } });
+    expect(notification.type).toBe('player_removed');
+    expect(notification.message).toContain('Team is full of regulars this week');
+
+    const playerAgent = await loginAs('player1@example.com');
+    const dashboard = await playerAgent.get('/player/dashboard');
+    expect(dashboard.text).toContain('Removed By The Organizer');
+    expect(dashboard.text).toContain('Team is full of regulars this week');
+
+    await playerAgent.post(`/player/sessions/${session.id}/join`);
+    expect(await session.hasUserJoined(players[0].id)).toBe(false);
+  });
+
+  it('should only let the organizer remove players', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+
+    const agent = await loginAs('player2@example.com');
+    await agent.post(`/sessions/${session.id}/players/${players[0].id}/remove`).type('form').send({ reason: 'No' });
+
+    expect(await session.hasUserJoined(players[0].id)).toBe(true);
+  });
+
+  it('should keep blocked players out of all the organizer\'s sessions', async () => {
+    const session = await schedule();
+    const nextWeek = await schedule({ date: futureDate(7) });
+    await session.addPlayer(players[0]);
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/players/${players[0].id}/remove`).type('form').send({ block: 'true' });
+    expect(await UserBlock.isBlocked(creator.id, players[0].id)).toBe(true);
+
+    await expect(nextWeek.reserveSlot(players[0].id)).rejects.toThrow('The organizer is not accepting you in their sessions');
+
+    await agent.post(`/player/blocked/${players[0].id}/unblock`);
+    expect((await nextWeek.reserveSlot(players[0].id)).status).toBe('joined');
+  });
+
+  it('should hold players for approval when the session requires it', async () => {
+    const session = await schedule({ requiresApproval: true });
+
+    for (const email of ['player1@example.com', 'player2@example.com']) {
+      const agent = await loginAs(email);
+      await agent.post(`/player/sessions/${session.id}/join`);
+    }
+    expect(await session.countPlayers()).toBe(0);
+
+    const requests = await JoinRequest.findAll({ order: [['userId', 'ASC']] });
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/requests/${requests[0].id}/approve`);
+    await agent.post(`/sessions/${session.id}/requests/${requests[1].id}/decline`);
+
+    expect(await session.hasUserJoined(players[0].id)).toBe(true);
+    expect(await session.hasUserJoined(players[1].id)).toBe(false);
+    expect(await JoinRequest.count({ where: { status: 'declined' } })).toBe(1);
+    await expect(session.requestToJoin(players[1].id)).rejects.toThrow('The organizer declined your request to join this session');
+  });
+
+  it('should waitlist approved players once the session has filled', async () => {
+    const session = await schedule({ requiresApproval: true, playersNeeded: 1 });
+    await session.addPlayer(players[0]);
+    const joinRequest = await session.requestToJoin(players[1].id);
+
+    const outcome = await session.approveJoinRequest(joinRequest);
+
+    expect(outcome).toEqual({ status: 'waitlisted', position: 1 });
+    expect(await JoinRequest.count()).toBe(0);
+  });
+
+  it('should keep the request when an approval cannot be completed', async () => {
+    const session = await schedule({ requiresApproval: true });
+    const joinRequest = await session.requestToJoin(players[0].id);
+    jest.spyOn(joinRequest, 'destroy').mockRejectedValue(new Error('Connection lost'));
+
+    await expect(session.approveJoinRequest(joinRequest)).rejects.toThrow('Connection lost');
+
+    expect(await session.hasUserJoined(players[0].id)).toBe(false);
+    expect(await JoinRequest.count()).toBe(1);
+  });
+});
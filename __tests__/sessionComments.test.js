@@ -0,0 +1,102 @@
+const { sequelize, SessionComment, Notification } = require('../models');
+const { loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Session comments', () => {
+  let creator;
+  let players;
+  let session;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    let sport;
+    ({ creator, players, sport } = await createFixtures({ sportName: 'Football', playerCount: 3 }));
+    session = await createSession({ sport, creator, venue: 'Park' });
+    await session.addPlayers([players[0], players[1]]);
+  });
+
+  it('should let the organizer and joined players discuss the session', async () => {
+    const agent = await loginAs('player1@example.com');
+    await agent.post(`/sessions/${session.id}/comments`).type('form').send({ body: 'Who is bringing the ball?' });
+
+    const creatorAgent = await loginAs('creator@example.com');
+    await creatorAgent.post(`/sessions/${session.id}/comments`).type('form').send({ body: 'I will' });
+
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('Who is bringing the ball?');
+    expect(page.text).toContain('I will');
+
+    const outsider = await loginAs('player3@example.com');
+    await outsider.post(`/sessions/${session.id}/comments`).type('form').send({ body: 'Can I come?' });
+    const outsiderPage = await outsider.get(`/sessions/${session.id}`);
+    expect(outsiderPage.text).not.toContain('Who is bringing the ball?');
+    expect(outsiderPage.text).toContain('Join this session to see and take part in the discussion.');
+
+    expect(await SessionComment.count()).toBe(2);
+  });
+
+  it('should reject empty comments', async () => {
+    const agent = await loginAs('player1@example.com');
+    await agent.post(`/sessions/${session.id}/comments`).type('form').send({ body: '   ' });
+    await agent.post(`/sessions/${session.id}/comments`).type('form').send({ body: 'x'.repeat(SessionComment.MAX_LENGTH + 1) });
+
+    expect(await SessionComment.count()).toBe(0);
+  });
+
+  it('should only let authors edit their own comments', async () => {
+    const comment = await SessionComment.create({ sessionId: session.id, userId: players[0].id, body: 'Running 5 minutes late' });
+
+    const other = await loginAs('player2@example.com');
+    await other.put(`/sessions/${session.id}/comments/${comment.id}`).type('form').send({ body: 'Hijacked' });
+    await comment.reload();
+    expect(comment.body).toBe('Running 5 minutes late');
+    expect(comment.isEdited()).toBe(false);
+
+    const author = await loginAs('player1@example.com');
+    await author.put(`/sessions/${session.id}/comments/${comment.id}`).type('form').send({ body: 'Running 10 minutes late' });
+    await comment.reload();
+    expect(comment.body).toBe('Running 10 minutes late');
+    expect(comment.isEdited()).toBe(true);
+
+    const page = await author.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('(edited)');
+  });
+
+  it('should let authors delete their comments and the organizer moderate', async () => {
+    const first = await SessionComment.create({ sessionId: session.id, userId: players[0].id, body: 'First' });
+    const second = await SessionComment.create({ sessionId: session.id, userId: players[0].id, body: 'Second' });
+    const third = await SessionComment.create({ sessionId: session.id, userId: players[1].id, body: 'Off topic' });
+
+    const other = await loginAs('player2@example.com');
+    await other.post(`/sessions/${session.id}/comments/${first.id}/delete`);
+    expect(await SessionComment.count()).toBe(3);
+
+    const author = await loginAs('player1@example.com');
+    await author.post(`/sessions/${session.id}/comments/${second.id}/delete`);
+
+    const creatorAgent = await loginAs('creator@example.com');
+    await creatorAgent.post(`/sessions/${session.id}/comments/${third.id}/delete`);
+
+    const remaining = await SessionComment.findAll();
+    expect(remaining.map(comment => comment.body)).toEqual(['First']);
+  });
+
+  it('should notify everyone in the thread except the author', async () => {
+    const agent = await loginAs('player1@example.com');
+    await agent.post(`/sessions/${session.id}/comments`).type('form').send({ body: 'Bring bibs please' });
+
+    const notifications = await Notification.findAll({ order: [['userId', 'ASC']] });
+    expect(notifications.map(notification => notification.userId)).toEqual([creator.id, players[1].id]);
+    expect(notifications[0].type).toBe('comment_posted');
+    expect(notifications[0].message).toContain('Player 1 commented');
+    expect(notifications[0].message).toContain('Bring bibs please');
+  });
+});
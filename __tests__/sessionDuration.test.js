@@ -0,0 +1,96 @@
+const { sequelize, Sport, Session } = require('../models');
+const { loginAs, createUser, createSession } = require('./helpers');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local date and time strings for a moment relative to now, matching how
+// sessions store their wall-clock schedule.
+const scheduleAt = (minutesFromNow) => {
+  const moment = new Date(Date.now() + minutesFromNow * 60 * 1000);
+  return {
+    date: `${moment.getFullYear()}-${pad(moment.getMonth() + 1)}-${pad(moment.getDate())}`,
+    time: `${pad(moment.getHours())}:${pad(moment.getMinutes())}`
+  };
+};
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Session duration', () => {
+  let creator;
+  let player;
+  let sport;
+
+  const schedule = (minutesFromNow, attributes = {}) => createSession({
+    sport,
+    creator,
+    ...scheduleAt(minutesFromNow),
+    playersNeeded: 4,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+  });
+
+  it('should default to an hour and format the time range', async () => {
+    const session = await createSession({ sport, creator, playersNeeded: 4, durationMinutes: 90 });
+
+    expect(session.getTimeRange()).toBe('18:00–19:30');
+    expect((await schedule(120)).durationMinutes).toBe(60);
+  });
+
+  it('should treat a started session as in progress until it ends', async () => {
+    const inProgress = await schedule(-30, { durationMinutes: 90 });
+    const finished = await schedule(-120, { durationMinutes: 90 });
+
+    expect(inProgress.hasStarted()).toBe(true);
+    expect(inProgress.isInProgress()).toBe(true);
+    expect(inProgress.isPast()).toBe(false);
+    expect(finished.isPast()).toBe(true);
+    expect(finished.isInProgress()).toBe(false);
+  });
+
+  it('should keep in-progress sessions in the upcoming list', async () => {
+    const inProgress = await schedule(-30, { durationMinutes: 90 });
+    await schedule(-120, { durationMinutes: 90 });
+    const later = await schedule(120);
+
+    const upcoming = await Session.getUpcomingSessions();
+    expect(upcoming.map(session => session.id)).toEqual([inProgress.id, later.id]);
+
+    const sportUpcoming = await sport.getUpcomingSessions();
+    expect(sportUpcoming.map(session => session.id)).toEqual([inProgress.id, later.id]);
+  });
+
+  it('should not let players join a session that has started', async () => {
+    const inProgress = await schedule(-30, { durationMinutes: 90 });
+
+    const agent = await loginAs('player@example.com');
+    await agent.post(`/player/sessions/${inProgress.id}/join`);
+
+    expect(await inProgress.hasUserJoined(player.id)).toBe(false);
+    await expect(inProgress.addPlayerToSession(player.id)).rejects.toThrow('Cannot join sessions that have already started');
+  });
+
+  it('should show in-progress sessions on the dashboard', async () => {
+    const inProgress = await schedule(-30, { durationMinutes: 90 });
+    await inProgress.addPlayer(player);
+
+    const agent = await loginAs('player@example.com');
+    const response = await agent.get('/player/dashboard');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('In progress');
+    expect(response.text).toContain(inProgress.getTimeRange());
+  });
+});
@@ -0,0 +1,147 @@
+const { sequelize, Sport, Session, SessionSeries } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('SessionSeries.expandDates', () => {
+  it('should repeat on the start weekday when no weekdays are given', () => {
+    const dates = SessionSeries.expandDates({
+      startDate: '2030-01-06',
+      occurrenceCount: 3
+    });
+
+    expect(dates).toEqual(['2030-01-06', '2030-01-13', '2030-01-20']);
+  });
+
+  it('should skip weeks for an every-N-weeks interval', () => {
+    const dates = SessionSeries.expandDates({
+      startDate: '2030-01-06',
+      interval: 2,
+      occurrenceCount: 3
+    });
+
+    expect(dates).toEqual(['2030-01-06', '2030-01-20', '2030-02-03']);
+  });
+
+  it('should generate specific weekdays up to an end date', () => {
+    const dates = SessionSeries.expandDates({
+      startDate: '2030-01-08',
+      weekdays: [1, 4],
+      untilDate: '2030-01-21'
+    });
+
+    expect(dates).toEqual(['2030-01-10', '2030-01-14', '2030-01-17', '2030-01-21']);
+  });
+
+  it('should never exceed the maximum number of occurrences', () => {
+    const dates = SessionSeries.expandDates({
+      startDate: '2030-01-06',
+      weekdays: [0, 3],
+      untilDate: '2035-01-01'
+    });
+
+    expect(dates).toHaveLength(SessionSeries.MAX_OCCURRENCES);
+  });
+
+  it('should return nothing when the end date is before the start', () => {
+    const dates = SessionSeries.expandDates({
+      startDate: '2030-01-06',
+      untilDate: '2030-01-01'
+    });
+
+    expect(dates).toEqual([]);
+  });
+});
+
+describe('Session.groupBySeries', () => {
+  it('should group occurrences of a series into a single entry', () => {
+    const series = SessionSeries.build({ id: 7, interval: 1, weekdays: [0] });
+    const sessions = [
+      Session.build({ id: 1, seriesId: 7, date: '2030-01-06' }),
+      Session.build({ id: 2, date: '2030-01-07' }),
+      Session.build({ id: 3, seriesId: 7, date: '2030-01-13' })
+    ];
+    sessions[0].series = series;
+    sessions[2].series = series;
+
+    const groups = Session.groupBySeries(sessions);
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0].series).toBe(series);
+    expect(groups[0].sessions.map(s => s.id)).toEqual([1, 3]);
+    expect(groups[1].series).toBeNull();
+    expect(groups[1].sessions.map(s => s.id)).toEqual([2]);
+  });
+
+  it('should describe the recurrence rule', () => {
+    const series = SessionSeries.build({ interval: 2, weekdays: [1, 4] });
+    expect(series.getDescription()).toBe('Every 2 weeks on Mon, Thu');
+  });
+});
+
+describe('POST /sessions/:id/update', () => {
+  let session;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const organizer = await createUser('Organizer', 'organizer@example.com');
+    const sport = await Sport.create({ name: 'Football', adminId: organizer.id });
+    session = await createSession({ sport, creator: organizer, venue: 'Park' });
+  });
+
+  it('should validate edits like the PUT route', async () => {
+    const agent = await loginAs('organizer@example.com');
+
+    const form = { sportId: session.sportId, date: futureDate(), time: '18:00', venue: 'Park', playersNeeded: 10 };
+    await agent.post(`/sessions/${session.id}/update`).type('form').send({ ...form, venue: 'Main Hall', scope: 'everything' });
+    await agent.post(`/sessions/${session.id}/update`).type('form').send({ ...form, date: '2020-01-05' });
+    await agent.post(`/sessions/${session.id}/update`).type('form').send({ ...form, playersNeeded: 0 });
+
+    await session.reload();
+    expect([session.date, session.venue, session.playersNeeded]).toEqual([futureDate(), 'Park', 10]);
+  });
+});
+
+describe('Session#getScopedOccurrences', () => {
+  // 03:00 UTC on Jan 7 is still the evening of Jan 6 in Los Angeles
+  const now = new Date('2030-01-07T03:00:00Z');
+  let occurrences;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+
+    const organizer = await createUser('Organizer', 'organizer@example.com');
+    const sport = await Sport.create({ name: 'Football', adminId: organizer.id });
+    const series = await SessionSeries.create({ sportId: sport.id, creatorId: organizer.id, interval: 1, weekdays: [0] });
+    occurrences = await Promise.all(['2029-12-30', '2030-01-06', '2030-01-13', '2030-01-20'].map(date => Session.create({
+      sportId: sport.id,
+      creatorId: organizer.id,
+      seriesId: series.id,
+      date,
+      time: '20:00',
+      timeZone: 'America/Los_Angeles',
+      venue: 'Park',
+      playersNeeded: 10
+    })));
+  });
+
+  it('should include occurrences later today in a zone behind UTC', async () => {
+    const [, tonight, nextWeek, weekAfter] = occurrences;
+
+    const series = await nextWeek.getScopedOccurrences('series', now);
+    expect(series.map(occurrence => occurrence.date)).toEqual(['2030-01-06', '2030-01-13', '2030-01-20']);
+
+    const following = await tonight.getScopedOccurrences('following', now);
+    expect(following.map(occurrence => occurrence.id)).toEqual([tonight.id, nextWeek.id, weekAfter.id]);
+
+    const started = await tonight.getScopedOccurrences('series', new Date('2030-01-07T04:30:00Z'));
+    expect(started.map(occurrence => occurrence.date)).toEqual(['2030-01-13', '2030-01-20']);
+  });
+});
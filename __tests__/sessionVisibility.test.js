@@ -0,0 +1,114 @@
+const { sequelize, Sport, Session } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Session visibility', () => {
+  let creator;
+  let player;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    playersNeeded: 4,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+  });
+
+  it('should only list public sessions to other players', async () => {
+    await schedule({ venue: 'Public Court' });
+    await schedule({ venue: 'Unlisted Court', visibility: 'unlisted' });
+    await schedule({ venue: 'Squad Court', visibility: 'invite_only' });
+
+    const agent = await loginAs('player@example.com');
+    const browse = await agent.get('/player/sessions');
+    expect(browse.text).toContain('Public Court');
+    expect(browse.text).not.toContain('Unlisted Court');
+    expect(browse.text).not.toContain('Squad Court');
+
+    const sportPage = await agent.get(`/sports/${sport.id}`);
+    expect(sportPage.text).toContain('Public Court');
+    expect(sportPage.text).not.toContain('Squad Court');
+
+    const creatorAgent = await loginAs('creator@example.com');
+    const ownBrowse = await creatorAgent.get('/player/sessions');
+    expect(ownBrowse.text).toContain('Squad Court');
+  });
+
+  it('should let anyone with the link open an unlisted session', async () => {
+    const session = await schedule({ visibility: 'unlisted' });
+
+    const agent = await loginAs('player@example.com');
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.status).toBe(200);
+
+    await agent.post(`/player/sessions/${session.id}/join`);
+    expect(await session.hasUserJoined(player.id)).toBe(true);
+  });
+
+  it('should require the invite code for invite-only sessions', async () => {
+    const session = await schedule({ visibility: 'invite_only' });
+    const code = await session.getInviteCode();
+
+    const agent = await loginAs('player@example.com');
+    expect((await agent.get(`/sessions/${session.id}`)).status).toBe(302);
+    await agent.post(`/player/sessions/${session.id}/join`);
+    expect(await session.hasUserJoined(player.id)).toBe(false);
+
+    const invite = await agent.get(`/sessions/invite/${code}`);
+    expect(invite.headers.location).toBe(`/sessions/${session.id}?invite=${code}`);
+    const page = await agent.get(invite.headers.location);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain(`name="invite" value="${code}"`);
+
+    await agent.post(`/player/sessions/${session.id}/join`).type('form').send({ invite: code });
+    expect(await session.hasUserJoined(player.id)).toBe(true);
+    expect((await agent.get(`/sessions/${session.id}`)).status).toBe(200);
+  });
+
+  it('should stop old links working once the invite code is reset', async () => {
+    const session = await schedule({ visibility: 'invite_only' });
+    const oldCode = await session.getInviteCode();
+
+    const creatorAgent = await loginAs('creator@example.com');
+    await creatorAgent.post(`/sessions/${session.id}/invite-code`);
+    await session.reload();
+    expect(session.inviteCode).not.toBe(oldCode);
+
+    const agent = await loginAs('player@example.com');
+    const invite = await agent.get(`/sessions/invite/${oldCode}`);
+    expect(invite.headers.location).toBe('/player/sessions');
+  });
+
+  it('should save the visibility chosen when creating a session', async () => {
+    const agent = await loginAs('creator@example.com');
+    await agent.post('/sessions').type('form').send({
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:00',
+      venue: 'Court 3',
+      playersNeeded: 4,
+      visibility: 'invite_only'
+    });
+
+    const session = await Session.findOne();
+    expect(session.visibility).toBe('invite_only');
+
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain(`/sessions/invite/${(await session.reload()).inviteCode}`);
+  });
+});
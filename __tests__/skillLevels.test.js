@@ -0,0 +1,111 @@
+const { sequelize, Sport, Session, PlayerSkill } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Skill levels', () => {
+  let creator;
+  let player;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    playersNeeded: 4,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    player = await createUser('Player', 'player@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+  });
+
+  it('should save the levels a player declares on their profile', async () => {
+    const tennis = await Sport.create({ name: 'Tennis', adminId: creator.id });
+
+    const agent = await loginAs('player@example.com');
+    await agent.post('/player/profile/skills').type('form').send({
+      sportIds: [sport.id, tennis.id],
+      levels: ['2', '']
+    });
+    expect(await PlayerSkill.getLevel(player.id, sport.id)).toBe(2);
+    expect(await PlayerSkill.getLevel(player.id, tennis.id)).toBeNull();
+
+    await agent.post('/player/profile/skills').type('form').send({ sportIds: [sport.id], levels: [''] });
+    expect(await PlayerSkill.count()).toBe(0);
+
+    const creatorAgent = await loginAs('creator@example.com');
+    await PlayerSkill.setLevels(player.id, { [sport.id]: 3 });
+    const profile = await creatorAgent.get(`/player/profile/${player.id}`);
+    expect(profile.text).toContain('Advanced');
+  });
+
+  it('should filter browsed sessions by skill level', async () => {
+    await schedule({ venue: 'Beginner Court', maxSkillLevel: 1 });
+    await schedule({ venue: 'Advanced Court', minSkillLevel: 3 });
+    await schedule({ venue: 'Open Court' });
+
+    const agent = await loginAs('player@example.com');
+    const page = await agent.get('/player/sessions?level=1');
+    expect(page.text).toContain('Beginner Court');
+    expect(page.text).toContain('Open Court');
+    expect(page.text).not.toContain('Advanced Court');
+
+    const all = await agent.get('/player/sessions');
+    expect(all.text).toContain('Advanced Court');
+    expect(all.text).toContain('Advanced and up');
+  });
+
+  it('should only let players within a restricted range join', async () => {
+    const session = await schedule({ minSkillLevel: 2, maxSkillLevel: 3, restrictSkillLevel: true });
+
+    await expect(session.reserveSlot(player.id))
+      .rejects.toThrow('Set your skill level for this sport on your profile to join this session');
+
+    await PlayerSkill.setLevels(player.id, { [sport.id]: 1 });
+    await expect(session.reserveSlot(player.id))
+      .rejects.toThrow('This session is for Intermediate – Advanced players');
+
+    await PlayerSkill.setLevels(player.id, { [sport.id]: 2 });
+    expect((await session.reserveSlot(player.id)).status).toBe('joined');
+  });
+
+  it('should only show the range when joining is not restricted', async () => {
+    const session = await schedule({ minSkillLevel: 3 });
+
+    expect((await session.reserveSlot(player.id)).status).toBe('joined');
+  });
+
+  it('should save the range chosen when creating a session', async () => {
+    const agent = await loginAs('creator@example.com');
+    const form = {
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:00',
+      venue: 'Court 3',
+      playersNeeded: 4,
+      minSkillLevel: 3,
+      maxSkillLevel: 1,
+      restrictSkillLevel: 'true'
+    };
+
+    await agent.post('/sessions').type('form').send(form);
+    expect(await Session.count()).toBe(0);
+
+    await agent.post('/sessions').type('form').send({ ...form, minSkillLevel: 1, maxSkillLevel: 2 });
+    const session = await Session.findOne();
+    expect(session).toMatchObject({ minSkillLevel: 1, maxSkillLevel: 2, restrictSkillLevel: true });
+
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('Beginner – Intermediate');
+  });
+});
@@ -0,0 +1,117 @@
+const { sequelize, UserSession, PlayerSkill } = require('../models');
+const { splitIntoTeams } = require('../services/teams');
+const { loginAs, createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Team line-ups', () => {
+  let creator;
+  let players;
+  let sport;
+
+  const schedule = (attributes = {}) => createSession({
+    sport,
+    creator,
+    playersNeeded: 8,
+    maxGuestsPerPlayer: 2,
+    ...attributes
+  });
+
+  const teamsOf = async (session) => {
+    const records = await UserSession.findAll({ where: { sessionId: session.id }, order: [['userId', 'ASC']] });
+    return records.map(record => record.team);
+  };
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    ({ creator, players, sport } = await createFixtures({ playerCount: 4 }));
+  });
+
+  it('should spread the strongest players and even out team sizes', () => {
+    const entries = [
+      { userId: 1, size: 1, rating: 3 },
+      { userId: 2, size: 1, rating: 3 },
+      { userId: 3, size: 1, rating: 1 },
+      { userId: 4, size: 1, rating: 1 }
+    ];
+
+    const assignments = splitIntoTeams(entries, 2);
+
+    expect(assignments.get(1)).not.toBe(assignments.get(2));
+    expect(assignments.get(3)).not.toBe(assignments.get(4));
+
+    const withParty = splitIntoTeams([
+      { userId: 1, size: 3, rating: 0 },
+      { userId: 2, size: 1, rating: 0 },
+      { userId: 3, size: 1, rating: 0 },
+      { userId: 4, size: 1, rating: 0 }
+    ], 2, { balanced: false, random: () => 0.99 });
+    const partyTeam = withParty.get(1);
+    expect([2, 3, 4].every(userId => withParty.get(userId) !== partyTeam)).toBe(true);
+  });
+
+  it('should balance teams by skill level', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+    await PlayerSkill.setLevels(players[0].id, { [sport.id]: 3 });
+    await PlayerSkill.setLevels(players[1].id, { [sport.id]: 3 });
+    await PlayerSkill.setLevels(players[2].id, { [sport.id]: 1 });
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/teams/generate`).type('form').send({ teamCount: 2, method: 'skill' });
+
+    await session.reload();
+    expect(session.teamCount).toBe(2);
+    const teams = await teamsOf(session);
+    expect(teams[0]).not.toBe(teams[1]);
+    expect(teams.filter(team => team === 1)).toHaveLength(2);
+    expect(teams.filter(team => team === 2)).toHaveLength(2);
+  });
+
+  it('should let the organizer move players between teams', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+    await session.generateTeams(2, 'random');
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post(`/sessions/${session.id}/teams`).type('form').send({
+      playerIds: players.map(player => player.id),
+      teams: ['1', '1', '2', '']
+    });
+
+    expect(await teamsOf(session)).toEqual([1, 1, 2, null]);
+  });
+
+  it('should show players which team they are on', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+    await session.saveTeams(2, new Map([[players[0].id, 2], [players[1].id, 1]]));
+
+    const agent = await loginAs('player1@example.com');
+    const page = await agent.get(`/sessions/${session.id}`);
+    expect(page.text).toContain('You are on <strong>Team 2</strong>');
+    expect(page.text).not.toContain('Generate Teams');
+
+    const dashboard = await agent.get('/player/dashboard');
+    expect(dashboard.text).toContain('Team 2');
+  });
+
+  it('should only let the organizer pick teams', async () => {
+    const session = await schedule();
+    await session.addPlayers(players);
+
+    const agent = await loginAs('player1@example.com');
+    await agent.post(`/sessions/${session.id}/teams/generate`).type('form').send({ teamCount: 2, method: 'random' });
+
+    await session.reload();
+    expect(session.teamCount).toBeNull();
+    expect(await teamsOf(session)).toEqual([null, null, null, null]);
+  });
+});
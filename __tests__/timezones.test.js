@@ -0,0 +1,149 @@
+const timezones = require('../services/timezones');
+const templates = require('../services/mailTemplates');
+const { sequelize, User, Sport, Session, Venue } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Time zone helpers', () => {
+  it('should convert wall-clock times in a zone to instants', () => {
+    expect(timezones.zonedTimeToDate('2030-01-06', '18:00', 'America/New_York').toISOString())
+      .toBe('2030-01-06T23:00:00.000Z');
+    expect(timezones.zonedTimeToDate('2030-07-06', '18:00:00', 'Europe/London').toISOString())
+      .toBe('2030-07-06T17:00:00.000Z');
+  });
+
+  it('should give the calendar date in a zone', () => {
+    const now = new Date('2030-01-06T20:00:00Z');
+
+    expect(timezones.todayInZone('Pacific/Kiritimati', now)).toBe('2030-01-07');
+    expect(timezones.todayInZone('America/Los_Angeles', now)).toBe('2030-01-06');
+  });
+
+  it('should only accept IANA zone names', () => {
+    expect(timezones.isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(timezones.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(timezones.listTimeZones()).toContain('UTC');
+  });
+});
+
+describe('Time zone aware sessions', () => {
+  let creator;
+  let sport;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+  });
+
+  // On a fixed winter date, as the expected times depend on daylight saving
+  const schedule = (attributes) => createSession({
+    sport,
+    creator,
+    date: '2030-01-06',
+    playersNeeded: 4,
+    ...attributes
+  });
+
+  it('should compute start times and render them in the viewer zone', async () => {
+    const session = await schedule({ timeZone: 'Asia/Kolkata' });
+
+    expect(session.getStartDateTime().toISOString()).toBe('2030-01-06T12:30:00.000Z');
+    expect(session.getTimeRange()).toBe('18:00–19:00');
+    expect(session.getTimeRange('America/New_York')).toBe('07:30–08:30');
+    expect(session.getDisplayDate('America/New_York')).toBe('Sun, Jan 6, 2030');
+  });
+
+  it('should judge "today" in the zone the session takes place in', async () => {
+    const agent = await loginAs('creator@example.com');
+
+    const zones = ['Pacific/Kiritimati', 'Pacific/Pago_Pago'];
+    for (const timeZone of zones) {
+      await agent.post('/sessions').type('form').send({
+        sportId: sport.id,
+        date: timezones.todayInZone(timeZone),
+        time: '23:59',
+        timeZone,
+        venue: 'Court 3',
+        playersNeeded: 4
+      });
+    }
+
+    const sessions = await Session.findAll({ order: [['id', 'ASC']] });
+    expect(sessions.map(session => session.timeZone)).toEqual(zones);
+  });
+
+  it('should reject dates that have already passed in the session zone', async () => {
+    const agent = await loginAs('creator@example.com');
+
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const response = await agent.post('/sessions').type('form').send({
+      sportId: sport.id,
+      date: timezones.todayInZone('Pacific/Pago_Pago', yesterday),
+      time: '23:59',
+      timeZone: 'Pacific/Pago_Pago',
+      venue: 'Court 3',
+      playersNeeded: 4
+    });
+
+    expect(response.headers.location).toBe('/sessions/new');
+    expect(await Session.count()).toBe(0);
+  });
+
+  it('should schedule venue sessions in the venue zone', async () => {
+    const venue = await Venue.create({ name: 'Riverside', courts: 1, timeZone: 'Europe/Berlin' });
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post('/sessions').type('form').send({
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:00',
+      timeZone: 'America/Chicago',
+      venueId: venue.id,
+      playersNeeded: 4
+    });
+
+    const session = await Session.findOne();
+    expect(session.timeZone).toBe('Europe/Berlin');
+  });
+
+  it('should show times in the preferred zone of the viewer', async () => {
+    const session = await schedule({ timeZone: 'Europe/London' });
+    await creator.update({ timeZone: 'America/New_York' });
+
+    const agent = await loginAs('creator@example.com');
+    const page = await agent.get(`/sessions/${session.id}`);
+
+    expect(page.text).toContain('13:00–14:00');
+    expect(page.text).toContain('18:00–19:00 local time in Europe/London');
+  });
+
+  it('should convert email times for recipients in another zone', async () => {
+    const session = await schedule({ timeZone: 'Europe/London' });
+    const user = User.build({ name: 'Player', timeZone: 'Asia/Tokyo' });
+
+    const message = templates.joinConfirmation({ user, session, sport });
+
+    expect(message.text).toContain('on 2030-01-07 at 03:00 (Asia/Tokyo)');
+  });
+
+  it('should save the preferred zone from the settings page', async () => {
+    const agent = await loginAs('creator@example.com');
+
+    await agent.put('/auth/settings').type('form').send({ timeZone: 'Australia/Sydney' });
+    await creator.reload();
+    expect(creator.timeZone).toBe('Australia/Sydney');
+
+    await agent.put('/auth/settings').type('form').send({ timeZone: 'Nowhere/Special' });
+    await creator.reload();
+    expect(creator.timeZone).toBe('Australia/Sydney');
+  });
+});
@@ -0,0 +1,194 @@
+const { sequelize, Sport, Session, Venue, Tournament, TournamentEntrant, TournamentMatch, MatchResult } = require('../models');
+const { knockoutDraw, allocateSlots, toMinutes } = require('../services/tournaments');
+const { futureDate, loginAs, createUser } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Tournaments', () => {
+  let admin;
+  let sport;
+  let venue;
+
+  const createTournament = async (format, names) => {
+    const tournament = await Tournament.create({ sportId: sport.id, creatorId: admin.id, name: 'Summer Cup', format });
+    for (const [index, name] of names.entries()) {
+      await TournamentEntrant.create({ tournamentId: tournament.id, name, seed: index + 1 });
+    }
+    return tournament;
+  };
+
+  const schedule = (tournament, date = '2020-01-06') => tournament.generateSchedule({
+    date,
+    times: ['10:00', '11:00', '12:00'],
+    venues: [venue],
+    playersNeeded: 2,
+    durationMinutes: 60
+  });
+
+  const recordResult = async (agent, match, scores) => {
+    await match.reload();
+    return agent.post(`/sessions/${match.sessionId}/result`).type('form').send({ scores, winner: '' });
+  };
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    admin = await createUser('Admin', 'admin@example.com', { role: 'admin' });
+    await createUser('Player One', 'player1@example.com');
+    sport = await Sport.create({ name: 'Padel', adminId: admin.id });
+    venue = await Venue.create({ name: 'Sports Hall', courts: 2, timeZone: 'UTC' });
+  });
+
+  it('should seed the draw so the top seeds get the byes', () => {
+    expect(knockoutDraw([1, 2, 3, 4, 5])).toEqual([[1, null], [4, 5], [2, null], [3, null]]);
+    expect(knockoutDraw([1, 2])).toEqual([[1, 2]]);
+
+    const slots = ['10:00', '10:00', '11:00', '12:00'].map(time => ({ time }));
+    expect(allocateSlots([2, 1], slots, 60).map(round => round.map(slot => slot.time))).toEqual([['10:00', '10:00'], ['11:00']]);
+    expect(() => allocateSlots([2, 1, 1], slots, 90)).toThrow('Not enough free courts and time slots for round 3');
+  });
+
+  it('should never put two matches on one court less than a match apart', () => {
+    const hall = { id: 1 };
+    const slots = ['10:00', '10:30', '11:00', '11:30', '12:00', '12:30', '13:00']
+      .flatMap(time => [1, 2].map(court => ({ time, venue: hall, court })));
+    const allocated = allocateSlots([3, 2, 1], slots, 60);
+
+    expect(allocated.map(round => round.map(slot => `${slot.time} c${slot.court}`))).toEqual([
+      ['10:00 c1', '10:00 c2', '11:00 c1'],
+      ['12:00 c1', '12:00 c2'],
+      ['13:00 c1']
+    ]);
+    const booked = allocated.flat();
+    booked.forEach((slot, index) => {
+      booked.slice(index + 1)
+        .filter(other => other.court === slot.court)
+        .forEach(other => expect(Math.abs(toMinutes(other.time) - toMinutes(slot.time))).toBeGreaterThanOrEqual(60));
+    });
+
+    const singleCourt = ['10:00', '10:30', '11:30'].map(time => ({ time, venue: hall, court: 1 }));
+    expect(() => allocateSlots([2, 1], singleCourt, 60)).toThrow('Not enough free courts and time slots for round 2');
+    singleCourt.push({ time: '12:30', venue: hall, court: 1 });
+    expect(allocateSlots([2, 1], singleCourt, 60).map(round => round.map(slot => slot.time))).toEqual([['10:00', '11:30'], ['12:30']]);
+  });
+
+  it('should let admins create tournaments and register entrants', async () => {
+    const player = await loginAs('player1@example.com');
+    await player.post(`/sports/${sport.id}/tournaments`).type('form').send({ name: 'Player Cup', format: 'knockout' });
+    expect(await Tournament.count()).toBe(0);
+
+    const agent = await loginAs('admin@example.com');
+    await agent.post(`/sports/${sport.id}/tournaments`).type('form').send({ name: 'Summer Cup', format: 'round_robin' });
+    const tournament = await Tournament.findOne();
+    expect(tournament.format).toBe('round_robin');
+
+    const url = `/sports/${sport.id}/tournaments/${tournament.id}`;
+    await agent.post(`${url}/entrants`).type('form').send({ name: 'Net Ninjas' });
+    await agent.post(`${url}/entrants`).type('form').send({ email: 'player1@example.com' });
+    await agent.post(`${url}/entrants`).type('form').send({ name: 'Court Kings' });
+    const first = await TournamentEntrant.findOne({ where: { name: 'Net Ninjas' } });
+    await agent.post(`${url}/entrants/${first.id}/remove`);
+
+    const entrants = await TournamentEntrant.findAll({ order: [['seed', 'ASC']] });
+    expect(entrants.map(entrant => [entrant.name, entrant.seed])).toEqual([['Player One', 1], ['Court Kings', 2]]);
+  });
+
+  it('should schedule knockout matches on free courts round after round', async () => {
+    const tournament = await createTournament('knockout', ['Aces', 'Bolts', 'Comets', 'Dunes', 'Eagles']);
+    await Session.create({
+      sportId: sport.id, creatorId: admin.id, date: futureDate(), time: '10:00', timeZone: 'UTC',
+      venueId: venue.id, court: 1, venue: 'Sports Hall (Court 1)', playersNeeded: 4
+    });
+
+    const agent = await loginAs('admin@example.com');
+    await agent.post(`/sports/${sport.id}/tournaments/${tournament.id}/schedule`).type('form').send({
+      date: futureDate(),
+      times: '10:00, 11:00, 12:00',
+      venueIds: [venue.id],
+      playersNeeded: 2,
+      durationMinutes: 60
+    });
+
+    const matches = await TournamentMatch.findAll({ include: ['session', 'homeEntrant'], order: [['round', 'ASC'], ['position', 'ASC']] });
+    expect(matches).toHaveLength(7);
+    expect(matches.filter(match => match.isBye())).toHaveLength(3);
+    expect(matches.filter(match => match.round === 2).map(match => match.homeEntrant && match.homeEntrant.name)).toEqual(['Aces', 'Bolts']);
+
+    const [quarterFinal] = matches.filter(match => !match.isBye() && match.round === 1);
+    expect([quarterFinal.session.time, quarterFinal.session.court]).toEqual(['10:00:00', 2]);
+    const semiFinals = matches.filter(match => match.round === 2).map(match => match.session.time);
+    expect(semiFinals).toEqual(['11:00:00', '11:00:00']);
+    expect(matches[6].session.time).toBe('12:00:00');
+  });
+
+  it('should send winners through to the final and crown the champion', async () => {
+    const tournament = await createTournament('knockout', ['Aces', 'Bolts', 'Comets']);
+    await schedule(tournament);
+    const [, firstRound, final] = await TournamentMatch.findAll({ order: [['round', 'ASC'], ['position', 'ASC']] });
+
+    const agent = await loginAs('admin@example.com');
+    await recordResult(agent, firstRound, ['2', '2']);
+    expect(await MatchResult.count()).toBe(0);
+
+    await recordResult(agent, firstRound, ['1', '3']);
+    await final.reload({ include: ['homeEntrant', 'awayEntrant'] });
+    expect([final.homeEntrant.name, final.awayEntrant.name]).toEqual(['Aces', 'Comets']);
+
+    await recordResult(agent, final, ['0', '1']);
+    const page = await agent.get(`/sports/${sport.id}/tournaments/${tournament.id}`);
+    expect(page.text).toContain('<strong>Comets</strong> won the tournament!');
+
+    await recordResult(agent, firstRound, ['3', '1']);
+    await final.reload({ include: ['awayEntrant'] });
+    expect(final.awayEntrant.name).toBe('Comets');
+  });
+
+  it('should not keep a result when the bracket cannot move on', async () => {
+    const tournament = await createTournament('knockout', ['Aces', 'Bolts', 'Comets']);
+    await schedule(tournament);
+    const [, firstRound, final] = await TournamentMatch.findAll({ order: [['round', 'ASC'], ['position', 'ASC']] });
+    const failure = jest.spyOn(TournamentMatch.prototype, 'recordWinner').mockRejectedValueOnce(new Error('Connection lost'));
+
+    const agent = await loginAs('admin@example.com');
+    await recordResult(agent, firstRound, ['1', '3']);
+    failure.mockRestore();
+
+    expect(await MatchResult.count()).toBe(0);
+    await final.reload();
+    expect(final.awayEntrantId).toBeNull();
+
+    await recordResult(agent, firstRound, ['1', '3']);
+    await final.reload({ include: ['awayEntrant'] });
+    expect(final.awayEntrant.name).toBe('Comets');
+  });
+
+  it('should rank round robin entrants from their results', async () => {
+    const tournament = await createTournament('round_robin', ['Aces', 'Bolts', 'Comets']);
+    await schedule(tournament);
+    const matches = await TournamentMatch.findAll({ include: ['homeEntrant', 'awayEntrant'], order: [['round', 'ASC']] });
+    expect(matches).toHaveLength(3);
+
+    const agent = await loginAs('admin@example.com');
+    for (const match of matches) {
+      const acesAtHome = match.homeEntrant.name === 'Aces';
+      const scores = acesAtHome || match.awayEntrant.name === 'Aces'
+        ? (acesAtHome ? ['2', '0'] : ['0', '2'])
+        : ['1', '1'];
+      await recordResult(agent, match, scores);
+    }
+
+    const standings = await tournament.getStandings();
+    expect(standings.map(row => [row.entrant.name, row.points])).toEqual([['Aces', 6], ['Bolts', 1], ['Comets', 1]]);
+
+    const player = await loginAs('player1@example.com');
+    const page = await player.get(`/sports/${sport.id}/tournaments/${tournament.id}`);
+    expect(page.text).toContain('Standings');
+    expect(page.text).toContain('<strong>Aces</strong> won the tournament!');
+  });
+});
@@ -0,0 +1,140 @@
+const { sequelize, Sport, Session, Venue, AuditLog, Notification } = require('../models');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Venue availability', () => {
+  let creator;
+  let sport;
+  let venue;
+
+  const book = (attributes) => createSession({
+    sport,
+    creator,
+    venue: venue.name,
+    venueId: venue.id,
+    ...attributes
+  });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    creator = await createUser('Creator', 'creator@example.com');
+    sport = await Sport.create({ name: 'Futsal', adminId: creator.id });
+    venue = await Venue.create({ name: 'Riverside', courts: 2, openingTime: '08:00', closingTime: '22:00' });
+  });
+
+  it('should reject bookings outside opening hours', async () => {
+    const result = await venue.checkAvailability({ date: futureDate(), time: '21:30' });
+
+    expect(result.available).toBe(false);
+    expect(result.message).toBe('Riverside is only open 08:00–22:00');
+  });
+
+  it('should reject an overlapping booking on the same court', async () => {
+    await book({ court: 1 });
+
+    const result = await venue.checkAvailability({ date: futureDate(), time: '18:30', court: 1 });
+
+    expect(result.available).toBe(false);
+    expect(result.message).toContain('Riverside (Court 1) is already booked');
+  });
+
+  it('should allow back-to-back bookings on the same court', async () => {
+    await book({ court: 1 });
+
+    const result = await venue.checkAvailability({ date: futureDate(), time: '19:00', court: 1 });
+
+    expect(result.available).toBe(true);
+    expect(result.warning).toBeNull();
+  });
+
+  it('should use the duration of existing bookings', async () => {
+    await book({ court: 1, durationMinutes: 120 });
+
+    const overlapping = await venue.checkAvailability({ date: futureDate(), time: '19:30', court: 1 });
+    expect(overlapping.available).toBe(false);
+
+    const afterwards = await venue.checkAvailability({ date: futureDate(), time: '20:00', court: 1 });
+    expect(afterwards.available).toBe(true);
+  });
+
+  it('should warn while a court is free and reject once all are taken', async () => {
+    await book({ court: 1 });
+
+    const partlyBooked = await venue.checkAvailability({ date: futureDate(), time: '18:00' });
+    expect(partlyBooked.available).toBe(true);
+    expect(partlyBooked.warning).toContain('1 other session is booked');
+
+    await book({ court: 2 });
+
+    const fullyBooked = await venue.checkAvailability({ date: futureDate(), time: '18:00' });
+    expect(fullyBooked.available).toBe(false);
+  });
+
+  it('should ignore cancelled and excluded sessions', async () => {
+    const cancelled = await book({ court: 1 });
+    await cancelled.cancelSession('Court resurfacing this week');
+    const existing = await book({ court: 2 });
+
+    const result = await venue.checkAvailability({
+      date: futureDate(),
+      time: '18:00',
+      court: 2,
+      excludeSessionIds: [existing.id]
+    });
+
+    expect(result.available).toBe(true);
+  });
+
+  it('should stop POST /sessions from double-booking a court', async () => {
+    await book({ court: 1 });
+
+    const agent = await loginAs('creator@example.com');
+    await agent.post('/sessions').type('form').send({
+      sportId: sport.id,
+      date: futureDate(),
+      time: '18:15',
+      venueId: venue.id,
+      court: 1,
+      playersNeeded: 10
+    });
+
+    expect(await Session.count()).toBe(1);
+  });
+
+  it('should carry venue edits to upcoming sessions only and tell their players', async () => {
+    await createUser('Admin', 'admin@example.com', { role: 'admin' });
+    const player = await createUser('Player', 'player@example.com');
+    const upcoming = await book({ court: 1, venue: 'Riverside (Court 1)' });
+    await upcoming.addPlayer(player);
+    const cancelled = await book({ court: 2, venue: 'Riverside (Court 2)' });
+    await cancelled.cancelSession('Court resurfacing this week');
+    const past = await book({ date: '2020-01-05', court: 1, venue: 'Riverside (Court 1)' });
+
+    const agent = await loginAs('admin@example.com');
+    await agent.put(`/admin/venues/${venue.id}`).type('form').send({
+      name: 'Riverside Park',
+      courts: 2,
+      openingTime: '08:00',
+      closingTime: '22:00',
+      timeZone: venue.timeZone
+    });
+
+    await Promise.all([upcoming, cancelled, past].map(session => session.reload()));
+    expect([upcoming.venue, cancelled.venue, past.venue])
+      .toEqual(['Riverside Park (Court 1)', 'Riverside (Court 2)', 'Riverside (Court 1)']);
+
+    const entries = await AuditLog.findAll({ where: { action: 'session.updated' } });
+    expect(entries.map(entry => [entry.entityId, entry.changes])).toEqual([
+      [upcoming.id, { venue: { from: 'Riverside (Court 1)', to: 'Riverside Park (Court 1)' } }]
+    ]);
+    expect(await Notification.count({ where: { userId: player.id, type: 'session_updated' } })).toBe(1);
+  });
+});
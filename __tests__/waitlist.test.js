@@ -0,0 +1,68 @@
+const { sequelize } = require('../models');
+const { createFixtures, createSession } = require('./helpers');
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+});
+
+afterAll(async () => {
+  await sequelize.close();
+});
+
+describe('Session waitlist', () => {
+  let creator;
+  let players;
+  let session;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+
+    let sport;
+    ({ creator, players, sport } = await createFixtures({ playerCount: 3 }));
+    session = await createSession({ sport, creator, playersNeeded: 1 });
+    await session.addPlayer(players[0]);
+  });
+
+  it('should queue players in the order they joined', async () => {
+    expect(await session.addToWaitlist(players[1].id)).toBe(1);
+    expect(await session.addToWaitlist(players[2].id)).toBe(2);
+    expect(await session.getWaitlistPosition(players[2].id)).toBe(2);
+  });
+
+  it('should not add the same player twice', async () => {
+    await session.addToWaitlist(players[1].id);
+    await expect(session.addToWaitlist(players[1].id)).rejects.toThrow('You are already on the waitlist');
+  });
+
+  it('should promote the first waitlisted player when a slot opens', async () => {
+    await session.addToWaitlist(players[1].id);
+    await session.addToWaitlist(players[2].id);
+
+    await session.removePlayer(players[0]);
+    const promoted = await session.promoteFromWaitlist();
+
+    expect(promoted.map(user => user.id)).toEqual([players[1].id]);
+    expect(await session.hasUserJoined(players[1].id)).toBe(true);
+    expect(await session.getWaitlistPosition(players[2].id)).toBe(1);
+  });
+
+  it('should promote as many players as the raised capacity allows', async () => {
+    await session.addToWaitlist(players[1].id);
+    await session.addToWaitlist(players[2].id);
+
+    await session.update({ playersNeeded: 3 });
+    const promoted = await session.promoteFromWaitlist();
+
+    expect(promoted).toHaveLength(2);
+    expect(await session.countPlayers()).toBe(3);
+    expect(await session.getWaitlistPosition(players[2].id)).toBeNull();
+  });
+
+  it('should not promote into a cancelled session', async () => {
+    await session.addToWaitlist(players[1].id);
+    await session.removePlayer(players[0]);
+    await session.cancelSession('Pitch flooded after the storm');
+
+    expect(await session.promoteFromWaitlist()).toEqual([]);
+  });
+});
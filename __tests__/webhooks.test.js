@@ -0,0 +1,171 @@
+const http = require('http');
+const { sequelize, Sport, Session, Webhook, WebhookDelivery } = require('../models');
+const webhooks = require('../services/webhooks');
+const { futureDate, loginAs, createUser, createSession } = require('./helpers');
+
+// A local endpoint that records what it receives and answers with the next
+// queued status code (200 once the queue is empty).
+const receiver = {
+  requests: [],
+  statuses: [],
+  server: http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() || 200);
+      res.end('ok');
+    });
+  })
+};
+
+beforeAll(async () => {
+  await sequelize.sync({ force: true });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => receiver.server.close(resolve));
+  await sequelize.close();
+});
+
+describe('Webhooks', () => {
+  let admin;
+  let player;
+  let sport;
+  let url;
+
+  const createWebhook = (eventTypes, attributes = {}) => Webhook.create({
+    name: 'Chat bot',
+    url,
+    secret: 'a-very-secret-value',
+    eventTypes,
+    ...attributes
+  });
+
+  const schedule = () => createSession({ sport, creator: admin, venue: 'Park' });
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    receiver.requests = [];
+    receiver.statuses = [];
+    url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+
+    admin = await createUser('Admin', 'admin@example.com', { role: 'admin' });
+    player = await createUser('Player', 'player@example.com');
+    sport = await Sport.create({ name: 'Football', adminId: admin.id });
+  });
+
+  it('should let admins register webhooks', async () => {
+    const form = { name: 'Chat bot', url, eventTypes: ['session.created', 'player.joined'] };
+
+    const playerAgent = await loginAs('player@example.com');
+    await playerAgent.post('/admin/webhooks').type('form').send(form);
+    expect(await Webhook.count()).toBe(0);
+
+    const agent = await loginAs('admin@example.com');
+    await agent.post('/admin/webhooks').type('form').send({ ...form, eventTypes: ['session.exploded'] });
+    expect(await Webhook.count()).toBe(0);
+
+    await agent.post('/admin/webhooks').type('form').send(form);
+    const webhook = await Webhook.findOne();
+    expect(webhook.eventTypes).toEqual(['session.created', 'player.joined']);
+    expect(webhook.secret).toHaveLength(48);
+    expect(webhook.creatorId).toBe(admin.id);
+  });
+
+  it('should deliver signed payloads for subscribed events only', async () => {
+    await createWebhook(['session.created', 'player.joined']);
+
+    const agent = await loginAs('admin@example.com');
+    await agent.post('/sessions').type('form').send({
+      sportId: sport.id, date: futureDate(), time: '18:00', venue: 'Park', playersNeeded: 10
+    });
+    const session = await Session.findOne();
+    const playerAgent = await loginAs('player@example.com');
+    await playerAgent.post(`/player/sessions/${session.id}/join`);
+    await agent.post(`/sessions/${session.id}/cancel`).type('form').send({ reason: 'The pitch is flooded' });
+
+    const deliveries = await webhooks.deliverDue();
+    expect(deliveries.map(delivery => delivery.status)).toEqual(['succeeded', 'succeeded']);
+    expect(receiver.requests.map(received => received.headers['x-webhook-event'])).toEqual(['session.created', 'player.joined']);
+
+    const { headers, body } = receiver.requests[1];
+    const signature = webhooks.sign('a-very-secret-value', headers['x-webhook-timestamp'], body);
+    expect(headers['x-webhook-signature']).toBe(`sha256=${signature}`);
+
+    const payload = JSON.parse(body);
+    expect(payload.event).toBe('player.joined');
+    expect(payload.data.player).toEqual({ id: player.id, name: 'Player' });
+    expect(payload.data.session).toMatchObject({ id: session.id, headcount: 1, sport: { name: 'Football' } });
+  });
+
+  it('should retry failed deliveries with backoff', async () => {
+    await createWebhook(['session.cancelled']);
+    const session = await schedule();
+    await webhooks.enqueue('session.cancelled', { session, actor: admin, reason: 'Rained off' });
+    receiver.statuses = [500, 503];
+
+    const now = new Date();
+    const [delivery] = await webhooks.deliverDue(now);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.responseStatus).toBe(500);
+    expect(delivery.nextAttemptAt.getTime() - now.getTime()).toBe(30 * 1000);
+
+    expect(await webhooks.deliverDue(new Date(now.getTime() + 10 * 1000))).toHaveLength(0);
+    await webhooks.deliverDue(new Date(now.getTime() + 30 * 1000));
+    await delivery.reload();
+    expect([delivery.attempts, delivery.status]).toEqual([2, 'pending']);
+    expect(delivery.nextAttemptAt.getTime() - now.getTime()).toBe(90 * 1000);
+
+    await webhooks.deliverDue(new Date(now.getTime() + 90 * 1000));
+    await delivery.reload();
+    expect([delivery.attempts, delivery.status]).toEqual([3, 'succeeded']);
+    expect(JSON.parse(receiver.requests[2].body).data.reason).toBe('Rained off');
+  });
+
+  it('should give up after the last attempt and allow a manual retry', async () => {
+    const webhook = await createWebhook(['session.cancelled']);
+    const session = await schedule();
+    await webhooks.enqueue('session.cancelled', { session, actor: admin, reason: 'Rained off' });
+    receiver.statuses = Array(WebhookDelivery.MAX_ATTEMPTS).fill(500);
+
+    let now = new Date();
+    for (let attempt = 0; attempt < WebhookDelivery.MAX_ATTEMPTS; attempt++) {
+      await webhooks.deliverDue(now);
+      now = new Date(now.getTime() + 60 * 60 * 1000);
+    }
+    const delivery = await WebhookDelivery.findOne();
+    expect([delivery.attempts, delivery.status]).toEqual([WebhookDelivery.MAX_ATTEMPTS, 'failed']);
+
+    const agent = await loginAs('admin@example.com');
+    const page = await agent.get(`/admin/webhooks/${webhook.id}`);
+    expect(page.text).toContain('Failed');
+    expect(page.text).toContain('Endpoint answered 500');
+
+    await agent.post(`/admin/webhooks/${webhook.id}/deliveries/${delivery.id}/retry`);
+    await delivery.reload();
+    expect([delivery.attempts, delivery.status]).toEqual([1, 'succeeded']);
+  });
+
+  it('should report players leaving and skip paused webhooks', async () => {
+    await createWebhook(['player.left', 'session.updated']);
+    await createWebhook(['player.left'], { name: 'Paused bot', active: false });
+    const session = await schedule();
+    await session.addPlayer(player);
+
+    const playerAgent = await loginAs('player@example.com');
+    await playerAgent.post(`/player/sessions/${session.id}/leave`);
+    const agent = await loginAs('admin@example.com');
+    await agent.put(`/sessions/${session.id}`).type('form').send({
+      sportId: sport.id, date: futureDate(), time: '19:00', venue: 'Park', playersNeeded: 10
+    });
+
+    await webhooks.deliverDue();
+    const payloads = receiver.requests.map(received => JSON.parse(received.body));
+    expect(payloads.map(payload => payload.event)).toEqual(['player.left', 'session.updated']);
+    expect(payloads[0].data.session.headcount).toBe(0);
+    expect(payloads[1].data.changes.time).toEqual({ from: '18:00', to: '19:00' });
+    expect(await WebhookDelivery.count()).toBe(2);
+  });
+});
@@ -6,12 +6,22 @@ const passport = require('passport');
 const LocalStrategy = require('passport-local').Strategy;
 const flash = require('connect-flash');
 const methodOverride = require('method-override');
-const { User } = require('./models');
+const { AccessToken, User, Notification } = require('./models');
+const { authenticateBearer } = require('./middleware/auth');
+const BearerStrategy = require('./services/bearerStrategy');
+const events = require('./services/events');
+const skillLevels = require('./services/skillLevels');
+
+require('./services/notifications').subscribe(events);
+require('./services/emails').subscribe(events);
+require('./services/webhooks').subscribe(events);
+require('./services/liveUpdates').subscribe(events);
 
 const app = express();
 
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
+app.locals.skillLevels = skillLevels.SKILL_LEVELS;
 
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -43,6 +53,7 @@ app.use(flash());
 
 app.use(passport.initialize());
 app.use(passport.session());
+app.use(authenticateBearer);
 
 passport.use('local', new LocalStrategy(
   { usernameField: 'email' },
@@ -63,6 +74,19 @@ passport.use('local', new LocalStrategy(
   }
 ));
 
+passport.use('bearer', new BearerStrategy(async (token, done) => {
+  try {
+    const accessToken = await AccessToken.findActive(token);
+    if (!accessToken) {
+      return done(null, false);
+    }
+    await accessToken.touch();
+    return done(null, accessToken.user, { accessToken });
+  } catch (error) {
+    return done(error);
+  }
+}));
+
 passport.serializeUser((user, done) => {
   done(null, user.id);
 });
@@ -88,10 +112,20 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   res.locals.user = req.user;
   res.locals.success = req.flash('success') || [];
   res.locals.error = req.flash('error') || [];
+  res.locals.unreadNotifications = 0;
+  // Null means "show each session in its own zone"
+  res.locals.viewerTimeZone = req.user ? req.user.timeZone : null;
+  if (req.user) {
+    try {
+      res.locals.unreadNotifications = await Notification.countUnread(req.user.id);
+    } catch (error) {
+      console.error('Unread notifications error:', error);
+    }
+  }
   next();
 });
 
@@ -100,7 +134,12 @@ app.use('/auth', require('./routes/auth'));
 app.use('/admin', require('./routes/admin'));
 app.use('/player', require('./routes/player'));
 app.use('/sports', require('./routes/sports'));
+app.use('/sports/:sportId/leagues', require('./routes/leagues'));
+app.use('/sports/:sportId/tournaments', require('./routes/tournaments'));
 app.use('/sessions', require('./routes/sessions'));
+app.use('/notifications', require('./routes/notifications'));
+app.use('/calendar', require('./routes/calendar'));
+app.use('/api/v1', require('./routes/api'));
 
 app.use((req, res, next) => {
   res.status(404).render('error', {
@@ -1,5 +1,7 @@
 const app = require('./app');
 const { sequelize } = require('./models');
+const lifecycle = require('./services/lifecycle');
+const webhooks = require('./services/webhooks');
 
 const PORT = process.env.PORT || 3000;
 
@@ -9,6 +11,13 @@ app.listen(PORT, async () => {
   try {
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully');
+
+    // Marks finished sessions completed and auto-cancels under-subscribed
+    // ones; set LIFECYCLE_INTERVAL_MINUTES=0 to run it elsewhere instead.
+    lifecycle.start({ intervalMinutes: Number(process.env.LIFECYCLE_INTERVAL_MINUTES || 5) });
+
+    // Sends queued webhook deliveries and retries failed ones
+    webhooks.start({ intervalSeconds: Number(process.env.WEBHOOK_INTERVAL_SECONDS || 30) });
   } catch (error) {
     console.error('❌ Unable to connect to the database:', error.message);
     process.exit(1);
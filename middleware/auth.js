@@ -1,3 +1,5 @@
+const passport = require('passport');
+
 const safeIsAuthenticated = (req) => {
   return (typeof req.isAuthenticated === 'function') ? req.isAuthenticated() : !!req.user;
 };
@@ -23,8 +25,42 @@ const role = req.user && req.user.role;
   }
 };
 
+// Requests made with an access token are limited to what its scope allows
+const tokenOf = (req) => (req.authInfo && req.authInfo.accessToken) || null;
+
+// Scripts send a personal access token as "Authorization: Bearer <token>"
+// instead of logging in. The user it belongs to is signed in for this
+// request only, so the usual checks below apply to them.
+const authenticateBearer = (req, res, next) => {
+  if (!/^Bearer\s/i.test(req.get('Authorization') || '')) {
+    return next();
+  }
+
+  passport.authenticate('bearer', { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      return res.status(401).json({ error: { code: 'unauthorized', message: 'Invalid or revoked access token' } });
+    }
+
+    req.logIn(user, { session: false }, (loginErr) => {
+      if (loginErr) {
+        return next(loginErr);
+      }
+      req.authInfo = info;
+
+      if (!info.accessToken.allowsRequest(req.method, req.path)) {
+        return res.status(403).json({ error: { code: 'forbidden', message: 'This access token is not allowed to make this request' } });
+      }
+      next();
+    });
+  })(req, res, next);
+};
+
 const ensureAdmin = (req, res, next) => {
-  if (safeIsAuthenticated(req) && req.user && req.user.role === 'admin') {
+  const token = tokenOf(req);
+  if (safeIsAuthenticated(req) && req.user && req.user.role === 'admin' && (!token || token.allowsAdmin())) {
     return next();
   }
   req.flash('error', 'Access denied. Admin privileges required.');
@@ -61,6 +97,7 @@ const ensurePlayer = (req, res, next) => {
 };
 
 module.exports = {
+  authenticateBearer,
   ensureAuthenticated,
   ensureNotAuthenticated,
   ensureAdmin,
@@ -0,0 +1,85 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('SessionSeries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      sportId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Sports',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      creatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      frequency: {
+        type: Sequelize.ENUM('weekly'),
+        allowNull: false,
+        defaultValue: 'weekly'
+      },
+      interval: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      weekdays: {
+        type: Sequelize.ARRAY(Sequelize.INTEGER),
+        allowNull: false,
+        defaultValue: []
+      },
+      untilDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      occurrenceCount: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('SessionSeries', ['creatorId']);
+
+    await queryInterface.addColumn('Sessions', 'seriesId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'SessionSeries',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('Sessions', ['seriesId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Sessions', 'seriesId');
+    await queryInterface.dropTable('SessionSeries');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Users', 'calendarToken', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'calendarToken');
+  }
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Venues', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      courts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      openingTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      closingTime: {
+        type: Sequelize.TIME,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addColumn('Sessions', 'venueId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Venues',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('Sessions', 'court', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('Sessions', ['venueId', 'date']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Sessions', 'court');
+    await queryInterface.removeColumn('Sessions', 'venueId');
+    await queryInterface.dropTable('Venues');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Sessions', 'durationMinutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 60
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Sessions', 'durationMinutes');
+  }
+};
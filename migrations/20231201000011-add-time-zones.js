@@ -0,0 +1,32 @@
+'use strict';
+
+// Existing sessions were scheduled in the server's local zone, so that is
+// what they are backfilled with unless DEFAULT_TIME_ZONE says otherwise.
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Venues', 'timeZone', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: DEFAULT_TIME_ZONE
+    });
+
+    await queryInterface.addColumn('Sessions', 'timeZone', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: DEFAULT_TIME_ZONE
+    });
+
+    await queryInterface.addColumn('Users', 'timeZone', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Users', 'timeZone');
+    await queryInterface.removeColumn('Sessions', 'timeZone');
+    await queryInterface.removeColumn('Venues', 'timeZone');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Sessions', 'minPlayers', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('Sessions', 'autoCancelHours', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('Sessions', ['status', 'date']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Sessions', ['status', 'date']);
+    await queryInterface.removeColumn('Sessions', 'autoCancelHours');
+    await queryInterface.removeColumn('Sessions', 'minPlayers');
+  }
+};
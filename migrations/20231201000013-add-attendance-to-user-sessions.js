@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('UserSessions', 'attendance', {
+      type: Sequelize.ENUM('attended', 'no_show', 'late_cancel'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('UserSessions', 'attendanceMarkedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('UserSessions', 'attendanceMarkedAt');
+    await queryInterface.removeColumn('UserSessions', 'attendance');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_UserSessions_attendance";');
+  }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const userReference = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: false,
+  references: {
+    model: 'Users',
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+});
+
+const sessionReference = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: false,
+  references: {
+    model: 'Sessions',
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+});
+
+const idAndTimestamps = (Sequelize, columns) => ({
+  id: {
+    allowNull: false,
+    autoIncrement: true,
+    primaryKey: true,
+    type: Sequelize.INTEGER
+  },
+  ...columns,
+  createdAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  },
+  updatedAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Sessions', 'requiresApproval', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.createTable('SessionRemovals', idAndTimestamps(Sequelize, {
+      sessionId: sessionReference(Sequelize),
+      userId: userReference(Sequelize),
+      removedById: userReference(Sequelize),
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      }
+    }));
+
+    await queryInterface.addConstraint('SessionRemovals', {
+      fields: ['sessionId', 'userId'],
+      type: 'unique',
+      name: 'unique_session_removal'
+    });
+
+    await queryInterface.addIndex('SessionRemovals', ['userId']);
+
+    await queryInterface.createTable('UserBlocks', idAndTimestamps(Sequelize, {
+      blockerId: userReference(Sequelize),
+      blockedId: userReference(Sequelize)
+    }));
+
+    await queryInterface.addConstraint('UserBlocks', {
+      fields: ['blockerId', 'blockedId'],
+      type: 'unique',
+      name: 'unique_user_block'
+    });
+
+    await queryInterface.createTable('JoinRequests', idAndTimestamps(Sequelize, {
+      sessionId: sessionReference(Sequelize),
+      userId: userReference(Sequelize),
+      status: {
+        type: Sequelize.ENUM('pending', 'declined'),
+        allowNull: false,
+        defaultValue: 'pending'
+      }
+    }));
+
+    await queryInterface.addConstraint('JoinRequests', {
+      fields: ['sessionId', 'userId'],
+      type: 'unique',
+      name: 'unique_join_request'
+    });
+
+    await queryInterface.addIndex('JoinRequests', ['userId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('JoinRequests');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_JoinRequests_status";');
+    await queryInterface.dropTable('UserBlocks');
+    await queryInterface.dropTable('SessionRemovals');
+    await queryInterface.removeColumn('Sessions', 'requiresApproval');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Sessions', 'visibility', {
+      type: Sequelize.ENUM('public', 'unlisted', 'invite_only'),
+      allowNull: false,
+      defaultValue: 'public'
+    });
+
+    await queryInterface.addColumn('Sessions', 'inviteCode', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('Sessions', 'inviteCode');
+    await queryInterface.removeColumn('Sessions', 'visibility');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Sessions_visibility";');
+  }
+};
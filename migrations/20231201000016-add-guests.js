@@ -0,0 +1,28 @@
+'use strict';
+
+const GUEST_TABLES = ['UserSessions', 'WaitlistEntries', 'JoinRequests'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Sessions', 'maxGuestsPerPlayer', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    for (const table of GUEST_TABLES) {
+      await queryInterface.addColumn(table, 'guests', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const table of GUEST_TABLES) {
+      await queryInterface.removeColumn(table, 'guests');
+    }
+    await queryInterface.removeColumn('Sessions', 'maxGuestsPerPlayer');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('Sessions', 'teamCount', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('UserSessions', 'team', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('UserSessions', 'team');
+    await queryInterface.removeColumn('Sessions', 'teamCount');
+  }
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const reference = (Sequelize, model) => ({
+  type: Sequelize.INTEGER,
+  allowNull: false,
+  references: {
+    model,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+});
+
+const idAndTimestamps = (Sequelize, columns) => ({
+  id: {
+    allowNull: false,
+    autoIncrement: true,
+    primaryKey: true,
+    type: Sequelize.INTEGER
+  },
+  ...columns,
+  createdAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  },
+  updatedAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('MatchResults', idAndTimestamps(Sequelize, {
+      sessionId: {
+        ...reference(Sequelize, 'Sessions'),
+        unique: true
+      },
+      recordedById: reference(Sequelize, 'Users'),
+      winningTeam: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      statLabel: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      }
+    }));
+
+    await queryInterface.createTable('TeamScores', idAndTimestamps(Sequelize, {
+      resultId: reference(Sequelize, 'MatchResults'),
+      team: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      score: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      }
+    }));
+
+    await queryInterface.addConstraint('TeamScores', {
+      fields: ['resultId', 'team'],
+      type: 'unique',
+      name: 'unique_team_score'
+    });
+
+    await queryInterface.createTable('PlayerStats', idAndTimestamps(Sequelize, {
+      resultId: reference(Sequelize, 'MatchResults'),
+      userId: reference(Sequelize, 'Users'),
+      value: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      }
+    }));
+
+    await queryInterface.addConstraint('PlayerStats', {
+      fields: ['resultId', 'userId'],
+      type: 'unique',
+      name: 'unique_player_stat'
+    });
+
+    await queryInterface.createTable('MatchResultRevisions', idAndTimestamps(Sequelize, {
+      resultId: reference(Sequelize, 'MatchResults'),
+      editedById: reference(Sequelize, 'Users'),
+      summary: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      }
+    }));
+
+    await queryInterface.addIndex('MatchResultRevisions', ['resultId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('MatchResultRevisions');
+    await queryInterface.dropTable('PlayerStats');
+    await queryInterface.dropTable('TeamScores');
+    await queryInterface.dropTable('MatchResults');
+  }
+};
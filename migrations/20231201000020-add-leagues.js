@@ -0,0 +1,124 @@
+'use strict';
+
+const idAndTimestamps = (Sequelize, columns) => ({
+  id: {
+    allowNull: false,
+    autoIncrement: true,
+    primaryKey: true,
+    type: Sequelize.INTEGER
+  },
+  ...columns,
+  createdAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  },
+  updatedAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  }
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Leagues', idAndTimestamps(Sequelize, {
+      sportId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Sports',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      creatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      }
+    }));
+
+    await queryInterface.createTable('LeagueMembers', idAndTimestamps(Sequelize, {
+      leagueId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Leagues',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }
+    }));
+
+    await queryInterface.addConstraint('LeagueMembers', {
+      fields: ['leagueId', 'name'],
+      type: 'unique',
+      name: 'unique_league_member_name'
+    });
+
+    await queryInterface.addColumn('Sessions', 'leagueId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Leagues',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('Sessions', 'round', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    for (const column of ['homeMemberId', 'awayMemberId']) {
+      await queryInterface.addColumn('Sessions', column, {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'LeagueMembers',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    await queryInterface.addIndex('Sessions', ['leagueId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('Sessions', ['leagueId']);
+    await queryInterface.removeColumn('Sessions', 'awayMemberId');
+    await queryInterface.removeColumn('Sessions', 'homeMemberId');
+    await queryInterface.removeColumn('Sessions', 'round');
+    await queryInterface.removeColumn('Sessions', 'leagueId');
+    await queryInterface.dropTable('LeagueMembers');
+    await queryInterface.dropTable('Leagues');
+  }
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+const idAndTimestamps = (Sequelize, columns) => ({
+  id: {
+    allowNull: false,
+    autoIncrement: true,
+    primaryKey: true,
+    type: Sequelize.INTEGER
+  },
+  ...columns,
+  createdAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  },
+  updatedAt: {
+    allowNull: false,
+    type: Sequelize.DATE
+  }
+});
+
+const entrantReference = (Sequelize) => ({
+  type: Sequelize.INTEGER,
+  allowNull: true,
+  references: {
+    model: 'TournamentEntrants',
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: 'SET NULL'
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Tournaments', idAndTimestamps(Sequelize, {
+      sportId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Sports',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      creatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.ENUM('knockout', 'round_robin'),
+        allowNull: false,
+        defaultValue: 'knockout'
+      }
+    }));
+
+    await queryInterface.createTable('TournamentEntrants', idAndTimestamps(Sequelize, {
+      tournamentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Tournaments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      seed: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      }
+    }));
+
+    await queryInterface.addConstraint('TournamentEntrants', {
+      fields: ['tournamentId', 'name'],
+      type: 'unique',
+      name: 'unique_tournament_entrant_name'
+    });
+
+    await queryInterface.createTable('TournamentMatches', idAndTimestamps(Sequelize, {
+      tournamentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Tournaments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      round: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      position: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      homeEntrantId: entrantReference(Sequelize),
+      awayEntrantId: entrantReference(Sequelize),
+      winnerEntrantId: entrantReference(Sequelize),
+      sessionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        unique: true,
+        references: {
+          model: 'Sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      }
+    }));
+
+    await queryInterface.addConstraint('TournamentMatches', {
+      fields: ['tournamentId', 'round', 'position'],
+      type: 'unique',
+      name: 'unique_tournament_match_slot'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('TournamentMatches');
+    await queryInterface.dropTable('TournamentEntrants');
+    await queryInterface.dropTable('Tournaments');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Tournaments_format";');
+  }
+};
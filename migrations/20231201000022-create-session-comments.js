@@ -0,0 +1,73 @@
+'use strict';
+
+const NOTIFICATION_TYPES = ['session_cancelled', 'session_updated', 'waitlist_promoted', 'player_removed'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('SessionComments', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      sessionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Sessions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      editedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('SessionComments', ['sessionId']);
+
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_Notifications_type" ADD VALUE IF NOT EXISTS \'comment_posted\';'
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres can't drop a single enum value, so rebuild the type without it
+    await queryInterface.sequelize.query('DELETE FROM "Notifications" WHERE "type" = \'comment_posted\';');
+    await queryInterface.sequelize.query('ALTER TYPE "enum_Notifications_type" RENAME TO "enum_Notifications_type_old";');
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "enum_Notifications_type" AS ENUM (${NOTIFICATION_TYPES.map(type => `'${type}'`).join(', ')});`
+    );
+    await queryInterface.sequelize.query(
+      'ALTER TABLE "Notifications" ALTER COLUMN "type" TYPE "enum_Notifications_type" USING "type"::text::"enum_Notifications_type";'
+    );
+    await queryInterface.sequelize.query('DROP TYPE "enum_Notifications_type_old";');
+
+    await queryInterface.dropTable('SessionComments');
+  }
+};
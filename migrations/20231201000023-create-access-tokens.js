@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('AccessTokens', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      prefix: {
+        type: Sequelize.STRING(12),
+        allowNull: false
+      },
+      scope: {
+        type: Sequelize.ENUM('read', 'sessions:write', 'admin'),
+        allowNull: false,
+        defaultValue: 'read'
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('AccessTokens', ['userId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('AccessTokens');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_AccessTokens_scope";');
+  }
+};
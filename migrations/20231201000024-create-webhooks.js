@@ -0,0 +1,128 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('Webhooks', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      creatorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      secret: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      eventTypes: {
+        type: Sequelize.ARRAY(Sequelize.STRING),
+        allowNull: false,
+        defaultValue: []
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable('WebhookDeliveries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      webhookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Webhooks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      event: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      responseBody: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('WebhookDeliveries', ['webhookId']);
+    await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('WebhookDeliveries');
+    await queryInterface.dropTable('Webhooks');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_WebhookDeliveries_status";');
+  }
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('AuditLogs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      entityType: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      entityId: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('AuditLogs', ['entityType', 'entityId']);
+    await queryInterface.addIndex('AuditLogs', ['actorId']);
+    await queryInterface.addIndex('AuditLogs', ['createdAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('AuditLogs');
+  }
+};
@@ -0,0 +1,147 @@
+'use strict';
+const { Model } = require('sequelize');
+const crypto = require('crypto');
+
+const SCOPES = ['read', 'sessions:write', 'admin'];
+
+const SCOPE_LABELS = {
+  read: 'Read only',
+  'sessions:write': 'Read and manage sessions',
+  admin: 'Full access, including admin'
+};
+
+const TOKEN_PREFIX = 'ssp_';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Paths a sessions:write token may change: creating, editing, cancelling,
+// joining and leaving sessions on the site or through the API.
+const SESSION_PATHS = [/^\/api\/v1\/sessions(\/|$)/, /^\/sessions(\/|$)/, /^\/player\/sessions\//];
+
+module.exports = (sequelize, DataTypes) => {
+  // A personal access token lets scripts act as the user by sending
+  // "Authorization: Bearer <token>". Only a hash is stored; the token itself
+  // is shown once when it is created.
+  class AccessToken extends Model {
+    static associate(models) {
+      AccessToken.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+
+    static hashToken(token) {
+      return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Creates a token for the user, resolving to { accessToken, token } where
+    // `token` is the plain value to hand over.
+    static async issue(user, { name, scope }) {
+      if (scope === 'admin' && user.role !== 'admin') {
+        throw new Error('Only admins can create admin tokens');
+      }
+
+      const token = TOKEN_PREFIX + crypto.randomBytes(20).toString('hex');
+      const accessToken = await AccessToken.create({
+        userId: user.id,
+        name,
+        scope,
+        tokenHash: AccessToken.hashToken(token),
+        prefix: token.slice(0, 12)
+      });
+      return { accessToken, token };
+    }
+
+    // The unrevoked token with this value, with its user loaded
+    static async findActive(token) {
+      if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+      return await AccessToken.findOne({
+        where: { tokenHash: AccessToken.hashToken(token), revokedAt: null },
+        include: ['user']
+      });
+    }
+
+    isRevoked() {
+      return this.revokedAt !== null;
+    }
+
+    async revoke() {
+      await this.update({ revokedAt: new Date() });
+    }
+
+    async touch() {
+      await this.update({ lastUsedAt: new Date() }, { silent: true });
+    }
+
+    getScopeLabel() {
+      return SCOPE_LABELS[this.scope];
+    }
+
+    // Read-only tokens can only look; sessions:write tokens can also change
+    // sessions; admin tokens can do anything their user can.
+    allowsRequest(method, path) {
+      if (this.scope === 'admin' || READ_METHODS.includes(method)) return true;
+      return this.scope === 'sessions:write' && SESSION_PATHS.some(pattern => pattern.test(path));
+    }
+
+    allowsAdmin() {
+      return this.scope === 'admin';
+    }
+  }
+
+  AccessToken.SCOPES = SCOPES;
+  AccessToken.SCOPE_LABELS = SCOPE_LABELS;
+
+  AccessToken.init(
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          len: { args: [2, 100], msg: "Token name must be between 2 and 100 characters" }
+        }
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      prefix: {
+        type: DataTypes.STRING(12),
+        allowNull: false
+      },
+      scope: {
+        type: DataTypes.ENUM(...SCOPES),
+        allowNull: false,
+        defaultValue: 'read',
+        validate: {
+          isIn: { args: [SCOPES], msg: "Please choose a valid scope" }
+        }
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+      }
+    },
+    {
+      sequelize,
+      modelName: 'AccessToken',
+      tableName: 'AccessTokens',
+      indexes: [
+        { fields: ['userId'] }
+      ]
+    }
+  );
+
+  return AccessToken;
+};
@@ -0,0 +1,139 @@
+'use strict';
+const { Model } = require('sequelize');
+const timezones = require('../services/timezones');
+
+const ENTITY_TYPES = ['session', 'sport'];
+
+const ACTION_LABELS = {
+  'session.updated': 'Session changed',
+  'session.cancelled': 'Session cancelled',
+  'sport.updated': 'Sport changed'
+};
+
+const FIELD_LABELS = {
+  sport: 'Sport',
+  date: 'Date',
+  time: 'Time',
+  timeZone: 'Time zone',
+  durationMinutes: 'Duration (minutes)',
+  venue: 'Venue',
+  playersNeeded: 'Players needed',
+  status: 'Status',
+  cancellationReason: 'Reason',
+  name: 'Name'
+};
+
+const APPEND_ONLY = 'Audit log entries cannot be changed or deleted';
+
+module.exports = (sequelize, DataTypes) => {
+  // Who changed what on a session or sport, with each field's value before
+  // and after. Entries are only ever added, so they are never updated and
+  // outlive the thing they describe.
+  class AuditLog extends Model {
+    static associate(models) {
+      AuditLog.belongsTo(models.User, {
+        foreignKey: 'actorId',
+        as: 'actor'
+      });
+    }
+
+    // `changes` maps each field to { from, to }. A null actor is the app
+    // itself, such as the lifecycle job cancelling a session.
+    static async record({ actor = null, action, entityType, entityId, changes }, options = {}) {
+      return await AuditLog.create({
+        actorId: actor ? actor.id : null,
+        action,
+        entityType,
+        entityId,
+        changes
+      }, options);
+    }
+
+    static forEntity(entityType, entityId) {
+      return AuditLog.findAll({
+        where: { entityType, entityId },
+        include: ['actor'],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']]
+      });
+    }
+
+    getActionLabel() {
+      return ACTION_LABELS[this.action] || this.action;
+    }
+
+    getTimestampLabel(timeZone = null) {
+      const zone = timeZone || timezones.DEFAULT_TIME_ZONE;
+      return `${timezones.formatDate(this.createdAt, zone)} ${timezones.formatTime(this.createdAt, zone)}`;
+    }
+
+    getActorName() {
+      return this.actor ? this.actor.name : 'System';
+    }
+
+    // [{ field, label, from, to }] with blank values shown as "none"
+    getChangeList() {
+      const show = (value) => (value === null || value === undefined || value === '' ? 'none' : String(value));
+      return Object.entries(this.changes || {}).map(([field, { from, to }]) => ({
+        field,
+        label: FIELD_LABELS[field] || field,
+        from: show(from),
+        to: show(to)
+      }));
+    }
+  }
+
+  AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+  AuditLog.ACTION_LABELS = ACTION_LABELS;
+
+  AuditLog.init(
+    {
+      actorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' }
+      },
+      action: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        validate: {
+          isIn: { args: [Object.keys(ACTION_LABELS)], msg: "Unknown audit action" }
+        }
+      },
+      entityType: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        validate: {
+          isIn: { args: [ENTITY_TYPES], msg: "Unknown audit entity" }
+        }
+      },
+      entityId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      changes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      }
+    },
+    {
+      sequelize,
+      modelName: 'AuditLog',
+      tableName: 'AuditLogs',
+      updatedAt: false,
+      indexes: [
+        { fields: ['entityType', 'entityId'] },
+        { fields: ['actorId'] },
+        { fields: ['createdAt'] }
+      ],
+      hooks: {
+        beforeUpdate() { throw new Error(APPEND_ONLY); },
+        beforeDestroy() { throw new Error(APPEND_ONLY); },
+        beforeBulkUpdate() { throw new Error(APPEND_ONLY); },
+        beforeBulkDestroy() { throw new Error(APPEND_ONLY); }
+      }
+    }
+  );
+
+  return AuditLog;
+};
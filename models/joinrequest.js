@@ -0,0 +1,63 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // A request to join a session that needs the organizer's approval. Approved
+  // requests are deleted once the player is in; declined ones are kept so the
+  // player can see the outcome and cannot ask again.
+  class JoinRequest extends Model {
+    static associate(models) {
+      JoinRequest.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+
+      JoinRequest.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+
+    isPending() {
+      return this.status === 'pending';
+    }
+  }
+
+  JoinRequest.init(
+    {
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'declined'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      guests: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: { args: [0], msg: "Guests cannot be negative" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'JoinRequest',
+      tableName: 'JoinRequests',
+      indexes: [
+        { unique: true, fields: ['sessionId', 'userId'] }
+      ]
+    }
+  );
+
+  return JoinRequest;
+};
@@ -0,0 +1,141 @@
+'use strict';
+const { Model } = require('sequelize');
+const leagues = require('../services/leagues');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  // A season-long competition within a sport. Its fixtures are ordinary
+  // sessions tagged with the league, round and the two members playing,
+  // and the standings are worked out from their recorded results.
+  class League extends Model {
+    static associate(models) {
+      League.belongsTo(models.Sport, {
+        foreignKey: 'sportId',
+        as: 'sport'
+      });
+
+      League.belongsTo(models.User, {
+        foreignKey: 'creatorId',
+        as: 'creator'
+      });
+
+      League.hasMany(models.LeagueMember, {
+        foreignKey: 'leagueId',
+        as: 'members'
+      });
+
+      League.hasMany(models.Session, {
+        foreignKey: 'leagueId',
+        as: 'fixtures'
+      });
+    }
+
+    canBeManagedBy(user) {
+      return this.creatorId === user.id || user.role === 'admin';
+    }
+
+    async hasFixtures() {
+      return (await this.countFixtures()) > 0;
+    }
+
+    // Schedules a round-robin as sessions, one round every
+    // `daysBetweenRounds` days from `startDate`. The games of a round share
+    // the venue, so they kick off one after another from `time`. Home plays
+    // as team 1 when results are recorded.
+    async generateFixtures({ startDate, time, timeZone, venue, playersNeeded, durationMinutes = null, daysBetweenRounds = 7, legs = 1 }) {
+      const { Session } = sequelize.models;
+      const length = durationMinutes || Session.DEFAULT_DURATION_MINUTES;
+
+      return sequelize.transaction(async (transaction) => {
+        // A second schedule request waits here, then finds the fixtures
+        await League.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+        const members = await this.getMembers({ order: [['id', 'ASC']], transaction });
+        if (members.length < 2) throw new Error('A league needs at least 2 members to schedule fixtures');
+        if ((await this.countFixtures({ transaction })) > 0) {
+          throw new Error('Fixtures have already been scheduled for this league');
+        }
+
+        const rounds = leagues.roundRobin(members.map(member => member.id), { legs });
+        const kickOffs = leagues.staggerKickOffs(time, Math.max(...rounds.map(pairs => pairs.length)), length);
+        if (!kickOffs) throw new Error('A round would run past midnight; choose an earlier time or shorter games');
+        const start = new Date(`${startDate}T00:00:00Z`).getTime();
+
+        const fixtures = rounds.flatMap((pairs, index) => {
+          const date = new Date(start + index * daysBetweenRounds * DAY_MS).toISOString().split('T')[0];
+          return pairs.map(([homeMemberId, awayMemberId], game) => ({
+            sportId: this.sportId,
+            creatorId: this.creatorId,
+            leagueId: this.id,
+            round: index + 1,
+            homeMemberId,
+            awayMemberId,
+            date,
+            time: kickOffs[game],
+            durationMinutes: length,
+            timeZone,
+            venue,
+            playersNeeded,
+            teamCount: 2
+          }));
+        });
+
+        return await Session.bulkCreate(fixtures, { validate: true, transaction });
+      });
+    }
+
+    // Standings rows from services/leagues.js, each with its member loaded.
+    // Only fixtures with a recorded result count; cancelled ones never do.
+    async getStandings() {
+      const { MatchResult } = sequelize.models;
+      const [members, played] = await Promise.all([
+        this.getMembers(),
+        this.getFixtures({
+          where: { status: ['active', 'completed'] },
+          include: [{ model: MatchResult, as: 'result', required: true, include: ['scores'] }]
+        })
+      ]);
+
+      const fixtures = played.map(session => {
+        const [homeScore, awayScore] = session.result.getScoreList(2);
+        const winner = { 1: 'home', 2: 'away' }[session.result.winningTeam] || 'draw';
+        return { homeId: session.homeMemberId, awayId: session.awayMemberId, homeScore, awayScore, winner };
+      });
+
+      const membersById = new Map(members.map(member => [member.id, member]));
+      return leagues.buildStandings(members.map(member => member.id), fixtures)
+        .map(row => ({ ...row, member: membersById.get(row.memberId) }));
+    }
+  }
+
+  League.init(
+    {
+      sportId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sports', key: 'id' }
+      },
+      creatorId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "League name cannot be empty" },
+          len: { args: [2, 100], msg: "League name must be between 2 and 100 characters" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'League',
+      tableName: 'Leagues'
+    }
+  );
+
+  return League;
+};
@@ -0,0 +1,53 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // A team or a single player taking part in a league. Members linked to a
+  // user are individual players; the rest are teams known by name.
+  class LeagueMember extends Model {
+    static associate(models) {
+      LeagueMember.belongsTo(models.League, {
+        foreignKey: 'leagueId',
+        as: 'league'
+      });
+
+      LeagueMember.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+
+  LeagueMember.init(
+    {
+      leagueId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Leagues', key: 'id' }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "Name cannot be empty" },
+          len: { args: [2, 100], msg: "Name must be between 2 and 100 characters" }
+        }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'LeagueMember',
+      tableName: 'LeagueMembers',
+      indexes: [
+        { unique: true, fields: ['leagueId', 'name'] }
+      ]
+    }
+  );
+
+  return LeagueMember;
+};
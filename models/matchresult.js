@@ -0,0 +1,194 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const MAX_SCORE = 999;
+const DEFAULT_STAT_LABEL = 'Points';
+
+module.exports = (sequelize, DataTypes) => {
+  // The outcome of a session: a score per team, the winning team (null for
+  // a draw), optional per-player stats and the history of every save.
+  class MatchResult extends Model {
+    static associate(models) {
+      MatchResult.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+
+      MatchResult.belongsTo(models.User, {
+        foreignKey: 'recordedById',
+        as: 'recordedBy'
+      });
+
+      MatchResult.hasMany(models.TeamScore, {
+        foreignKey: 'resultId',
+        as: 'scores'
+      });
+
+      MatchResult.hasMany(models.PlayerStat, {
+        foreignKey: 'resultId',
+        as: 'playerStats'
+      });
+
+      MatchResult.hasMany(models.MatchResultRevision, {
+        foreignKey: 'resultId',
+        as: 'revisions'
+      });
+    }
+
+    // Works out the winning team from `scores` (one entry per team, all
+    // numbers or all null) and the organizer's `winner` choice: a team
+    // number, 'draw', or null to go by the scores. Throws when the two
+    // disagree.
+    static resolveWinner(scores, winner) {
+      if (scores.some(score => score !== null && (!Number.isInteger(score) || score < 0 || score > MAX_SCORE))) {
+        throw new Error(`Scores must be whole numbers between 0 and ${MAX_SCORE}`);
+      }
+
+      const entered = scores.filter(score => score !== null);
+      if (entered.length > 0 && entered.length < scores.length) {
+        throw new Error('Enter a score for every team or leave them all empty');
+      }
+
+      const top = Math.max(...entered);
+      const leaders = scores
+        .map((score, index) => ({ team: index + 1, score }))
+        .filter(entry => entered.length > 0 && entry.score === top)
+        .map(entry => entry.team);
+
+      if (winner === null) {
+        if (entered.length === 0) throw new Error('Enter the scores or choose a winner');
+        return leaders.length === 1 ? leaders[0] : null;
+      }
+
+      if (winner === 'draw') {
+        if (leaders.length === 1) throw new Error('A draw needs the top scores to be level');
+        return null;
+      }
+
+      if (!Number.isInteger(winner) || winner < 1 || winner > scores.length) {
+        throw new Error('Please choose a valid winner');
+      }
+      if (entered.length > 0 && (leaders.length !== 1 || leaders[0] !== winner)) {
+        throw new Error('The winner must have the highest score');
+      }
+      return winner;
+    }
+
+    // "Team 1 3 – 2 Team 2, Team 1 won" for two teams, scores listed in
+    // turn for more.
+    static describe(scores, winningTeam) {
+      const parts = [];
+      if (scores.some(score => score !== null)) {
+        parts.push(scores.length === 2
+          ? `Team 1 ${scores[0]} – ${scores[1]} Team 2`
+          : scores.map((score, index) => `Team ${index + 1}: ${score}`).join(', '));
+      }
+      parts.push(winningTeam ? `Team ${winningTeam} won` : 'Draw');
+      return parts.join(', ');
+    }
+
+    // Creates or replaces the session's result and adds an entry to its
+    // history. `stats` maps user ids to their tally. Pass `transaction` to
+    // make the result part of a larger change.
+    static async record(session, details, editor, { transaction = null } = {}) {
+      if (!transaction) {
+        return sequelize.transaction(transaction => MatchResult.record(session, details, editor, { transaction }));
+      }
+
+      const { scores, winner = null, statLabel = null, stats = new Map(), notes = null } = details;
+      const winningTeam = MatchResult.resolveWinner(scores, winner);
+      const { TeamScore, PlayerStat, MatchResultRevision } = sequelize.models;
+      const label = stats.size > 0 ? (statLabel || DEFAULT_STAT_LABEL) : null;
+
+      const attributes = { winningTeam, statLabel: label, notes: notes || null };
+      let result = await MatchResult.findOne({
+        where: { sessionId: session.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (result) {
+        await result.update(attributes, { transaction });
+      } else {
+        result = await MatchResult.create({ ...attributes, sessionId: session.id, recordedById: editor.id }, { transaction });
+      }
+
+      await TeamScore.destroy({ where: { resultId: result.id }, transaction });
+      await TeamScore.bulkCreate(scores
+        .map((score, index) => ({ resultId: result.id, team: index + 1, score }))
+        .filter(entry => entry.score !== null), { transaction, validate: true });
+
+      await PlayerStat.destroy({ where: { resultId: result.id }, transaction });
+      await PlayerStat.bulkCreate([...stats].map(([userId, value]) => ({ resultId: result.id, userId, value })),
+        { transaction, validate: true });
+
+      await MatchResultRevision.create({
+        resultId: result.id,
+        editedById: editor.id,
+        summary: MatchResult.describe(scores, winningTeam)
+      }, { transaction });
+
+      return result;
+    }
+
+    // Scores ordered by team, with null for a result recorded without them.
+    // Teams that were scored stay listed even if the line-up shrank since.
+    getScoreList(teamCount) {
+      const length = Math.max(teamCount, ...(this.scores || []).map(score => score.team));
+      return Array.from({ length }, (_, index) => {
+        const entry = (this.scores || []).find(score => score.team === index + 1);
+        return entry ? entry.score : null;
+      });
+    }
+
+    hasScores() {
+      return (this.scores || []).length > 0;
+    }
+
+    getWinnerLabel() {
+      return this.winningTeam ? `Team ${this.winningTeam}` : 'Draw';
+    }
+  }
+
+  MatchResult.MAX_SCORE = MAX_SCORE;
+
+  MatchResult.init(
+    {
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      recordedById: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      winningTeam: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      statLabel: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          len: { args: [1, 30], msg: "Stat name must be 30 characters or fewer" }
+        }
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        validate: {
+          len: { args: [0, 1000], msg: "Notes must be 1000 characters or fewer" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'MatchResult',
+      tableName: 'MatchResults'
+    }
+  );
+
+  return MatchResult;
+};
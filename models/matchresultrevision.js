@@ -0,0 +1,46 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // One entry in a result's edit history: who saved it and what the result
+  // read after their change.
+  class MatchResultRevision extends Model {
+    static associate(models) {
+      MatchResultRevision.belongsTo(models.MatchResult, {
+        foreignKey: 'resultId',
+        as: 'result'
+      });
+
+      MatchResultRevision.belongsTo(models.User, {
+        foreignKey: 'editedById',
+        as: 'editedBy'
+      });
+    }
+  }
+
+  MatchResultRevision.init(
+    {
+      resultId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'MatchResults', key: 'id' }
+      },
+      editedById: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      summary: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      }
+    },
+    {
+      sequelize,
+      modelName: 'MatchResultRevision',
+      tableName: 'MatchResultRevisions'
+    }
+  );
+
+  return MatchResultRevision;
+};
@@ -0,0 +1,77 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Notification extends Model {
+    static associate(models) {
+      Notification.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      Notification.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+    }
+
+    static async countUnread(userId) {
+      return await Notification.count({
+        where: { userId, readAt: null }
+      });
+    }
+
+    static async markAllRead(userId) {
+      await Notification.update(
+        { readAt: new Date() },
+        { where: { userId, readAt: null } }
+      );
+    }
+
+    isRead() {
+      return this.readAt !== null;
+    }
+
+    async markRead() {
+      if (this.readAt) return;
+      this.readAt = new Date();
+      await this.save();
+    }
+  }
+
+  Notification.init(
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      type: {
+        type: DataTypes.ENUM('session_cancelled', 'session_updated', 'waitlist_promoted', 'player_removed', 'comment_posted'),
+        allowNull: false
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: { notEmpty: { msg: "Notification message cannot be empty" } }
+      },
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Notification',
+      tableName: 'Notifications'
+    }
+  );
+
+  return Notification;
+};
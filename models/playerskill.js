@@ -0,0 +1,76 @@
+'use strict';
+const { Model } = require('sequelize');
+const skillLevels = require('../services/skillLevels');
+
+module.exports = (sequelize, DataTypes) => {
+  // A player's self-declared level in one sport.
+  class PlayerSkill extends Model {
+    static associate(models) {
+      PlayerSkill.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      PlayerSkill.belongsTo(models.Sport, {
+        foreignKey: 'sportId',
+        as: 'sport'
+      });
+    }
+
+    static async getLevel(userId, sportId, options = {}) {
+      const skill = await PlayerSkill.findOne({ ...options, where: { userId, sportId } });
+      return skill ? skill.level : null;
+    }
+
+    // Replaces the user's levels with `levels`, a map of sport id to rank;
+    // sports left out or set to null are cleared.
+    static async setLevels(userId, levels) {
+      await sequelize.transaction(async (transaction) => {
+        for (const [sportId, level] of Object.entries(levels)) {
+          if (level === null) {
+            await PlayerSkill.destroy({ where: { userId, sportId }, transaction });
+          } else {
+            await PlayerSkill.upsert({ userId, sportId, level }, { transaction, conflictFields: ['userId', 'sportId'] });
+          }
+        }
+      });
+    }
+
+    getLevelLabel() {
+      return skillLevels.labelFor(this.level);
+    }
+  }
+
+  PlayerSkill.init(
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      sportId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sports', key: 'id' }
+      },
+      level: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: { args: [skillLevels.MIN_RANK], msg: "Please choose a valid skill level" },
+          max: { args: [skillLevels.MAX_RANK], msg: "Please choose a valid skill level" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'PlayerSkill',
+      tableName: 'PlayerSkills',
+      indexes: [
+        { unique: true, fields: ['userId', 'sportId'] }
+      ]
+    }
+  );
+
+  return PlayerSkill;
+};
@@ -0,0 +1,53 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // One player's tally in a recorded result, counted in the result's
+  // statLabel (goals, points, ...).
+  class PlayerStat extends Model {
+    static associate(models) {
+      PlayerStat.belongsTo(models.MatchResult, {
+        foreignKey: 'resultId',
+        as: 'result'
+      });
+
+      PlayerStat.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+
+  PlayerStat.init(
+    {
+      resultId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'MatchResults', key: 'id' }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      value: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: { args: [0], msg: "Player stats cannot be negative" },
+          max: { args: [999], msg: "Player stats cannot be higher than 999" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'PlayerStat',
+      tableName: 'PlayerStats',
+      indexes: [
+        { unique: true, fields: ['resultId', 'userId'] }
+      ]
+    }
+  );
+
+  return PlayerStat;
+};
@@ -1,5 +1,19 @@
 'use strict';
 const { Model, Op } = require('sequelize');
+const crypto = require('crypto');
+const timezones = require('../services/timezones');
+const skillLevels = require('../services/skillLevels');
+const teams = require('../services/teams');
+
+const DEFAULT_DURATION_MINUTES = 60;
+// Fields a calendar event is built from; changing one is a new revision
+const CALENDAR_FIELDS = ['date', 'time', 'timeZone', 'durationMinutes', 'venue', 'status'];
+const VISIBILITIES = ['public', 'unlisted', 'invite_only'];
+const VISIBILITY_LABELS = {
+  public: 'Public',
+  unlisted: 'Unlisted',
+  invite_only: 'Invite only'
+};
 
 module.exports = (sequelize, DataTypes) => {
   class Session extends Model {
@@ -15,56 +29,523 @@ module.exports = (sequelize, DataTypes) => {
       });
 
       Session.belongsToMany(models.User, {
-        through: 'UserSessions',
+        through: models.UserSession,
         foreignKey: 'sessionId',
         as: 'players'
       });
+
+      Session.hasMany(models.WaitlistEntry, {
+        foreignKey: 'sessionId',
+        as: 'waitlist'
+      });
+
+      Session.belongsTo(models.Venue, {
+        foreignKey: 'venueId',
+        as: 'venueDetails'
+      });
+
+      Session.belongsTo(models.SessionSeries, {
+        foreignKey: 'seriesId',
+        as: 'series'
+      });
+
+      Session.hasMany(models.SessionRemoval, {
+        foreignKey: 'sessionId',
+        as: 'removals'
+      });
+
+      Session.hasMany(models.JoinRequest, {
+        foreignKey: 'sessionId',
+        as: 'joinRequests'
+      });
+
+      Session.hasOne(models.MatchResult, {
+        foreignKey: 'sessionId',
+        as: 'result'
+      });
+
+      Session.belongsTo(models.League, {
+        foreignKey: 'leagueId',
+        as: 'league'
+      });
+
+      Session.belongsTo(models.LeagueMember, {
+        foreignKey: 'homeMemberId',
+        as: 'homeMember'
+      });
+
+      Session.belongsTo(models.LeagueMember, {
+        foreignKey: 'awayMemberId',
+        as: 'awayMember'
+      });
+
+      Session.hasOne(models.TournamentMatch, {
+        foreignKey: 'sessionId',
+        as: 'tournamentMatch'
+      });
+
+      Session.hasMany(models.SessionComment, {
+        foreignKey: 'sessionId',
+        as: 'comments'
+      });
+    }
+
+    // Date and time are the wall-clock schedule in the session's own zone.
+    getStartDateTime() {
+      return timezones.zonedTimeToDate(this.date, this.time, this.timeZone || timezones.DEFAULT_TIME_ZONE);
+    }
+
+    getEndDateTime() {
+      const duration = this.durationMinutes || DEFAULT_DURATION_MINUTES;
+      return new Date(this.getStartDateTime().getTime() + duration * 60 * 1000);
     }
 
-    isPast() {
-      const now = new Date();
-      const sessionDateTime = new Date(`${this.date}T${this.time}`);
-      return sessionDateTime < now;
+    hasStarted(now = new Date()) {
+      return this.getStartDateTime() <= now;
+    }
+
+    // A session only becomes past once it has ended; until then it is
+    // upcoming or in progress.
+    isPast(now = new Date()) {
+      return this.getEndDateTime() < now;
+    }
+
+    isInProgress(now = new Date()) {
+      return this.hasStarted(now) && !this.isPast(now);
+    }
+
+    hasMinimumPlayers() {
+      return Boolean(this.minPlayers && this.autoCancelHours);
+    }
+
+    // The moment by which a session must have reached its minimum player count
+    getAutoCancelCutoff() {
+      if (!this.hasMinimumPlayers()) return null;
+      return new Date(this.getStartDateTime().getTime() - this.autoCancelHours * 60 * 60 * 1000);
+    }
+
+    // Rendering helpers take the viewer's preferred zone and fall back to the
+    // zone the session is scheduled in.
+    getDisplayDate(timeZone = null) {
+      return timezones.formatDate(this.getStartDateTime(), timeZone || this.timeZone);
+    }
+
+    getAutoCancelCutoffLabel(timeZone = null) {
+      const cutoff = this.getAutoCancelCutoff();
+      if (!cutoff) return null;
+      const zone = timeZone || this.timeZone;
+      return `${timezones.formatDate(cutoff, zone)} ${timezones.formatTime(cutoff, zone)}`;
+    }
+
+    getTimeRange(timeZone = null) {
+      const zone = timeZone || this.timeZone;
+      return `${timezones.formatTime(this.getStartDateTime(), zone)}–${timezones.formatTime(this.getEndDateTime(), zone)}`;
+    }
+
+    // Slots taken: every joined player plus the guests they bring along.
+    async countHeadcount(options = {}) {
+      const where = { sessionId: this.id };
+      const players = await sequelize.models.UserSession.count({ ...options, where });
+      const guests = await sequelize.models.UserSession.sum('guests', { ...options, where });
+      return players + (guests || 0);
+    }
+
+    // The same headcount from already loaded `players`, for views.
+    getHeadcount() {
+      return (this.players || []).reduce((total, player) => {
+        return total + 1 + ((player.UserSession && player.UserSession.guests) || 0);
+      }, 0);
     }
 
     async isFull() {
-      const playerCount = await this.countPlayers();
-      return playerCount >= this.playersNeeded;
+      const headcount = await this.countHeadcount();
+      return headcount >= this.playersNeeded;
     }
 
     async getAvailableSlots() {
-      const playerCount = await this.countPlayers();
-      return Math.max(0, this.playersNeeded - playerCount);
+      const headcount = await this.countHeadcount();
+      return Math.max(0, this.playersNeeded - headcount);
     }
 
-    async hasUserJoined(userId) {
-      const players = await this.getPlayers();
+    checkGuests(guests) {
+      if (!Number.isInteger(guests) || guests < 0) throw new Error('Please choose a valid number of guests');
+      if (guests > this.maxGuestsPerPlayer) {
+        throw new Error(this.maxGuestsPerPlayer === 0
+          ? 'This session does not allow guests'
+          : `You can bring at most ${this.maxGuestsPerPlayer} guest${this.maxGuestsPerPlayer !== 1 ? 's' : ''} to this session`);
+      }
+    }
+
+    async hasUserJoined(userId, options = {}) {
+      const players = await this.getPlayers(options);
       return players.some(player => player.id === userId);
     }
 
+    // Takes a row lock on the session for the rest of the transaction and
+    // refreshes the fields capacity checks depend on. Joins, leaves and
+    // promotions for the same session queue up behind it, so the count they
+    // read cannot go stale before they write.
+    async lockForUpdate(transaction) {
+      const locked = await Session.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!locked) throw new Error('Session not found');
+
+      this.set(locked.get({ plain: true }), { raw: true });
+      return this;
+    }
+
+    // Reserves a slot for the user and their guests, or a waitlist place when
+    // the party does not fit. Resolves to { status: 'joined' } or
+    // { status: 'waitlisted', position }; with `waitlist: false` a session
+    // without room gives { status: 'full' }. Pass `transaction` to make the
+    // reservation part of a larger one.
+    async reserveSlot(userId, { waitlist = true, guests = 0, transaction = null } = {}) {
+      if (!transaction) {
+        return sequelize.transaction(transaction => this.reserveSlot(userId, { waitlist, guests, transaction }));
+      }
+
+      await this.lockForUpdate(transaction);
+
+      if (this.status === 'cancelled') throw new Error('Cannot join cancelled sessions');
+      if (this.hasStarted()) throw new Error('Cannot join sessions that have already started');
+      if (await this.hasUserJoined(userId, { transaction })) throw new Error('User already joined this session');
+
+      const restriction = await this.getJoinRestriction(userId, { transaction });
+      if (restriction) throw new Error(restriction);
+      this.checkGuests(guests);
+
+      if (await this.countHeadcount({ transaction }) + 1 + guests > this.playersNeeded) {
+        if (!waitlist) return { status: 'full' };
+        return { status: 'waitlisted', position: await this.addToWaitlist(userId, { transaction, guests }) };
+      }
+
+      await this.addPlayer(userId, { through: { guests }, transaction });
+      await this.removeFromWaitlist(userId, { transaction });
+      return { status: 'joined' };
+    }
+
+    // Gives up the user's slot, or their waitlist place if they only queued,
+    // and hands a freed slot to the waitlist in the same transaction.
+    // Resolves to { status: 'left', promoted }, { status: 'unwaitlisted' } or
+    // { status: 'not_joined' }.
+    async releaseSlot(userId) {
+      return sequelize.transaction(async (transaction) => {
+        await this.lockForUpdate(transaction);
+
+        if (!(await this.hasUserJoined(userId, { transaction }))) {
+          const unwaitlisted = await this.removeFromWaitlist(userId, { transaction });
+          return { status: unwaitlisted ? 'unwaitlisted' : 'not_joined' };
+        }
+
+        await this.removePlayer(userId, { transaction });
+        return { status: 'left', promoted: await this.promoteFromWaitlist({ transaction }) };
+      });
+    }
+
+    // Takes a player out at the organizer's request. The removal is recorded
+    // so they cannot rejoin, and a freed slot goes to the waitlist. Resolves
+    // to the players promoted into it.
+    async removePlayerFromSession(userId, { removedById, reason = null }) {
+      return sequelize.transaction(async (transaction) => {
+        await this.lockForUpdate(transaction);
+
+        if (!(await this.hasUserJoined(userId, { transaction }))) throw new Error('Player is not in this session');
+
+        await this.removePlayer(userId, { transaction });
+        await sequelize.models.SessionRemoval.create({
+          sessionId: this.id,
+          userId,
+          removedById,
+          reason
+        }, { transaction });
+        return await this.promoteFromWaitlist({ transaction });
+      });
+    }
+
+    // Why the organizer keeps this user out, or null when nothing does.
+    async getJoinRestriction(userId, options = {}) {
+      const removed = await sequelize.models.SessionRemoval.count({
+        ...options,
+        where: { sessionId: this.id, userId }
+      });
+      if (removed > 0) return 'You were removed from this session by the organizer';
+
+      if (await sequelize.models.UserBlock.isBlocked(this.creatorId, userId, options)) {
+        return 'The organizer is not accepting you in their sessions';
+      }
+
+      if (this.restrictSkillLevel && this.hasSkillRange()) {
+        const level = await sequelize.models.PlayerSkill.getLevel(userId, this.sportId, options);
+        if (level === null) {
+          return 'Set your skill level for this sport on your profile to join this session';
+        }
+        if (!skillLevels.isInRange(level, this.minSkillLevel, this.maxSkillLevel)) {
+          return `This session is for ${this.getSkillRangeLabel()} players`;
+        }
+      }
+      return null;
+    }
+
+    hasSkillRange() {
+      return this.minSkillLevel !== null || this.maxSkillLevel !== null;
+    }
+
+    getSkillRangeLabel() {
+      return skillLevels.describeRange(this.minSkillLevel, this.maxSkillLevel);
+    }
+
+    // Sessions that need approval take a request instead of a slot; the
+    // organizer decides later with approveJoinRequest or by declining it.
+    async requestToJoin(userId, { guests = 0 } = {}) {
+      if (this.status === 'cancelled') throw new Error('Cannot join cancelled sessions');
+      if (this.hasStarted()) throw new Error('Cannot join sessions that have already started');
+      if (await this.hasUserJoined(userId)) throw new Error('User already joined this session');
+      this.checkGuests(guests);
+
+      const restriction = await this.getJoinRestriction(userId);
+      if (restriction) throw new Error(restriction);
+
+      const existing = await sequelize.models.JoinRequest.findOne({ where: { sessionId: this.id, userId } });
+      if (existing) {
+        throw new Error(existing.isPending()
+          ? 'You have already asked to join this session'
+          : 'The organizer declined your request to join this session');
+      }
+
+      return await sequelize.models.JoinRequest.create({ sessionId: this.id, userId, guests });
+    }
+
+    // Lets the requester in, or onto the waitlist if the session filled up
+    // while they waited, and clears the request. Resolves like reserveSlot.
+    async approveJoinRequest(request) {
+      return sequelize.transaction(async (transaction) => {
+        const outcome = await this.reserveSlot(request.userId, { guests: request.guests, transaction });
+        await request.destroy({ transaction });
+        return outcome;
+      });
+    }
+
+    getVisibilityLabel() {
+      return VISIBILITY_LABELS[this.visibility];
+    }
+
+    async getInviteCode() {
+      if (!this.inviteCode) {
+        await this.regenerateInviteCode();
+      }
+      return this.inviteCode;
+    }
+
+    async regenerateInviteCode() {
+      this.inviteCode = crypto.randomBytes(6).toString('hex');
+      await this.save({ fields: ['inviteCode'] });
+      return this.inviteCode;
+    }
+
+    // Public and unlisted sessions open for anyone with the link. Invite-only
+    // ones need the invite code, unless the user organizes the session, is an
+    // admin or is already playing, queued or waiting for approval.
+    async isAccessibleTo(user, { inviteCode = null } = {}) {
+      if (this.visibility !== 'invite_only') return true;
+      if (user.role === 'admin' || this.creatorId === user.id) return true;
+      if (inviteCode && this.inviteCode && inviteCode === this.inviteCode) return true;
+
+      const { JoinRequest, WaitlistEntry } = sequelize.models;
+      const where = { sessionId: this.id, userId: user.id };
+      if (await this.hasUserJoined(user.id)) return true;
+      return (await WaitlistEntry.count({ where })) + (await JoinRequest.count({ where })) > 0;
+    }
+
+    // The discussion thread is for the people actually playing: the
+    // organizer, joined players and admins.
+    async canDiscuss(user) {
+      if (user.role === 'admin' || this.creatorId === user.id) return true;
+      return await this.hasUserJoined(user.id);
+    }
+
+    // Splits the joined players into teamCount teams and saves the line-up.
+    // 'skill' balances on the players' levels for this sport, 'attendance'
+    // on their reliability and 'random' just shuffles.
+    async generateTeams(teamCount, method = 'random') {
+      const players = await this.getPlayers();
+      const userIds = players.map(player => player.id);
+
+      let ratings = players.map(() => 0);
+      if (method === 'skill') {
+        const skills = await sequelize.models.PlayerSkill.findAll({ where: { userId: userIds, sportId: this.sportId } });
+        const levels = new Map(skills.map(skill => [skill.userId, skill.level]));
+        ratings = teams.fillMissingRatings(userIds.map(userId => levels.get(userId) ?? null));
+      } else if (method === 'attendance') {
+        const totals = await sequelize.models.UserSession.getReliabilityFor(userIds);
+        ratings = teams.fillMissingRatings(userIds.map(userId => totals[userId].reliability));
+      }
+
+      const entries = players.map((player, index) => {
+        const size = 1 + player.UserSession.guests;
+        return { userId: player.id, size, rating: ratings[index] * size };
+      });
+      const assignments = teams.splitIntoTeams(entries, teamCount, { balanced: method !== 'random' });
+
+      await this.saveTeams(teamCount, assignments);
+      return assignments;
+    }
+
+    // Stores a line-up given as a Map of user id to team number. Players left
+    // out, or given a team that does not exist, end up unassigned.
+    async saveTeams(teamCount, assignments) {
+      await sequelize.transaction(async (transaction) => {
+        await this.update({ teamCount }, { transaction });
+        const records = await sequelize.models.UserSession.findAll({ where: { sessionId: this.id }, transaction });
+        for (const record of records) {
+          const team = assignments.get(record.userId);
+          const valid = Number.isInteger(team) && team >= 1 && team <= teamCount ? team : null;
+          if (valid !== record.team) {
+            await record.update({ team: valid }, { transaction });
+          }
+        }
+      });
+    }
+
+    async clearTeams() {
+      await sequelize.transaction(async (transaction) => {
+        await this.update({ teamCount: null }, { transaction });
+        await sequelize.models.UserSession.update({ team: null }, { where: { sessionId: this.id }, transaction });
+      });
+    }
+
+    // The saved line-up from the loaded players: one entry per team, e.g.
+    // [{ number: 1, players: [...] }, ...], plus the players without a team.
+    getTeams() {
+      if (!this.teamCount) return { teams: [], unassigned: [] };
+
+      const lineup = Array.from({ length: this.teamCount }, (_, index) => ({ number: index + 1, players: [] }));
+      const unassigned = [];
+      this.players.forEach(player => {
+        const team = player.UserSession.team;
+        if (team && team <= this.teamCount) {
+          lineup[team - 1].players.push(player);
+        } else {
+          unassigned.push(player);
+        }
+      });
+      return { teams: lineup, unassigned };
+    }
+
+    // League fixtures and tournament matches play home as team 1 and away
+    // as team 2; other sessions just number their teams. Needs the members
+    // or the tournament match's entrants loaded.
+    getTeamName(number) {
+      const sides = this.tournamentMatch
+        ? { 1: this.tournamentMatch.homeEntrant, 2: this.tournamentMatch.awayEntrant }
+        : { 1: this.homeMember, 2: this.awayMember };
+      return sides[number] ? sides[number].name : `Team ${number}`;
+    }
+
+    getTeamOf(userId) {
+      if (!this.teamCount) return null;
+      const player = this.players.find(candidate => candidate.id === userId);
+      return player ? player.UserSession.team : null;
+    }
+
     async addPlayerToSession(userId) {
       const user = await sequelize.models.User.findByPk(userId);
-
       if (!user) throw new Error('User not found');
-      if (await this.isFull()) throw new Error('Session is full');
-      if (this.isPast()) throw new Error('Cannot join past sessions');
-      if (await this.hasUserJoined(userId)) throw new Error('User already joined this session');
 
-      await this.addPlayer(user);
+      const { status } = await this.reserveSlot(user.id, { waitlist: false });
+      if (status === 'full') throw new Error('Session is full');
       return true;
     }
 
-    async cancelSession(reason) {
+    async getWaitlistPosition(userId, options = {}) {
+      const entries = await this.getWaitlist({ ...options, order: [['id', 'ASC']] });
+      const index = entries.findIndex(entry => entry.userId === userId);
+      return index === -1 ? null : index + 1;
+    }
+
+    async addToWaitlist(userId, { guests = 0, ...options } = {}) {
+      if (await this.getWaitlistPosition(userId, options)) throw new Error('You are already on the waitlist');
+
+      await sequelize.models.WaitlistEntry.create({ sessionId: this.id, userId, guests }, options);
+      return await this.getWaitlistPosition(userId, options);
+    }
+
+    async removeFromWaitlist(userId, options = {}) {
+      const removed = await sequelize.models.WaitlistEntry.destroy({
+        ...options,
+        where: { sessionId: this.id, userId }
+      });
+      return removed > 0;
+    }
+
+    // Fills any free slots from the front of the waitlist and returns the
+    // users that were promoted, so callers can tell them about it. Parties
+    // are promoted in order; one that does not fit yet holds up those behind
+    // it. Runs under the session lock, opening its own transaction when not
+    // given one.
+    async promoteFromWaitlist({ transaction } = {}) {
+      if (!transaction) {
+        return sequelize.transaction(transaction => this.promoteFromWaitlist({ transaction }));
+      }
+
+      await this.lockForUpdate(transaction);
+      if (this.status !== 'active' || this.hasStarted()) return [];
+
+      const entries = await this.getWaitlist({
+        include: ['user'],
+        order: [['id', 'ASC']],
+        transaction
+      });
+      let availableSlots = Math.max(0, this.playersNeeded - await this.countHeadcount({ transaction }));
+      const promoted = [];
+
+      for (const entry of entries) {
+        const partySize = 1 + entry.guests;
+        if (partySize > availableSlots) break;
+        await this.addPlayer(entry.userId, { through: { guests: entry.guests }, transaction });
+        await entry.destroy({ transaction });
+        promoted.push(entry.user);
+        availableSlots -= partySize;
+      }
+
+      return promoted;
+    }
+
+    async cancelSession(reason, options = {}) {
       this.status = 'cancelled';
       this.cancellationReason = reason;
-      await this.save();
+      await this.save(options);
     }
 
-    getFormattedDateTime() {
-      const date = new Date(`${this.date}T${this.time}`);
+    // Resolves which sessions an edit or cancel applies to. Scope is one of
+    // 'occurrence', 'following' or 'series'; sessions outside a series always
+    // resolve to themselves. Cancelled and started occurrences are left alone.
+    async getScopedOccurrences(scope = 'occurrence', now = new Date()) {
+      if (!this.seriesId || scope === 'occurrence') {
+        return [this];
+      }
+
+      const earliest = timezones.earliestUnfinishedDate(now);
+      const fromDate = scope === 'following' && this.date > earliest ? this.date : earliest;
+
+      const occurrences = await Session.findAll({
+        where: {
+          seriesId: this.seriesId,
+          status: 'active',
+          date: { [Op.gte]: fromDate }
+        },
+        include: ['players'],
+        order: [['date', 'ASC'], ['time', 'ASC']]
+      });
+
+      return occurrences.filter(occurrence => !occurrence.hasStarted(now));
+    }
+
+    getFormattedDateTime(timeZone = null) {
+      const zone = timeZone || this.timeZone;
+      const date = this.getStartDateTime();
       return {
-        date: date.toDateString(),
+        date: timezones.formatDate(date, zone),
         time: date.toLocaleTimeString('en-US', {
+          timeZone: zone,
           hour: 'numeric',
           minute: '2-digit',
           hour12: true
@@ -72,21 +553,152 @@ module.exports = (sequelize, DataTypes) => {
       };
     }
 
-    static async getUpcomingSessions(limit = null) {
-      const now = new Date();
-      const options = {
+    // Collapses sessions that belong to the same series into one entry so
+    // dashboards can list a series once with its individual occurrences.
+    static groupBySeries(sessions) {
+      const entries = [];
+      const bySeries = new Map();
+
+      sessions.forEach(session => {
+        if (!session.seriesId) {
+          entries.push({ series: null, sessions: [session] });
+          return;
+        }
+        if (!bySeries.has(session.seriesId)) {
+          const entry = { series: session.series || null, sessions: [] };
+          bySeries.set(session.seriesId, entry);
+          entries.push(entry);
+        }
+        bySeries.get(session.seriesId).sessions.push(session);
+      });
+
+      return entries;
+    }
+
+    // Sessions a user created or joined, with sport, creator and the full
+    // player list loaded.
+    static async findInvolving(userId, where = {}) {
+      const joined = await Session.findAll({
+        attributes: ['id'],
+        include: [{
+          model: sequelize.models.User,
+          as: 'players',
+          where: { id: userId },
+          attributes: [],
+          through: { attributes: [] }
+        }]
+      });
+
+      return await Session.findAll({
+        where: {
+          ...where,
+          [Op.or]: [
+            { creatorId: userId },
+            { id: joined.map(session => session.id) }
+          ]
+        },
+        include: ['sport', 'creator', 'players'],
+        order: [['date', 'ASC'], ['time', 'ASC']]
+      });
+    }
+
+    // Extra where clause for session listings. Only public sessions are listed
+    // for everyone; unlisted and invite-only ones are reached through their
+    // link and otherwise only show up for their organizer and players.
+    static listableBy(user) {
+      if (!user) return { visibility: 'public' };
+      if (user.role === 'admin') return {};
+
+      return {
+        [Op.or]: [
+          { visibility: 'public' },
+          { creatorId: user.id },
+          {
+            id: {
+              [Op.in]: sequelize.literal(
+                `(SELECT "sessionId" FROM "UserSessions" WHERE "userId" = ${sequelize.escape(user.id)})`
+              )
+            }
+          }
+        ]
+      };
+    }
+
+    // Extra where clause for sessions whose skill range includes the level;
+    // an open end accepts anyone.
+    static skillLevelFilter(level) {
+      return {
+        [Op.and]: [
+          { [Op.or]: [{ minSkillLevel: null }, { minSkillLevel: { [Op.lte]: level } }] },
+          { [Op.or]: [{ maxSkillLevel: null }, { maxSkillLevel: { [Op.gte]: level } }] }
+        ]
+      };
+    }
+
+    static async countPlayersFor(sessionIds) {
+      if (sessionIds.length === 0) return {};
+
+      const rows = await sequelize.models.UserSession.findAll({
+        attributes: [
+          'sessionId',
+          [sequelize.fn('COUNT', sequelize.col('userId')), 'playerCount'],
+          [sequelize.fn('SUM', sequelize.col('guests')), 'guestCount']
+        ],
+        where: { sessionId: sessionIds },
+        group: ['sessionId'],
+        raw: true
+      });
+
+      // Headcounts, so guests take up slots here as well
+      return rows.reduce((counts, row) => {
+        counts[row.sessionId] = parseInt(row.playerCount) + parseInt(row.guestCount || 0);
+        return counts;
+      }, {});
+    }
+
+    // Where clause for sessions that have not ended yet, for queries that
+    // page in the database. Stored dates are local to each session's zone,
+    // so only sessions dated around today can have ended without being
+    // before the cutoff; those few are checked one by one and left out.
+    static async unfinishedWhere(now = new Date()) {
+      const earliest = timezones.earliestUnfinishedDate(now);
+      // No zone is further ahead of UTC, so nothing dated later has started
+      const latest = timezones.todayInZone('Etc/GMT-14', now);
+      const recent = await Session.findAll({
+        where: { date: { [Op.between]: [earliest, latest] } },
+        attributes: ['id', 'date', 'time', 'timeZone', 'durationMinutes']
+      });
+      const endedIds = recent.filter(session => session.isPast(now)).map(session => session.id);
+
+      return {
+        date: { [Op.gte]: earliest },
+        ...(endedIds.length > 0 ? { id: { [Op.notIn]: endedIds } } : {})
+      };
+    }
+
+    // Active sessions that have not ended yet, including ones in progress.
+    // Stored dates are local to each session's zone, so the query only
+    // narrows things down and the end time is checked per session.
+    static async getUpcomingSessions(limit = null, where = {}) {
+      const sessions = await Session.findAll({
         where: {
-          date: { [Op.gte]: now.toISOString().split('T')[0] },
+          ...where,
+          date: { [Op.gte]: timezones.earliestUnfinishedDate() },
           status: 'active'
         },
         include: ['creator', 'sport', 'players'],
         order: [['date', 'ASC'], ['time', 'ASC']]
-      };
-      if (limit) options.limit = limit;
-      return await Session.findAll(options);
+      });
+
+      const upcoming = sessions.filter(session => !session.isPast());
+      return limit ? upcoming.slice(0, limit) : upcoming;
     }
   }
 
+  Session.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES;
+  Session.VISIBILITIES = VISIBILITIES;
+  Session.VISIBILITY_LABELS = VISIBILITY_LABELS;
+
   Session.init(
     {
       sportId: {
@@ -135,12 +747,161 @@ module.exports = (sequelize, DataTypes) => {
       cancellationReason: {
         type: DataTypes.TEXT,
         allowNull: true
+      },
+      calendarSequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      timeZone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: timezones.DEFAULT_TIME_ZONE,
+        validate: {
+          isTimeZone(value) {
+            if (!timezones.isValidTimeZone(value)) {
+              throw new Error("Please select a valid time zone");
+            }
+          }
+        }
+      },
+      minPlayers: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [1], msg: "Minimum players must be at least 1" },
+          notAboveNeeded(value) {
+            if (value !== null && value > this.playersNeeded) {
+              throw new Error("Minimum players cannot exceed players needed");
+            }
+          }
+        }
+      },
+      autoCancelHours: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [1], msg: "Cutoff must be at least 1 hour before the session" },
+          max: { args: [168], msg: "Cutoff cannot be more than a week before the session" }
+        }
+      },
+      requiresApproval: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      maxGuestsPerPlayer: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: { args: [0], msg: "Guests per player cannot be negative" },
+          max: { args: [5], msg: "Players can bring at most 5 guests each" }
+        }
+      },
+      minSkillLevel: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [skillLevels.MIN_RANK], msg: "Please choose a valid skill level" },
+          max: { args: [skillLevels.MAX_RANK], msg: "Please choose a valid skill level" }
+        }
+      },
+      maxSkillLevel: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [skillLevels.MIN_RANK], msg: "Please choose a valid skill level" },
+          max: { args: [skillLevels.MAX_RANK], msg: "Please choose a valid skill level" },
+          notBelowMinimum(value) {
+            if (value !== null && this.minSkillLevel !== null && value < this.minSkillLevel) {
+              throw new Error("Highest skill level cannot be below the lowest");
+            }
+          }
+        }
+      },
+      restrictSkillLevel: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      teamCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [teams.MIN_TEAMS], msg: "At least 2 teams are needed" },
+          max: { args: [teams.MAX_TEAMS], msg: "Cannot split into more than 8 teams" }
+        }
+      },
+      visibility: {
+        type: DataTypes.ENUM(...VISIBILITIES),
+        allowNull: false,
+        defaultValue: 'public'
+      },
+      inviteCode: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true
+      },
+      durationMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: DEFAULT_DURATION_MINUTES,
+        validate: {
+          min: { args: [15], msg: "Session must last at least 15 minutes" },
+          max: { args: [480], msg: "Session cannot last more than 8 hours" }
+        }
+      },
+      venueId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Venues', key: 'id' }
+      },
+      court: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: { args: [1], msg: "Court number must be at least 1" }
+        }
+      },
+      seriesId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'SessionSeries', key: 'id' }
+      },
+      leagueId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Leagues', key: 'id' }
+      },
+      round: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      homeMemberId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'LeagueMembers', key: 'id' }
+      },
+      awayMemberId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'LeagueMembers', key: 'id' }
       }
     },
     {
       sequelize,
       modelName: 'Session',
-      tableName: 'Sessions'
+      tableName: 'Sessions',
+      hooks: {
+        // Subscribed calendars only take an edit to an event they already
+        // have when its SEQUENCE goes up
+        beforeUpdate(session) {
+          if (CALENDAR_FIELDS.some(field => session.changed(field))) {
+            session.calendarSequence = (session.calendarSequence || 0) + 1;
+          }
+        }
+      }
     }
   );
 
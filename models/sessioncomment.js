@@ -0,0 +1,74 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const MAX_LENGTH = 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  // A message in a session's discussion thread. Authors can edit or delete
+  // their own; the organizer and admins can delete anyone's.
+  class SessionComment extends Model {
+    static associate(models) {
+      SessionComment.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+
+      SessionComment.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'author'
+      });
+    }
+
+    canBeEditedBy(user) {
+      return this.userId === user.id;
+    }
+
+    canBeDeletedBy(user, session) {
+      return this.userId === user.id || session.creatorId === user.id || user.role === 'admin';
+    }
+
+    isEdited() {
+      return this.editedAt !== null;
+    }
+  }
+
+  SessionComment.MAX_LENGTH = MAX_LENGTH;
+
+  SessionComment.init(
+    {
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "Comment cannot be empty" },
+          len: { args: [1, MAX_LENGTH], msg: `Comments must be ${MAX_LENGTH} characters or fewer` }
+        }
+      },
+      editedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+      }
+    },
+    {
+      sequelize,
+      modelName: 'SessionComment',
+      tableName: 'SessionComments',
+      indexes: [
+        { fields: ['sessionId'] }
+      ]
+    }
+  );
+
+  return SessionComment;
+};
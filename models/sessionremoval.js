@@ -0,0 +1,62 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // A player the organizer took out of a session. The record keeps them from
+  // rejoining that session and tells them why on their dashboard.
+  class SessionRemoval extends Model {
+    static associate(models) {
+      SessionRemoval.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+
+      SessionRemoval.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+
+      SessionRemoval.belongsTo(models.User, {
+        foreignKey: 'removedById',
+        as: 'removedBy'
+      });
+    }
+  }
+
+  SessionRemoval.init(
+    {
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      removedById: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        validate: {
+          len: { args: [0, 500], msg: "Reason must be 500 characters or fewer" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'SessionRemoval',
+      tableName: 'SessionRemovals',
+      indexes: [
+        { unique: true, fields: ['sessionId', 'userId'] }
+      ]
+    }
+  );
+
+  return SessionRemoval;
+};
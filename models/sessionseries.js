@@ -0,0 +1,113 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const MAX_OCCURRENCES = 52;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+module.exports = (sequelize, DataTypes) => {
+  class SessionSeries extends Model {
+    static associate(models) {
+      SessionSeries.belongsTo(models.Sport, {
+        foreignKey: 'sportId',
+        as: 'sport'
+      });
+
+      SessionSeries.belongsTo(models.User, {
+        foreignKey: 'creatorId',
+        as: 'creator'
+      });
+
+      SessionSeries.hasMany(models.Session, {
+        foreignKey: 'seriesId',
+        as: 'occurrences'
+      });
+    }
+
+    // Expands a weekly recurrence rule into the list of occurrence dates
+    // (YYYY-MM-DD). Weeks are counted from the week containing startDate, so
+    // "every 2 weeks on Mon and Thu" skips whole weeks, not single days.
+    static expandDates({ startDate, interval = 1, weekdays = [], untilDate = null, occurrenceCount = null }) {
+      const start = new Date(`${startDate}T00:00:00Z`);
+      const days = weekdays.length > 0
+        ? [...new Set(weekdays.map(Number))].sort((a, b) => a - b)
+        : [start.getUTCDay()];
+      const until = untilDate ? new Date(`${untilDate}T00:00:00Z`) : null;
+      const limit = Math.min(occurrenceCount || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+      const weekStart = new Date(start.getTime() - start.getUTCDay() * DAY_MS);
+      const dates = [];
+
+      for (let week = 0; dates.length < limit; week += interval) {
+        for (const day of days) {
+          const candidate = new Date(weekStart.getTime() + (week * 7 + day) * DAY_MS);
+          if (candidate < start) continue;
+          if (until && candidate > until) return dates;
+          dates.push(toDateOnly(candidate));
+          if (dates.length >= limit) break;
+        }
+      }
+
+      return dates;
+    }
+
+    getDescription() {
+      const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      const every = this.interval === 1 ? 'Weekly' : `Every ${this.interval} weeks`;
+      const days = (this.weekdays || []).map(day => names[day]).join(', ');
+      return days ? `${every} on ${days}` : every;
+    }
+  }
+
+  SessionSeries.MAX_OCCURRENCES = MAX_OCCURRENCES;
+
+  SessionSeries.init(
+    {
+      sportId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sports', key: 'id' }
+      },
+      creatorId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      frequency: {
+        type: DataTypes.ENUM('weekly'),
+        allowNull: false,
+        defaultValue: 'weekly'
+      },
+      interval: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+          min: { args: [1], msg: "Repeat interval must be at least 1 week" },
+          max: { args: [12], msg: "Repeat interval cannot exceed 12 weeks" }
+        }
+      },
+      weekdays: {
+        type: DataTypes.ARRAY(DataTypes.INTEGER),
+        allowNull: false,
+        defaultValue: []
+      },
+      untilDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      occurrenceCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    },
+    {
+      sequelize,
+      modelName: 'SessionSeries',
+      tableName: 'SessionSeries'
+    }
+  );
+
+  return SessionSeries;
+};
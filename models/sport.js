@@ -13,6 +13,16 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'sportId',
         as: 'sessions'
       });
+
+      Sport.hasMany(models.League, {
+        foreignKey: 'sportId',
+        as: 'leagues'
+      });
+
+      Sport.hasMany(models.Tournament, {
+        foreignKey: 'sportId',
+        as: 'tournaments'
+      });
     }
 
     async getSessions() {
@@ -26,19 +36,7 @@ module.exports = (sequelize, DataTypes) => {
 
     async getUpcomingSessions() {
       const { Session } = require('./index');
-      const now = new Date();
-      
-      return await Session.findAll({
-        where: { 
-          sportId: this.id,
-          date: {
-            [sequelize.Op.gte]: now.toISOString().split('T')[0]
-          },
-          status: 'active'
-        },
-        include: ['creator', 'sport', 'players'],
-        order: [['date', 'ASC'], ['time', 'ASC']]
-      });
+      return await Session.getUpcomingSessions(null, { sportId: this.id });
     }
 
     async getSessionCount(startDate = null, endDate = null) {
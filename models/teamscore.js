@@ -0,0 +1,48 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TeamScore extends Model {
+    static associate(models) {
+      TeamScore.belongsTo(models.MatchResult, {
+        foreignKey: 'resultId',
+        as: 'result'
+      });
+    }
+  }
+
+  TeamScore.init(
+    {
+      resultId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'MatchResults', key: 'id' }
+      },
+      team: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: { args: [1], msg: "Please choose a valid team" }
+        }
+      },
+      score: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: { args: [0], msg: "Scores cannot be negative" },
+          max: { args: [999], msg: "Scores cannot be higher than 999" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'TeamScore',
+      tableName: 'TeamScores',
+      indexes: [
+        { unique: true, fields: ['resultId', 'team'] }
+      ]
+    }
+  );
+
+  return TeamScore;
+};
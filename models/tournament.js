@@ -0,0 +1,221 @@
+'use strict';
+const { Model } = require('sequelize');
+const tournaments = require('../services/tournaments');
+
+module.exports = (sequelize, DataTypes) => {
+  // A one-off competition within a sport, run as a knockout bracket or a
+  // round robin. Each match is played as an ordinary session and its
+  // recorded result decides who goes through.
+  class Tournament extends Model {
+    static associate(models) {
+      Tournament.belongsTo(models.Sport, {
+        foreignKey: 'sportId',
+        as: 'sport'
+      });
+
+      Tournament.belongsTo(models.User, {
+        foreignKey: 'creatorId',
+        as: 'creator'
+      });
+
+      Tournament.hasMany(models.TournamentEntrant, {
+        foreignKey: 'tournamentId',
+        as: 'entrants'
+      });
+
+      Tournament.hasMany(models.TournamentMatch, {
+        foreignKey: 'tournamentId',
+        as: 'matches'
+      });
+    }
+
+    canBeManagedBy(user) {
+      return this.creatorId === user.id || user.role === 'admin';
+    }
+
+    async hasMatches() {
+      return (await this.countMatches()) > 0;
+    }
+
+    getFormatLabel() {
+      return tournaments.FORMAT_LABELS[this.format];
+    }
+
+    // The bracket before any session exists: one entry per match by round,
+    // with first-round byes already decided and their winners moved on.
+    buildBracket(entrantIds) {
+      if (this.format === 'round_robin') {
+        return tournaments.roundRobin(entrantIds).flatMap((pairs, index) => pairs.map(([home, away], position) => ({
+          round: index + 1,
+          position,
+          homeEntrantId: home,
+          awayEntrantId: away,
+          winnerEntrantId: null
+        })));
+      }
+
+      const roundCount = tournaments.knockoutRoundCount(entrantIds.length);
+      const matches = tournaments.knockoutDraw(entrantIds).map(([home, away], position) => ({
+        round: 1,
+        position,
+        homeEntrantId: home,
+        awayEntrantId: away,
+        winnerEntrantId: home && away ? null : home || away
+      }));
+      for (let round = 2; round <= roundCount; round++) {
+        const count = 2 ** (roundCount - round);
+        for (let position = 0; position < count; position++) {
+          matches.push({ round, position, homeEntrantId: null, awayEntrantId: null, winnerEntrantId: null });
+        }
+      }
+
+      matches.filter(match => match.round === 1 && match.winnerEntrantId).forEach(bye => {
+        const next = tournaments.nextMatchOf(bye.position);
+        const target = matches.find(match => match.round === 2 && match.position === next.position);
+        target[`${next.side}EntrantId`] = bye.winnerEntrantId;
+      });
+      return matches;
+    }
+
+    // Schedules every match as a session on `date`, using the courts of
+    // `venues` at each of `times` that are open and not already booked.
+    // Rounds follow one another so winners are known before they play on.
+    async generateSchedule({ date, times, venues, playersNeeded, durationMinutes }) {
+      const { Session, TournamentMatch } = sequelize.models;
+      const entrants = await this.getEntrants({ order: [['seed', 'ASC']] });
+      if (entrants.length < tournaments.MIN_ENTRANTS) {
+        throw new Error(`A tournament needs at least ${tournaments.MIN_ENTRANTS} entrants to schedule matches`);
+      }
+      if (await this.hasMatches()) throw new Error('Matches have already been scheduled for this tournament');
+
+      const matches = this.buildBracket(entrants.map(entrant => entrant.id));
+      const playable = matches.filter(match => !match.winnerEntrantId);
+      const roundCount = Math.max(...matches.map(match => match.round));
+      const matchCounts = Array.from({ length: roundCount }, (_, index) => {
+        return playable.filter(match => match.round === index + 1).length;
+      });
+
+      const slots = [];
+      for (const time of times) {
+        for (const venue of venues) {
+          for (let court = 1; court <= venue.courts; court++) {
+            const availability = await venue.checkAvailability({ date, time, court, durationMinutes });
+            if (availability.available) slots.push({ time, venue, court });
+          }
+        }
+      }
+      const allocated = tournaments.allocateSlots(matchCounts, slots, durationMinutes);
+
+      return await sequelize.transaction(async (transaction) => {
+        const records = [];
+        for (const match of matches) {
+          let sessionId = null;
+          if (!match.winnerEntrantId) {
+            const { time, venue, court } = allocated[match.round - 1].shift();
+            const session = await Session.create({
+              sportId: this.sportId,
+              creatorId: this.creatorId,
+              date,
+              time,
+              timeZone: venue.timeZone,
+              venueId: venue.id,
+              court,
+              venue: venue.getSessionLabel(court),
+              playersNeeded,
+              durationMinutes,
+              teamCount: 2
+            }, { transaction });
+            sessionId = session.id;
+          }
+          records.push({ ...match, tournamentId: this.id, sessionId });
+        }
+
+        return await TournamentMatch.bulkCreate(records, { transaction, validate: true });
+      });
+    }
+
+    // Matches grouped by round for the bracket page, each with its
+    // entrants, winner and session result loaded.
+    async getRounds() {
+      const { MatchResult } = sequelize.models;
+      const matches = await this.getMatches({
+        include: [
+          'homeEntrant', 'awayEntrant', 'winner',
+          { association: 'session', include: [{ model: MatchResult, as: 'result', include: ['scores'] }] }
+        ],
+        order: [['round', 'ASC'], ['position', 'ASC']]
+      });
+
+      const roundCount = matches.length > 0 ? matches[matches.length - 1].round : 0;
+      return Array.from({ length: roundCount }, (_, index) => ({
+        number: index + 1,
+        name: tournaments.roundName(index + 1, roundCount, this.format),
+        matches: matches.filter(match => match.round === index + 1)
+      }));
+    }
+
+    // Round robin table from services/leagues.js, each row with its
+    // entrant loaded. Matches count once their session has a result.
+    async getStandings() {
+      const { MatchResult } = sequelize.models;
+      const [entrants, played] = await Promise.all([
+        this.getEntrants({ order: [['seed', 'ASC']] }),
+        this.getMatches({
+          include: [{
+            association: 'session',
+            required: true,
+            where: { status: ['active', 'completed'] },
+            include: [{ model: MatchResult, as: 'result', required: true, include: ['scores'] }]
+          }]
+        })
+      ]);
+
+      const fixtures = played.map(match => {
+        const [homeScore, awayScore] = match.session.result.getScoreList(2);
+        const winner = { 1: 'home', 2: 'away' }[match.session.result.winningTeam] || 'draw';
+        return { homeId: match.homeEntrantId, awayId: match.awayEntrantId, homeScore, awayScore, winner };
+      });
+
+      const entrantsById = new Map(entrants.map(entrant => [entrant.id, entrant]));
+      return tournaments.buildStandings(entrants.map(entrant => entrant.id), fixtures)
+        .map(row => ({ ...row, entrant: entrantsById.get(row.memberId) }));
+    }
+  }
+
+  Tournament.FORMATS = tournaments.FORMATS;
+
+  Tournament.init(
+    {
+      sportId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sports', key: 'id' }
+      },
+      creatorId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "Tournament name cannot be empty" },
+          len: { args: [2, 100], msg: "Tournament name must be between 2 and 100 characters" }
+        }
+      },
+      format: {
+        type: DataTypes.ENUM(...tournaments.FORMATS),
+        allowNull: false,
+        defaultValue: 'knockout'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Tournament',
+      tableName: 'Tournaments'
+    }
+  );
+
+  return Tournament;
+};
@@ -0,0 +1,60 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // A team or a single player registered for a tournament. Seeds follow the
+  // order entrants were registered, 1 being the top seed.
+  class TournamentEntrant extends Model {
+    static associate(models) {
+      TournamentEntrant.belongsTo(models.Tournament, {
+        foreignKey: 'tournamentId',
+        as: 'tournament'
+      });
+
+      TournamentEntrant.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+
+  TournamentEntrant.init(
+    {
+      tournamentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Tournaments', key: 'id' }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: { msg: "Name cannot be empty" },
+          len: { args: [2, 100], msg: "Name must be between 2 and 100 characters" }
+        }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' }
+      },
+      seed: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+          min: { args: [1], msg: "Seed must be at least 1" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'TournamentEntrant',
+      tableName: 'TournamentEntrants',
+      indexes: [
+        { unique: true, fields: ['tournamentId', 'name'] }
+      ]
+    }
+  );
+
+  return TournamentEntrant;
+};
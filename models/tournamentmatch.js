@@ -0,0 +1,140 @@
+'use strict';
+const { Model } = require('sequelize');
+const tournaments = require('../services/tournaments');
+
+module.exports = (sequelize, DataTypes) => {
+  // One game in a tournament, placed by round and position in its bracket.
+  // The home entrant plays as team 1 in the session's result. Knockout
+  // matches further on start without entrants and are filled in as earlier
+  // winners go through; first-round byes have a winner but no session.
+  class TournamentMatch extends Model {
+    static associate(models) {
+      TournamentMatch.belongsTo(models.Tournament, {
+        foreignKey: 'tournamentId',
+        as: 'tournament'
+      });
+
+      TournamentMatch.belongsTo(models.TournamentEntrant, {
+        foreignKey: 'homeEntrantId',
+        as: 'homeEntrant'
+      });
+
+      TournamentMatch.belongsTo(models.TournamentEntrant, {
+        foreignKey: 'awayEntrantId',
+        as: 'awayEntrant'
+      });
+
+      TournamentMatch.belongsTo(models.TournamentEntrant, {
+        foreignKey: 'winnerEntrantId',
+        as: 'winner'
+      });
+
+      TournamentMatch.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+    }
+
+    isBye() {
+      return !this.sessionId;
+    }
+
+    async getNextMatch(options = {}) {
+      const next = tournaments.nextMatchOf(this.position);
+      return await TournamentMatch.findOne({
+        where: { tournamentId: this.tournamentId, round: this.round + 1, position: next.position },
+        ...options
+      });
+    }
+
+    // Throws when a result with `winningTeam` (1 for home, 2 for away, null
+    // for a draw) cannot be recorded for this match. Needs the tournament
+    // loaded. Within `transaction` the next match stays locked until it
+    // commits, so it cannot be played in the meantime.
+    async checkResult(winningTeam, { transaction = null } = {}) {
+      if (!this.homeEntrantId || !this.awayEntrantId) {
+        throw new Error('Both sides of this match need to be known before recording its result');
+      }
+      if (this.tournament.format !== 'knockout') return;
+
+      if (!winningTeam) {
+        throw new Error('Knockout matches need a winner');
+      }
+
+      const winnerEntrantId = winningTeam === 1 ? this.homeEntrantId : this.awayEntrantId;
+      if (this.winnerEntrantId && this.winnerEntrantId !== winnerEntrantId) {
+        const next = await this.getNextMatch(transaction ? { transaction, lock: transaction.LOCK.UPDATE } : {});
+        if (next && next.winnerEntrantId) {
+          throw new Error('The winner cannot change once the next round has been played');
+        }
+      }
+    }
+
+    // Stores the winner of a recorded result and, in a knockout, sends
+    // them through to their place in the next round.
+    async recordWinner(winningTeam, { transaction = null } = {}) {
+      if (!transaction) {
+        return sequelize.transaction(transaction => this.recordWinner(winningTeam, { transaction }));
+      }
+
+      const winnerEntrantId = { 1: this.homeEntrantId, 2: this.awayEntrantId }[winningTeam] || null;
+      await this.update({ winnerEntrantId }, { transaction });
+      if (this.tournament.format !== 'knockout') return;
+
+      const next = await this.getNextMatch({ transaction, lock: transaction.LOCK.UPDATE });
+      if (next) {
+        const side = tournaments.nextMatchOf(this.position).side;
+        await next.update({ [`${side}EntrantId`]: winnerEntrantId }, { transaction });
+      }
+    }
+  }
+
+  TournamentMatch.init(
+    {
+      tournamentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Tournaments', key: 'id' }
+      },
+      round: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      position: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      homeEntrantId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'TournamentEntrants', key: 'id' }
+      },
+      awayEntrantId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'TournamentEntrants', key: 'id' }
+      },
+      winnerEntrantId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'TournamentEntrants', key: 'id' }
+      },
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: true,
+        references: { model: 'Sessions', key: 'id' }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'TournamentMatch',
+      tableName: 'TournamentMatches',
+      indexes: [
+        { unique: true, fields: ['tournamentId', 'round', 'position'] }
+      ]
+    }
+  );
+
+  return TournamentMatch;
+};
@@ -1,6 +1,8 @@
 'use strict';
 const { Model } = require('sequelize');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const timezones = require('../services/timezones');
 
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
@@ -16,17 +18,27 @@ module.exports = (sequelize, DataTypes) => {
       });
       
       User.belongsToMany(models.Session, {
-        through: 'UserSessions',
+        through: models.UserSession,
         foreignKey: 'userId',
         as: 'joinedSessions'
       });
+
+      User.hasMany(models.PlayerSkill, {
+        foreignKey: 'userId',
+        as: 'skills'
+      });
+
+      User.hasMany(models.AccessToken, {
+        foreignKey: 'userId',
+        as: 'accessTokens'
+      });
     }
 
     async checkPassword(password) {
       return await bcrypt.compare(password, this.password);
     }
 
-    static async createUser({ name, email, password, role = 'player' }) {
+    static async createUser({ name, email, password, role = 'player', timeZone = null }) {
       const saltRounds = 10;
       const hashedPassword = await bcrypt.hash(password, saltRounds);
       
@@ -34,10 +46,29 @@ module.exports = (sequelize, DataTypes) => {
         name,
         email,
         password: hashedPassword,
-        role
+        role,
+        timeZone
       });
     }
 
+    async getCalendarToken() {
+      if (!this.calendarToken) {
+        await this.regenerateCalendarToken();
+      }
+      return this.calendarToken;
+    }
+
+    async regenerateCalendarToken() {
+      this.calendarToken = crypto.randomBytes(20).toString('hex');
+      await this.save({ fields: ['calendarToken'] });
+      return this.calendarToken;
+    }
+
+    async getReliability() {
+      const totals = await sequelize.models.UserSession.getReliabilityFor([this.id]);
+      return totals[this.id];
+    }
+
     isAdmin() {
       return this.role === 'admin';
     }
@@ -97,6 +128,22 @@ module.exports = (sequelize, DataTypes) => {
           msg: "Role must be either 'admin' or 'player'"
         }
       }
+    },
+    calendarToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    timeZone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isTimeZone(value) {
+          if (value !== null && !timezones.isValidTimeZone(value)) {
+            throw new Error("Please select a valid time zone");
+          }
+        }
+      }
     }
   }, {
     sequelize,
@@ -0,0 +1,73 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  // An organizer keeping a user out of every session they create.
+  class UserBlock extends Model {
+    static associate(models) {
+      UserBlock.belongsTo(models.User, {
+        foreignKey: 'blockerId',
+        as: 'blocker'
+      });
+
+      UserBlock.belongsTo(models.User, {
+        foreignKey: 'blockedId',
+        as: 'blocked'
+      });
+    }
+
+    static async isBlocked(blockerId, blockedId, options = {}) {
+      const count = await UserBlock.count({ ...options, where: { blockerId, blockedId } });
+      return count > 0;
+    }
+
+    // Blocking also drops the user from the blocker's waitlists and pending
+    // join requests, so they are not let in later without anyone noticing.
+    static async block(blockerId, blockedId) {
+      if (blockerId === blockedId) throw new Error('You cannot block yourself');
+
+      await sequelize.transaction(async (transaction) => {
+        await UserBlock.findOrCreate({ where: { blockerId, blockedId }, transaction });
+
+        const sessions = await sequelize.models.Session.findAll({
+          attributes: ['id'],
+          where: { creatorId: blockerId },
+          transaction
+        });
+        const sessionIds = sessions.map(session => session.id);
+        await sequelize.models.WaitlistEntry.destroy({ where: { sessionId: sessionIds, userId: blockedId }, transaction });
+        await sequelize.models.JoinRequest.destroy({ where: { sessionId: sessionIds, userId: blockedId }, transaction });
+      });
+    }
+
+    static async unblock(blockerId, blockedId) {
+      const removed = await UserBlock.destroy({ where: { blockerId, blockedId } });
+      return removed > 0;
+    }
+  }
+
+  UserBlock.init(
+    {
+      blockerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      blockedId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'UserBlock',
+      tableName: 'UserBlocks',
+      indexes: [
+        { unique: true, fields: ['blockerId', 'blockedId'] }
+      ]
+    }
+  );
+
+  return UserBlock;
+};
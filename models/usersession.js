@@ -0,0 +1,121 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const ATTENDANCE_STATUSES = ['attended', 'no_show', 'late_cancel'];
+
+const ATTENDANCE_LABELS = {
+  attended: 'Attended',
+  no_show: 'No-show',
+  late_cancel: 'Late cancel'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  // The join record between a player and a session. Besides membership it
+  // holds the player's team in the line-up and the attendance the organizer
+  // marks once the game is under way.
+  class UserSession extends Model {
+    static associate(models) {
+      UserSession.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+
+      UserSession.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+
+    // Attendance totals keyed by user id, e.g.
+    // { 3: { attended: 8, no_show: 1, late_cancel: 1, marked: 10, reliability: 80 } }.
+    // Reliability is the share of marked sessions a player actually attended
+    // and stays null until at least one session has been marked.
+    static async getReliabilityFor(userIds) {
+      const totals = {};
+      userIds.forEach(userId => {
+        totals[userId] = { attended: 0, no_show: 0, late_cancel: 0, marked: 0, reliability: null };
+      });
+      if (userIds.length === 0) return totals;
+
+      const rows = await UserSession.findAll({
+        attributes: ['userId', 'attendance', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: { userId: userIds, attendance: ATTENDANCE_STATUSES },
+        group: ['userId', 'attendance'],
+        raw: true
+      });
+
+      rows.forEach(row => {
+        const total = totals[row.userId];
+        total[row.attendance] = parseInt(row.count);
+        total.marked += parseInt(row.count);
+      });
+
+      Object.values(totals).forEach(total => {
+        if (total.marked > 0) {
+          total.reliability = Math.round((total.attended / total.marked) * 100);
+        }
+      });
+
+      return totals;
+    }
+
+    getAttendanceLabel() {
+      return this.attendance ? ATTENDANCE_LABELS[this.attendance] : 'Not marked';
+    }
+  }
+
+  UserSession.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+  UserSession.ATTENDANCE_LABELS = ATTENDANCE_LABELS;
+
+  UserSession.init(
+    {
+      // Declared explicitly, otherwise belongsToMany replaces the table's
+      // surrogate key with a composite one.
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      attendance: {
+        type: DataTypes.ENUM(...ATTENDANCE_STATUSES),
+        allowNull: true
+      },
+      attendanceMarkedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      guests: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: { args: [0], msg: "Guests cannot be negative" }
+        }
+      },
+      team: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    },
+    {
+      sequelize,
+      modelName: 'UserSession',
+      tableName: 'UserSessions',
+      indexes: [
+        { unique: true, fields: ['userId', 'sessionId'] }
+      ]
+    }
+  );
+
+  return UserSession;
+};
@@ -0,0 +1,144 @@
+'use strict';
+const { Model, Op } = require('sequelize');
+const timezones = require('../services/timezones');
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class Venue extends Model {
+    static associate(models) {
+      Venue.hasMany(models.Session, {
+        foreignKey: 'venueId',
+        as: 'sessions'
+      });
+    }
+
+    isOpenAt(time, durationMinutes = DEFAULT_DURATION_MINUTES) {
+      if (!this.openingTime || !this.closingTime) return true;
+
+      const start = toMinutes(time);
+      return start >= toMinutes(this.openingTime) &&
+        start + durationMinutes <= toMinutes(this.closingTime);
+    }
+
+    getOpeningHours() {
+      if (!this.openingTime || !this.closingTime) return 'Open all day';
+      return `${String(this.openingTime).slice(0, 5)}–${String(this.closingTime).slice(0, 5)}`;
+    }
+
+    getSessionLabel(court) {
+      return court && this.courts > 1 ? `${this.name} (Court ${court})` : this.name;
+    }
+
+    // Checks whether a booking fits at this venue. Overlapping bookings on the
+    // requested court are rejected; without a court the booking only fails
+    // once every court is taken, and otherwise comes back with a warning.
+    async checkAvailability({ date, time, court = null, durationMinutes = DEFAULT_DURATION_MINUTES, excludeSessionIds = [] }) {
+      if (court && (court < 1 || court > this.courts)) {
+        return { available: false, message: `${this.name} only has ${this.courts} court${this.courts !== 1 ? 's' : ''}` };
+      }
+
+      if (!this.isOpenAt(time, durationMinutes)) {
+        return { available: false, message: `${this.name} is only open ${this.getOpeningHours()}` };
+      }
+
+      const start = toMinutes(time);
+      const bookings = await sequelize.models.Session.findAll({
+        where: {
+          venueId: this.id,
+          date,
+          status: 'active',
+          id: { [Op.notIn]: excludeSessionIds.length > 0 ? excludeSessionIds : [0] }
+        }
+      });
+      const overlapping = bookings.filter(booking => {
+        const bookingStart = toMinutes(booking.time);
+        const bookingDuration = booking.durationMinutes || DEFAULT_DURATION_MINUTES;
+        return start < bookingStart + bookingDuration && bookingStart < start + durationMinutes;
+      });
+
+      const sameCourt = court && overlapping.find(booking => booking.court === court);
+      if (sameCourt) {
+        return {
+          available: false,
+          message: `${this.getSessionLabel(court)} is already booked on ${date} at ${String(sameCourt.time).slice(0, 5)}`
+        };
+      }
+
+      if (overlapping.length >= this.courts) {
+        return { available: false, message: `All courts at ${this.name} are booked on ${date} around ${String(time).slice(0, 5)}` };
+      }
+
+      return {
+        available: true,
+        warning: overlapping.length > 0
+          ? `${overlapping.length} other session${overlapping.length !== 1 ? 's are' : ' is'} booked at ${this.name} on ${date} around that time`
+          : null
+      };
+    }
+  }
+
+  Venue.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES;
+
+  Venue.init(
+    {
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        validate: {
+          notEmpty: { msg: "Venue name cannot be empty" },
+          len: { args: [2, 100], msg: "Venue name must be between 2 and 100 characters" }
+        }
+      },
+      address: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          len: { args: [0, 255], msg: "Address cannot exceed 255 characters" }
+        }
+      },
+      courts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+          min: { args: [1], msg: "A venue needs at least 1 court" },
+          max: { args: [50], msg: "Cannot exceed 50 courts" }
+        }
+      },
+      openingTime: {
+        type: DataTypes.TIME,
+        allowNull: true
+      },
+      closingTime: {
+        type: DataTypes.TIME,
+        allowNull: true
+      },
+      timeZone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: timezones.DEFAULT_TIME_ZONE,
+        validate: {
+          isTimeZone(value) {
+            if (!timezones.isValidTimeZone(value)) {
+              throw new Error("Please select a valid time zone");
+            }
+          }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Venue',
+      tableName: 'Venues'
+    }
+  );
+
+  return Venue;
+};
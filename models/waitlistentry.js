@@ -0,0 +1,68 @@
+'use strict';
+const { Model, Op } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class WaitlistEntry extends Model {
+    static associate(models) {
+      WaitlistEntry.belongsTo(models.Session, {
+        foreignKey: 'sessionId',
+        as: 'session'
+      });
+
+      WaitlistEntry.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+
+    // Waitlist positions keyed by session id for one user, e.g. { 12: 1, 15: 3 }.
+    static async getPositionsForUser(userId) {
+      const entries = await WaitlistEntry.findAll({ where: { userId } });
+      const positions = {};
+
+      for (const entry of entries) {
+        positions[entry.sessionId] = await WaitlistEntry.count({
+          where: {
+            sessionId: entry.sessionId,
+            id: { [Op.lte]: entry.id }
+          }
+        });
+      }
+
+      return positions;
+    }
+  }
+
+  WaitlistEntry.init(
+    {
+      sessionId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Sessions', key: 'id' }
+      },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' }
+      },
+      guests: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: { args: [0], msg: "Guests cannot be negative" }
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'WaitlistEntry',
+      tableName: 'WaitlistEntries',
+      indexes: [
+        { unique: true, fields: ['sessionId', 'userId'] }
+      ]
+    }
+  );
+
+  return WaitlistEntry;
+};
@@ -0,0 +1,113 @@
+'use strict';
+const { Model } = require('sequelize');
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['session.created', 'session.updated', 'session.cancelled', 'player.joined', 'player.left'];
+
+const EVENT_LABELS = {
+  'session.created': 'Session created',
+  'session.updated': 'Session changed',
+  'session.cancelled': 'Session cancelled',
+  'player.joined': 'Player joined',
+  'player.left': 'Player left'
+};
+
+module.exports = (sequelize, DataTypes) => {
+  // An endpoint that receives signed JSON for the session events it
+  // subscribes to, registered by an admin for bots and integrations.
+  class Webhook extends Model {
+    static associate(models) {
+      Webhook.belongsTo(models.User, {
+        foreignKey: 'creatorId',
+        as: 'creator'
+      });
+
+      Webhook.hasMany(models.WebhookDelivery, {
+        foreignKey: 'webhookId',
+        as: 'deliveries'
+      });
+    }
+
+    static generateSecret() {
+      return crypto.randomBytes(24).toString('hex');
+    }
+
+    subscribesTo(event) {
+      return this.active && this.eventTypes.includes(event);
+    }
+
+    getEventLabels() {
+      return this.eventTypes.map(event => EVENT_LABELS[event] || event);
+    }
+  }
+
+  Webhook.EVENT_TYPES = EVENT_TYPES;
+  Webhook.EVENT_LABELS = EVENT_LABELS;
+
+  Webhook.init(
+    {
+      creatorId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' }
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          len: { args: [2, 100], msg: "Name must be between 2 and 100 characters" }
+        }
+      },
+      url: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        validate: {
+          // Sequelize's isUrl ignores options, and receivers are often on
+          // hosts without a TLD such as localhost
+          isHttpUrl(value) {
+            let protocol = null;
+            try {
+              protocol = new URL(value).protocol;
+            } catch (error) {
+              // Reported below
+            }
+            if (protocol !== 'http:' && protocol !== 'https:') {
+              throw new Error("Please enter a valid http or https URL");
+            }
+          }
+        }
+      },
+      secret: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+          len: { args: [16, 100], msg: "Secret must be between 16 and 100 characters" }
+        }
+      },
+      eventTypes: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          known(value) {
+            if (!Array.isArray(value) || value.length === 0 || value.some(event => !EVENT_TYPES.includes(event))) {
+              throw new Error("Please choose at least one event");
+            }
+          }
+        }
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Webhook',
+      tableName: 'Webhooks'
+    }
+  );
+
+  return Webhook;
+};
@@ -0,0 +1,110 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const STATUSES = ['pending', 'succeeded', 'failed'];
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RESPONSE_LENGTH = 1000;
+
+module.exports = (sequelize, DataTypes) => {
+  // One event sent to one webhook, kept as the delivery log. Failed attempts
+  // are retried with exponential backoff until MAX_ATTEMPTS is reached.
+  class WebhookDelivery extends Model {
+    static associate(models) {
+      WebhookDelivery.belongsTo(models.Webhook, {
+        foreignKey: 'webhookId',
+        as: 'webhook'
+      });
+    }
+
+    // Waits 30s after the first failure, then 1, 2, 4 and 8 minutes
+    static retryDelayMs(attempt) {
+      return RETRY_BASE_SECONDS * 1000 * 2 ** (attempt - 1);
+    }
+
+    // Records the outcome of an attempt: any 2xx response counts as
+    // delivered, anything else schedules a retry or gives up.
+    async recordAttempt({ responseStatus = null, responseBody = null, error = null }, now = new Date()) {
+      const attempts = this.attempts + 1;
+      const succeeded = responseStatus !== null && responseStatus >= 200 && responseStatus < 300;
+      const exhausted = !succeeded && attempts >= MAX_ATTEMPTS;
+
+      await this.update({
+        attempts,
+        lastAttemptAt: now,
+        responseStatus,
+        responseBody: responseBody ? responseBody.slice(0, MAX_RESPONSE_LENGTH) : null,
+        error,
+        status: succeeded ? 'succeeded' : (exhausted ? 'failed' : 'pending'),
+        nextAttemptAt: succeeded || exhausted ? null : new Date(now.getTime() + WebhookDelivery.retryDelayMs(attempts))
+      });
+    }
+
+    // Queues a failed delivery again with a fresh set of attempts
+    async retry(now = new Date()) {
+      await this.update({ status: 'pending', attempts: 0, nextAttemptAt: now });
+    }
+  }
+
+  WebhookDelivery.STATUSES = STATUSES;
+  WebhookDelivery.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+  WebhookDelivery.init(
+    {
+      webhookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Webhooks', key: 'id' }
+      },
+      event: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM(...STATUSES),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      responseBody: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    },
+    {
+      sequelize,
+      modelName: 'WebhookDelivery',
+      tableName: 'WebhookDeliveries',
+      indexes: [
+        { fields: ['webhookId'] },
+        { fields: ['status', 'nextAttemptAt'] }
+      ]
+    }
+  );
+
+  return WebhookDelivery;
+};
@@ -0,0 +1,179 @@
+// Keeps slot counts, join buttons and rosters current on pages showing
+// sessions. Each session's markup sits in a [data-live-session] container;
+// the elements inside it are updated by their data-live role from the
+// /sessions/live event stream.
+(function () {
+    const containers = document.querySelectorAll('[data-live-session]');
+    if (containers.length === 0 || !window.EventSource) return;
+
+    const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+
+    const rosterKey = (players) => players.map(player => `${player.id}+${player.guests}`).join(',');
+
+    const showNotice = (container, message) => {
+        container.querySelectorAll('[data-live="notice"]').forEach(notice => {
+            const reload = document.createElement('a');
+            reload.href = window.location.href;
+            reload.textContent = 'Reload';
+            notice.replaceChildren(`${message} `, reload);
+            notice.classList.remove('d-none');
+        });
+    };
+
+    // Join and Join Waitlist post to the same route, which puts the player
+    // on the waitlist once the session is full; only the label changes.
+    const updateJoinButton = (button, session) => {
+        const form = button.closest('form') || button;
+        form.classList.toggle('d-none', session.status !== 'active');
+
+        const open = session.availableSlots > 0;
+        const icon = button.querySelector('i');
+        icon.classList.toggle('fa-plus', open);
+        icon.classList.toggle('fa-hourglass-half', !open);
+        button.classList.toggle('btn-success', open);
+        button.classList.toggle('btn-outline-success', !open);
+        button.replaceChildren(icon, open ? button.dataset.joinLabel : button.dataset.waitlistLabel);
+    };
+
+    const renderPlayer = (player, creatorId) => {
+        const item = document.createElement('div');
+        item.className = 'list-group-item d-flex justify-content-between align-items-center px-0';
+
+        const details = document.createElement('div');
+        const link = document.createElement('a');
+        link.href = `/player/profile/${player.id}`;
+        link.className = 'text-decoration-none';
+        const name = document.createElement('strong');
+        name.textContent = player.name;
+        link.append(name);
+        details.append(link);
+
+        if (player.guests > 0) {
+            const guests = document.createElement('span');
+            guests.className = 'badge bg-light text-dark ms-1';
+            guests.textContent = `+${player.guests}`;
+            details.append(' ', guests);
+        }
+        if (player.id === creatorId) {
+            const organizer = document.createElement('span');
+            organizer.className = 'badge bg-primary ms-2';
+            organizer.textContent = 'Organizer';
+            details.append(' ', organizer);
+        }
+
+        const joined = document.createElement('small');
+        joined.className = 'text-muted';
+        joined.innerHTML = '<i class="fas fa-user-check"></i>';
+
+        item.append(details, joined);
+        return item;
+    };
+
+    const renderEmptyRoster = () => {
+        const empty = document.createElement('div');
+        empty.className = 'text-center py-3 text-muted';
+        empty.innerHTML = '<i class="fas fa-user-plus fa-2x mb-2"></i>' +
+            '<p class="mb-0">No players have joined yet</p><small>Be the first to join!</small>';
+        return empty;
+    };
+
+    // Organizers' lists carry attendance and remove controls that only the
+    // server renders, so those are left alone and the page offers a reload.
+    const updateRoster = (roster, container, session) => {
+        const key = rosterKey(session.players);
+        if (roster.dataset.roster === key) return;
+        roster.dataset.roster = key;
+
+        if (roster.hasAttribute('data-live-static')) {
+            showNotice(container, 'Players have joined or left since this page was loaded.');
+            return;
+        }
+
+        const creatorId = parseInt(container.dataset.creatorId);
+        if (session.players.length === 0) {
+            roster.replaceChildren(renderEmptyRoster());
+            return;
+        }
+        const list = document.createElement('div');
+        list.className = 'list-group list-group-flush';
+        session.players.forEach(player => list.append(renderPlayer(player, creatorId)));
+        roster.replaceChildren(list);
+    };
+
+    const update = (container, session) => {
+        const guestCount = session.headcount - session.players.length;
+        const progress = session.playersNeeded > 0
+            ? Math.min(100, Math.round((session.headcount / session.playersNeeded) * 100))
+            : 0;
+        const cancelled = session.status === 'cancelled';
+
+        container.querySelectorAll('[data-live]').forEach(element => {
+            switch (element.dataset.live) {
+                case 'headcount':
+                    element.textContent = session.headcount;
+                    break;
+                case 'playersNeeded':
+                    element.textContent = session.playersNeeded;
+                    break;
+                case 'joined':
+                    element.textContent = `${session.headcount} of ${session.playersNeeded} players joined`;
+                    break;
+                case 'playerCount':
+                    element.textContent = session.players.length;
+                    break;
+                case 'slots':
+                    element.textContent = `${plural(session.availableSlots, 'slot')} available`;
+                    break;
+                case 'availableSlots':
+                    element.textContent = session.availableSlots;
+                    break;
+                case 'slotsLabel':
+                    element.textContent = `Available Slot${session.availableSlots !== 1 ? 's' : ''}`;
+                    break;
+                case 'slotsCard':
+                    element.classList.toggle('d-none', session.availableSlots === 0 || session.status !== 'active');
+                    break;
+                case 'guests':
+                    element.textContent = `(including ${plural(guestCount, 'guest')})`;
+                    element.classList.toggle('d-none', guestCount <= 0);
+                    break;
+                case 'progress':
+                    element.style.width = `${progress}%`;
+                    break;
+                case 'cancelled':
+                    element.classList.toggle('d-none', !cancelled);
+                    break;
+                case 'status':
+                    if (cancelled) {
+                        element.textContent = 'Cancelled';
+                        element.classList.replace('bg-success', 'bg-danger');
+                    }
+                    break;
+                case 'join':
+                    updateJoinButton(element, session);
+                    break;
+                case 'players':
+                    updateRoster(element, container, session);
+                    break;
+            }
+        });
+
+        if (cancelled) {
+            showNotice(container, 'This session has been cancelled.');
+        }
+    };
+
+    const ids = [...new Set([...containers].map(container => container.dataset.liveSession))];
+    const params = new URLSearchParams({ ids: ids.join(',') });
+    const invite = new URLSearchParams(window.location.search).get('invite');
+    if (invite) params.set('invite', invite);
+
+    const source = new EventSource(`/sessions/live?${params}`);
+    source.addEventListener('session', (event) => {
+        const session = JSON.parse(event.data);
+        document.querySelectorAll(`[data-live-session="${session.id}"]`).forEach(container => {
+            update(container, session);
+        });
+    });
+    window.addEventListener('pagehide', () => source.close());
+})();
@@ -1,8 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { Sport, Session, User } = require('../models');
+const { AuditLog, Sport, Session, User, UserSession, Venue, Webhook, WebhookDelivery, sequelize } = require('../models');
 const { ensureAuthenticated, ensureAdmin } = require('../middleware/auth');
 const { Op } = require('sequelize');
+const audit = require('../services/audit');
+const events = require('../services/events');
+const timezones = require('../services/timezones');
+const webhooks = require('../services/webhooks');
 
 const router = express.Router();
 
@@ -20,17 +24,7 @@ router.get('/dashboard', async (req, res) => {
         }],
         order: [['createdAt', 'DESC']]
       }),
-      Session.findAll({
-        where: {
-          status: 'active',
-          date: {
-            [Op.gte]: new Date().toISOString().split('T')[0]
-          }
-        },
-        include: ['sport', 'creator', 'players'],
-        limit: 5,
-        order: [['date', 'ASC'], ['time', 'ASC']]
-      }),
+      Session.getUpcomingSessions(5),
       User.count({ where: { role: 'player' } }),
       Session.count()
     ]);
@@ -175,10 +169,21 @@ router.put('/sports/:id',
         return res.redirect('/admin/sports');
       }
 
-      await sport.update({
-        name: req.body.name.trim()
+      const previousName = sport.name;
+      const changes = { name: { from: previousName, to: req.body.name.trim() } };
+      await sequelize.transaction(async (transaction) => {
+        await sport.update({
+          name: req.body.name.trim()
+        }, { transaction });
+        if (sport.name !== previousName) {
+          await audit.recordSportUpdated({ sport, actor: req.user, changes }, { transaction });
+        }
       });
 
+      if (sport.name !== previousName) {
+        await events.publish('sport.updated', { sport, actor: req.user, changes });
+      }
+
       req.flash('success', `Sport "${sport.name}" updated successfully!`);
       res.redirect('/admin/sports');
     } catch (error) {
@@ -189,6 +194,454 @@ router.put('/sports/:id',
   }
 );
 
+const venueValidators = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Venue name must be between 2 and 100 characters'),
+  body('address')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Address cannot exceed 255 characters'),
+  body('courts')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Number of courts must be between 1 and 50'),
+  body('openingTime')
+    .optional({ values: 'falsy' })
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Please enter a valid opening time in HH:MM format'),
+  body('closingTime')
+    .optional({ values: 'falsy' })
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Please enter a valid closing time in HH:MM format')
+    .custom((closingTime, { req }) => {
+      if (!req.body.openingTime) {
+        throw new Error('Please enter an opening time as well');
+      }
+      if (closingTime <= req.body.openingTime) {
+        throw new Error('Closing time must be after opening time');
+      }
+      return true;
+    }),
+  body('timeZone')
+    .custom(timeZone => timezones.isValidTimeZone(timeZone))
+    .withMessage('Please select a valid time zone')
+];
+
+const venueAttributes = (body) => ({
+  name: body.name.trim(),
+  address: body.address ? body.address.trim() : null,
+  courts: parseInt(body.courts),
+  openingTime: body.openingTime && body.closingTime ? body.openingTime : null,
+  closingTime: body.openingTime && body.closingTime ? body.closingTime : null,
+  timeZone: body.timeZone
+});
+
+router.get('/venues', async (req, res) => {
+  try {
+    const venues = await Venue.findAll({
+      include: [{
+        model: Session,
+        as: 'sessions',
+        required: false,
+        where: {
+          status: 'active',
+          date: { [Op.gte]: timezones.earliestUnfinishedDate() }
+        }
+      }],
+      order: [['name', 'ASC']]
+    });
+    venues.forEach(venue => {
+      venue.sessions = venue.sessions.filter(session => !session.isPast());
+    });
+
+    res.render('admin/venues', {
+      title: 'Manage Venues',
+      venues
+    });
+  } catch (error) {
+    console.error('Venues page error:', error);
+    req.flash('error', 'Error loading venues');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+router.get('/venues/new', (req, res) => {
+  res.render('admin/create-venue', {
+    title: 'Create New Venue',
+    timeZones: timezones.listTimeZones(),
+    defaultTimeZone: req.user.timeZone || timezones.DEFAULT_TIME_ZONE
+  });
+});
+
+router.post('/venues', venueValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect('/admin/venues/new');
+    }
+
+    const venue = await Venue.create(venueAttributes(req.body));
+
+    req.flash('success', `Venue "${venue.name}" created successfully!`);
+    res.redirect('/admin/venues');
+  } catch (error) {
+    console.error('Create venue error:', error);
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      req.flash('error', 'A venue with this name already exists');
+    } else {
+      req.flash('error', 'Error creating venue');
+    }
+    res.redirect('/admin/venues/new');
+  }
+});
+
+router.get('/venues/:id/edit', async (req, res) => {
+  try {
+    const venue = await Venue.findByPk(req.params.id);
+
+    if (!venue) {
+      req.flash('error', 'Venue not found');
+      return res.redirect('/admin/venues');
+    }
+
+    res.render('admin/edit-venue', {
+      title: `Edit ${venue.name}`,
+      venue,
+      timeZones: timezones.listTimeZones()
+    });
+  } catch (error) {
+    console.error('Edit venue form error:', error);
+    req.flash('error', 'Error loading venue');
+    res.redirect('/admin/venues');
+  }
+});
+
+router.put('/venues/:id', venueValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect(`/admin/venues/${req.params.id}/edit`);
+    }
+
+    const venue = await Venue.findByPk(req.params.id);
+
+    if (!venue) {
+      req.flash('error', 'Venue not found');
+      return res.redirect('/admin/venues');
+    }
+
+    // Sessions store the venue label and zone themselves, so keep active ones
+    // that have not started in step with a rename or a corrected time zone.
+    // Cancelled and finished sessions keep the details they happened under.
+    const updated = await sequelize.transaction(async (transaction) => {
+      await venue.update(venueAttributes(req.body), { transaction });
+
+      const sessions = await venue.getSessions({
+        where: { status: 'active', date: { [Op.gte]: timezones.earliestUnfinishedDate() } },
+        transaction
+      });
+      const changed = [];
+      for (const session of sessions.filter(session => !session.hasStarted())) {
+        const details = { venue: venue.getSessionLabel(session.court), timeZone: venue.timeZone };
+        const changes = {};
+        Object.keys(details).forEach(field => {
+          if (session[field] !== details[field]) {
+            changes[field] = { from: session[field], to: details[field] };
+          }
+        });
+        if (Object.keys(changes).length === 0) continue;
+
+        await session.update(details, { transaction });
+        await audit.recordSessionUpdated({ session, actor: req.user, changes }, { transaction });
+        changed.push({ session, changes });
+      }
+      return changed;
+    });
+
+    for (const { session, changes } of updated) {
+      await events.publish('session.updated', { session, actor: req.user, changes });
+    }
+
+    req.flash('success', `Venue "${venue.name}" updated successfully!`);
+    res.redirect('/admin/venues');
+  } catch (error) {
+    console.error('Update venue error:', error);
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      req.flash('error', 'A venue with this name already exists');
+    } else {
+      req.flash('error', 'Error updating venue');
+    }
+    res.redirect(`/admin/venues/${req.params.id}/edit`);
+  }
+});
+
+const DELIVERY_LOG_SIZE = 50;
+
+const webhookValidators = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Please enter a valid http or https URL'),
+  body('secret')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ min: 16, max: 100 })
+    .withMessage('Secret must be between 16 and 100 characters'),
+  body('eventTypes')
+    .custom(eventTypes => {
+      const chosen = [].concat(eventTypes || []);
+      return chosen.length > 0 && chosen.every(event => Webhook.EVENT_TYPES.includes(event));
+    })
+    .withMessage('Please choose at least one event')
+];
+
+const webhookAttributes = (body) => ({
+  name: body.name,
+  url: body.url,
+  eventTypes: [].concat(body.eventTypes),
+  active: Boolean(body.active)
+});
+
+router.get('/webhooks', async (req, res) => {
+  try {
+    const hooks = await Webhook.findAll({ order: [['name', 'ASC']] });
+    const failedCounts = await WebhookDelivery.count({
+      where: { status: 'failed' },
+      group: ['webhookId']
+    });
+
+    res.render('admin/webhooks', {
+      title: 'Webhooks',
+      webhooks: hooks,
+      failedCounts: Object.fromEntries(failedCounts.map(row => [row.webhookId, row.count]))
+    });
+  } catch (error) {
+    console.error('Webhooks page error:', error);
+    req.flash('error', 'Error loading webhooks');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+router.get('/webhooks/new', (req, res) => {
+  res.render('admin/create-webhook', {
+    title: 'New Webhook',
+    eventLabels: Webhook.EVENT_LABELS
+  });
+});
+
+router.post('/webhooks', webhookValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect('/admin/webhooks/new');
+    }
+
+    const webhook = await Webhook.create({
+      ...webhookAttributes({ ...req.body, active: true }),
+      creatorId: req.user.id,
+      secret: req.body.secret || Webhook.generateSecret()
+    });
+
+    req.flash('success', `Webhook "${webhook.name}" created. Use the secret below to verify its signatures.`);
+    res.redirect(`/admin/webhooks/${webhook.id}`);
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    req.flash('error', 'Error creating webhook');
+    res.redirect('/admin/webhooks/new');
+  }
+});
+
+// Settings and the delivery log, newest first
+router.get('/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+
+    if (!webhook) {
+      req.flash('error', 'Webhook not found');
+      return res.redirect('/admin/webhooks');
+    }
+
+    const deliveries = await webhook.getDeliveries({
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: DELIVERY_LOG_SIZE
+    });
+
+    res.render('admin/webhook', {
+      title: webhook.name,
+      webhook,
+      deliveries,
+      eventLabels: Webhook.EVENT_LABELS,
+      maxAttempts: WebhookDelivery.MAX_ATTEMPTS
+    });
+  } catch (error) {
+    console.error('Webhook page error:', error);
+    req.flash('error', 'Error loading webhook');
+    res.redirect('/admin/webhooks');
+  }
+});
+
+router.put('/webhooks/:id', webhookValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect(`/admin/webhooks/${req.params.id}`);
+    }
+
+    const webhook = await Webhook.findByPk(req.params.id);
+
+    if (!webhook) {
+      req.flash('error', 'Webhook not found');
+      return res.redirect('/admin/webhooks');
+    }
+
+    // A blank secret keeps the current one so receivers don't break
+    await webhook.update({
+      ...webhookAttributes(req.body),
+      secret: req.body.secret || webhook.secret
+    });
+
+    req.flash('success', `Webhook "${webhook.name}" updated`);
+    res.redirect(`/admin/webhooks/${webhook.id}`);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    req.flash('error', 'Error updating webhook');
+    res.redirect(`/admin/webhooks/${req.params.id}`);
+  }
+});
+
+router.post('/webhooks/:id/delete', async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+
+    if (!webhook) {
+      req.flash('error', 'Webhook not found');
+      return res.redirect('/admin/webhooks');
+    }
+
+    await webhook.destroy();
+
+    req.flash('success', `Webhook "${webhook.name}" deleted`);
+    res.redirect('/admin/webhooks');
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    req.flash('error', 'Error deleting webhook');
+    res.redirect('/admin/webhooks');
+  }
+});
+
+router.post('/webhooks/:id/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      where: { id: req.params.deliveryId, webhookId: req.params.id },
+      include: ['webhook']
+    });
+
+    if (!delivery) {
+      req.flash('error', 'Delivery not found');
+      return res.redirect(`/admin/webhooks/${req.params.id}`);
+    }
+
+    await webhooks.redeliver(delivery);
+
+    if (delivery.status === 'succeeded') {
+      req.flash('success', `Delivery #${delivery.id} sent`);
+    } else {
+      req.flash('error', `Delivery #${delivery.id} failed again: ${delivery.error}. It will be retried automatically.`);
+    }
+    res.redirect(`/admin/webhooks/${req.params.id}`);
+  } catch (error) {
+    console.error('Retry webhook delivery error:', error);
+    req.flash('error', 'Error retrying delivery');
+    res.redirect(`/admin/webhooks/${req.params.id}`);
+  }
+});
+
+const AUDIT_PAGE_SIZE = 25;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// The audit log, newest first. `q` searches actor names and the recorded
+// values; the other filters narrow by action, entity and day.
+router.get('/audit', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const filters = {
+      q: (req.query.q || '').trim(),
+      action: AuditLog.ACTION_LABELS[req.query.action] ? req.query.action : '',
+      entityType: AuditLog.ENTITY_TYPES.includes(req.query.entityType) ? req.query.entityType : '',
+      entityId: parseInt(req.query.entityId) || '',
+      startDate: ISO_DATE.test(req.query.startDate) ? req.query.startDate : '',
+      endDate: ISO_DATE.test(req.query.endDate) ? req.query.endDate : ''
+    };
+
+    const where = {};
+    if (filters.action) where.action = filters.action;
+    if (filters.entityType) where.entityType = filters.entityType;
+    if (filters.entityId) where.entityId = filters.entityId;
+    // Days run midnight to midnight in the admin's zone, matching the times
+    // the page shows
+    if (filters.startDate || filters.endDate) {
+      const zone = req.user.timeZone || timezones.DEFAULT_TIME_ZONE;
+      where.createdAt = {};
+      if (filters.startDate) where.createdAt[Op.gte] = timezones.zonedTimeToDate(filters.startDate, '00:00', zone);
+      if (filters.endDate) {
+        const dayAfter = new Date(Date.parse(`${filters.endDate}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        where.createdAt[Op.lt] = timezones.zonedTimeToDate(dayAfter, '00:00', zone);
+      }
+    }
+    if (filters.q) {
+      const pattern = `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`;
+      where[Op.or] = [
+        { '$actor.name$': { [Op.iLike]: pattern } },
+        sequelize.where(sequelize.cast(sequelize.col('AuditLog.changes'), 'text'), { [Op.iLike]: pattern })
+      ];
+    }
+
+    const { count, rows: entries } = await AuditLog.findAndCountAll({
+      where,
+      include: ['actor'],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: AUDIT_PAGE_SIZE,
+      offset: (page - 1) * AUDIT_PAGE_SIZE
+    });
+    const totalPages = Math.ceil(count / AUDIT_PAGE_SIZE);
+
+    const filterQuery = Object.entries(filters)
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => `&${name}=${encodeURIComponent(value)}`)
+      .join('');
+
+    res.render('admin/audit', {
+      title: 'Audit Log',
+      entries,
+      filters,
+      filterQuery,
+      actionLabels: AuditLog.ACTION_LABELS,
+      entityTypes: AuditLog.ENTITY_TYPES,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        total: count,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    req.flash('error', 'Error loading audit log');
+    res.redirect('/admin/dashboard');
+  }
+});
+
 router.get('/sessions', async (req, res) => {
   try {
     const sessions = await Session.findAll({
@@ -235,15 +688,25 @@ router.get('/reports', async (req, res) => {
         };
       }
       sportStats[sportName].sessionCount++;
-      sportStats[sportName].totalPlayers += session.players.length;
+      sportStats[sportName].totalPlayers += session.getHeadcount();
     });
 
     const sportPopularity = Object.values(sportStats).sort((a, b) => b.sessionCount - a.sessionCount);
 
+    // All-time reliability for everyone who played in the period, least
+    // reliable first so repeat no-shows stand out.
+    const playersById = new Map(sessions.flatMap(s => s.players.map(p => [p.id, p])));
+    const reliabilityTotals = await UserSession.getReliabilityFor([...playersById.keys()]);
+    const playerReliability = Object.entries(reliabilityTotals)
+      .filter(([, totals]) => totals.marked > 0)
+      .map(([userId, totals]) => ({ player: playersById.get(parseInt(userId)), ...totals }))
+      .sort((a, b) => a.reliability - b.reliability);
+
     res.render('admin/reports', {
       title: 'Session Reports',
       sessions,
       sportPopularity,
+      playerReliability,
       dateRange: {
         start: start.toISOString().split('T')[0],
         end: end.toISOString().split('T')[0]
@@ -0,0 +1,342 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { BaseError, ValidationError } = require('sequelize');
+const { Session, Sport } = require('../models');
+const { serializeSession, serializeSport } = require('../services/serializers');
+const sessionActions = require('../services/sessionActions');
+const skillLevels = require('../services/skillLevels');
+
+// Version 1 of the JSON API, mounted under /api/v1. It runs the same rules
+// as the web pages but answers with JSON: { data } on success and
+// { error: { code, message, details } } with a matching status otherwise.
+const router = express.Router();
+
+const STATUSES = {
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  invalid: 422,
+  server_error: 500
+};
+
+const PER_PAGE = 10;
+const MAX_PER_PAGE = 50;
+const SESSION_INCLUDE = ['sport', 'creator', 'players'];
+
+const sendError = (res, code, message, details) => {
+  const error = { code, message };
+  if (details) error.details = details;
+  return res.status(STATUSES[code]).json({ error });
+};
+
+// Validation failures list every offending field, not just the first one
+// the web forms flash.
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  sendError(res, 'invalid', errors.array()[0].msg, errors.array().map(error => ({
+    field: error.path,
+    message: error.msg
+  })));
+  return true;
+};
+
+// Models reject requests that break a rule (a full guest allowance, a
+// blocked player...) by throwing a plain Error with a message meant for the
+// user; anything else is a bug and stays hidden.
+const sendUnexpectedError = (res, label, error) => {
+  if (error instanceof ValidationError) {
+    return sendError(res, 'invalid', error.errors[0].message);
+  }
+  if (error.constructor === Error && !(error instanceof BaseError)) {
+    return sendError(res, 'conflict', error.message);
+  }
+  console.error(`${label}:`, error);
+  return sendError(res, 'server_error', 'Something went wrong');
+};
+
+// Reloads sessions after a change so they serialize with everything loaded
+const findSessions = (ids) => Session.findAll({
+  where: { id: ids },
+  include: SESSION_INCLUDE,
+  order: [['date', 'ASC'], ['time', 'ASC']]
+});
+
+// Loads the session named in the URL into req.resource, answering 404 for
+// sessions the user may not see.
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await Session.findByPk(req.params.id, { include: SESSION_INCLUDE });
+    const inviteCode = req.body.invite || req.query.invite;
+    if (!session || !(await session.isAccessibleTo(req.user, { inviteCode }))) {
+      return sendError(res, 'not_found', 'Session not found');
+    }
+
+    req.resource = session;
+    next();
+  } catch (error) {
+    sendUnexpectedError(res, 'API load session error', error);
+  }
+};
+
+// PATCH only sends the fields that change; the rest are filled in from the
+// session so the update rules see a complete one, just like the edit form.
+const withCurrentValues = (req, res, next) => {
+  const session = req.resource;
+  const current = {
+    sportId: session.sportId,
+    date: session.date,
+    time: String(session.time).slice(0, 5),
+    timeZone: session.timeZone,
+    durationMinutes: session.durationMinutes,
+    playersNeeded: session.playersNeeded,
+    minPlayers: session.minPlayers,
+    autoCancelHours: session.autoCancelHours,
+    visibility: session.visibility,
+    requiresApproval: session.requiresApproval,
+    maxGuestsPerPlayer: session.maxGuestsPerPlayer,
+    minSkillLevel: session.minSkillLevel,
+    maxSkillLevel: session.maxSkillLevel,
+    restrictSkillLevel: session.restrictSkillLevel
+  };
+
+  // A free-text venue replaces a managed one rather than being ignored
+  if (!('venue' in req.body) || 'venueId' in req.body) {
+    Object.assign(current, { venueId: session.venueId, court: session.court, venue: session.venue });
+  }
+
+  req.body = { ...current, ...req.body };
+  next();
+};
+
+router.use((req, res, next) => {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  sendError(res, 'unauthorized', 'Please log in or send an access token to use the API');
+});
+
+router.get('/me', (req, res) => {
+  const { id, name, email, role, timeZone } = req.user;
+  res.json({ data: { id, name, email, role, timeZone } });
+});
+
+// Sessions the user organizes or plays in
+router.get('/me/sessions',
+  [
+    query('status')
+      .optional()
+      .isIn(Session.getAttributes().status.values)
+      .withMessage('Please choose a valid status')
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const where = req.query.status ? { status: req.query.status } : {};
+      const sessions = await Session.findInvolving(req.user.id, where);
+
+      res.json({ data: sessions.map(session => serializeSession(session, req.user)) });
+    } catch (error) {
+      sendUnexpectedError(res, 'API my sessions error', error);
+    }
+  }
+);
+
+router.get('/sports', async (req, res) => {
+  try {
+    const sports = await Sport.findAll({ order: [['name', 'ASC']] });
+    res.json({ data: sports.map(serializeSport) });
+  } catch (error) {
+    sendUnexpectedError(res, 'API sports list error', error);
+  }
+});
+
+router.get('/sports/:id', async (req, res) => {
+  try {
+    const sport = await Sport.findByPk(req.params.id);
+
+    if (!sport) {
+      return sendError(res, 'not_found', 'Sport not found');
+    }
+
+    res.json({ data: serializeSport(sport) });
+  } catch (error) {
+    sendUnexpectedError(res, 'API sport error', error);
+  }
+});
+
+// Active sessions the user may browse that have not ended yet, filtered like
+// the Available Sessions page and paginated with ?page= and ?perPage=.
+router.get('/sessions',
+  [
+    query('sport')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Please select a valid sport'),
+    query('level')
+      .optional()
+      .custom(level => skillLevels.isValidRank(parseInt(level)))
+      .withMessage('Please choose a valid skill level'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive number'),
+    query('perPage')
+      .optional()
+      .isInt({ min: 1, max: MAX_PER_PAGE })
+      .withMessage(`Results per page must be between 1 and ${MAX_PER_PAGE}`)
+  ],
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const page = parseInt(req.query.page) || 1;
+      const perPage = parseInt(req.query.perPage) || PER_PAGE;
+
+      const where = { status: 'active', ...Session.listableBy(req.user), ...await Session.unfinishedWhere() };
+      if (req.query.sport) {
+        where.sportId = parseInt(req.query.sport);
+      }
+      if (req.query.level) {
+        Object.assign(where, Session.skillLevelFilter(parseInt(req.query.level)));
+      }
+
+      const { count, rows: sessions } = await Session.findAndCountAll({
+        where,
+        include: SESSION_INCLUDE,
+        order: [['date', 'ASC'], ['time', 'ASC']],
+        limit: perPage,
+        offset: (page - 1) * perPage,
+        distinct: true
+      });
+
+      res.json({
+        data: sessions.map(session => serializeSession(session, req.user)),
+        pagination: { page, perPage, total: count, totalPages: Math.ceil(count / perPage) }
+      });
+    } catch (error) {
+      sendUnexpectedError(res, 'API sessions list error', error);
+    }
+  }
+);
+
+router.post('/sessions', sessionActions.createRules, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const outcome = await sessionActions.createSessions(req.user, req.body);
+    if (outcome.error) {
+      return sendError(res, outcome.code, outcome.error);
+    }
+
+    const sessions = await findSessions(outcome.sessions.map(session => session.id));
+    res.status(201).json({
+      data: sessions.map(session => serializeSession(session, req.user)),
+      warnings: outcome.warnings
+    });
+  } catch (error) {
+    sendUnexpectedError(res, 'API create session error', error);
+  }
+});
+
+router.get('/sessions/:id', loadSession, (req, res) => {
+  res.json({ data: serializeSession(req.resource, req.user) });
+});
+
+// Changes to a series occurrence follow `scope` like the edit form, so the
+// response lists every session that changed.
+router.patch('/sessions/:id', loadSession, withCurrentValues, sessionActions.updateRules, async (req, res) => {
+  try {
+    const session = req.resource;
+
+    const denied = sessionActions.checkCanEdit(session, req.user);
+    if (denied) {
+      return sendError(res, denied.code, denied.error);
+    }
+
+    if (sendValidationErrors(req, res)) return;
+
+    const outcome = await sessionActions.updateSessions(session, req.user, req.body);
+    if (outcome.error) {
+      return sendError(res, outcome.code, outcome.error);
+    }
+
+    const sessions = await findSessions(outcome.sessions.map(occurrence => occurrence.id));
+    res.json({
+      data: sessions.map(occurrence => serializeSession(occurrence, req.user)),
+      warnings: outcome.warnings
+    });
+  } catch (error) {
+    sendUnexpectedError(res, 'API update session error', error);
+  }
+});
+
+router.post('/sessions/:id/cancel', loadSession, sessionActions.cancelRules, async (req, res) => {
+  try {
+    const session = req.resource;
+
+    const denied = sessionActions.checkCanCancel(session, req.user);
+    if (denied) {
+      return sendError(res, denied.code, denied.error);
+    }
+
+    if (sendValidationErrors(req, res)) return;
+
+    const outcome = await sessionActions.cancelSessions(session, req.user, {
+      reason: req.body.reason,
+      scope: req.body.scope
+    });
+
+    const sessions = await findSessions(outcome.sessions.map(occurrence => occurrence.id));
+    res.json({ data: sessions.map(occurrence => serializeSession(occurrence, req.user)) });
+  } catch (error) {
+    sendUnexpectedError(res, 'API cancel session error', error);
+  }
+});
+
+// Joining answers with where the user ended up: joined, waitlisted (with
+// their position) or requested when the organizer approves players.
+router.post('/sessions/:id/join', loadSession, async (req, res) => {
+  try {
+    const outcome = await sessionActions.joinSession(req.resource, req.user, {
+      guests: parseInt(req.body.guests || 0)
+    });
+    if (outcome.error) {
+      return sendError(res, outcome.code, outcome.error);
+    }
+
+    const data = { status: outcome.status };
+    if (outcome.status === 'waitlisted') data.position = outcome.position;
+    res.json({ data });
+  } catch (error) {
+    sendUnexpectedError(res, 'API join session error', error);
+  }
+});
+
+router.post('/sessions/:id/leave', async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id);
+
+    if (!session) {
+      return sendError(res, 'not_found', 'Session not found');
+    }
+
+    const outcome = await sessionActions.leaveSession(session, req.user);
+    if (outcome.error) {
+      return sendError(res, outcome.code, outcome.error);
+    }
+
+    res.json({ data: { status: outcome.status } });
+  } catch (error) {
+    sendUnexpectedError(res, 'API leave session error', error);
+  }
+});
+
+router.use((req, res) => {
+  sendError(res, 'not_found', 'No such API endpoint');
+});
+
+module.exports = router;
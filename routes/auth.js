@@ -1,8 +1,9 @@
 const express = require('express');
 const passport = require('passport');
 const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
-const { ensureNotAuthenticated } = require('../middleware/auth');
+const { AccessToken, User } = require('../models');
+const { ensureAuthenticated, ensureNotAuthenticated } = require('../middleware/auth');
+const timezones = require('../services/timezones');
 
 const router = express.Router();
 
@@ -107,7 +108,9 @@ router.post('/signup',
         name: name.trim(),
         email: email.toLowerCase(),
         password,
-        role
+        role,
+        // Detected by the browser, so ignore anything we can't use
+        timeZone: timezones.isValidTimeZone(req.body.timeZone) ? req.body.timeZone : null
       });
       
       req.logIn(user, (err) => {
@@ -140,6 +143,114 @@ router.post('/signup',
   }
 );
 
+router.get('/settings', ensureAuthenticated, async (req, res) => {
+  try {
+    const accessTokens = await req.user.getAccessTokens({
+      where: { revokedAt: null },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.render('auth/settings', {
+      title: 'Settings',
+      timeZones: timezones.listTimeZones(),
+      accessTokens,
+      // Only shown on the page right after the token is created
+      newToken: req.flash('token')[0] || null,
+      tokenScopes: AccessToken.SCOPES.filter(scope => scope !== 'admin' || req.user.role === 'admin'),
+      scopeLabels: AccessToken.SCOPE_LABELS
+    });
+  } catch (error) {
+    console.error('Settings page error:', error);
+    req.flash('error', 'Error loading settings');
+    res.redirect('/');
+  }
+});
+
+router.put('/settings',
+  ensureAuthenticated,
+  [
+    body('timeZone')
+      .optional({ values: 'falsy' })
+      .custom(timeZone => timezones.isValidTimeZone(timeZone))
+      .withMessage('Please select a valid time zone')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect('/auth/settings');
+      }
+
+      await req.user.update({ timeZone: req.body.timeZone || null });
+
+      req.flash('success', 'Settings saved');
+      res.redirect('/auth/settings');
+    } catch (error) {
+      console.error('Update settings error:', error);
+      req.flash('error', 'Error saving settings');
+      res.redirect('/auth/settings');
+    }
+  }
+);
+
+router.post('/tokens',
+  ensureAuthenticated,
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Token name must be between 2 and 100 characters'),
+    body('scope')
+      .isIn(AccessToken.SCOPES)
+      .withMessage('Please choose a valid scope')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect('/auth/settings');
+      }
+
+      const { accessToken, token } = await AccessToken.issue(req.user, {
+        name: req.body.name,
+        scope: req.body.scope
+      });
+
+      req.flash('token', token);
+      req.flash('success', `Access token "${accessToken.name}" created. Copy it now; it will not be shown again.`);
+      res.redirect('/auth/settings');
+    } catch (error) {
+      console.error('Create access token error:', error);
+      req.flash('error', error.message || 'Error creating access token');
+      res.redirect('/auth/settings');
+    }
+  }
+);
+
+router.post('/tokens/:id/revoke', ensureAuthenticated, async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOne({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!accessToken) {
+      req.flash('error', 'Access token not found');
+      return res.redirect('/auth/settings');
+    }
+
+    await accessToken.revoke();
+
+    req.flash('success', `Access token "${accessToken.name}" revoked`);
+    res.redirect('/auth/settings');
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    req.flash('error', 'Error revoking access token');
+    res.redirect('/auth/settings');
+  }
+});
+
 router.post('/logout', (req, res) => {
   req.logout((err) => {
     if (err) {
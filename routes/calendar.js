@@ -0,0 +1,63 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { Session, User } = require('../models');
+const { ensureAuthenticated } = require('../middleware/auth');
+const { buildCalendar } = require('../services/ical');
+
+const router = express.Router();
+
+const FEED_HISTORY_DAYS = 90;
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/calendar/feed/${token}.ics`;
+
+// Calendar apps poll this URL without a login cookie, so the secret token in
+// the path is the only credential.
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ where: { calendarToken: req.params.token } });
+    if (!user) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const sessions = await Session.findInvolving(user.id, {
+      date: { [Op.gte]: since.toISOString().split('T')[0] }
+    });
+
+    res.type('text/calendar; charset=utf-8');
+    res.send(buildCalendar(sessions, { name: `Sports Scheduler – ${user.name}`, host: req.hostname }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).type('text/plain').send('Error generating calendar feed');
+  }
+});
+
+router.get('/', ensureAuthenticated, async (req, res) => {
+  try {
+    const token = await req.user.getCalendarToken();
+
+    res.render('calendar/index', {
+      title: 'Calendar Feed',
+      feedUrl: feedUrl(req, token)
+    });
+  } catch (error) {
+    console.error('Calendar page error:', error);
+    req.flash('error', 'Error loading calendar feed');
+    res.redirect('/player/dashboard');
+  }
+});
+
+router.post('/token', ensureAuthenticated, async (req, res) => {
+  try {
+    await req.user.regenerateCalendarToken();
+
+    req.flash('success', 'Calendar feed URL regenerated. Update your calendar subscription with the new link.');
+    res.redirect('/calendar');
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    req.flash('error', 'Error regenerating calendar feed URL');
+    res.redirect('/calendar');
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,7 @@ const { Session, Sport, User } = require('../models');
 
 router.get('/', async (req, res) => {
   try {
-    const upcomingSessions = await Session.getUpcomingSessions(6);
+    const upcomingSessions = await Session.getUpcomingSessions(6, Session.listableBy(req.user));
     const totalSports = await Sport.count();
     const totalUsers = await User.count({ where: { role: 'player' } });
     
@@ -0,0 +1,296 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { League, LeagueMember, Sport, User } = require('../models');
+const { ensureAuthenticated, ensurePlayer } = require('../middleware/auth');
+const leagues = require('../services/leagues');
+const timezones = require('../services/timezones');
+
+// Mounted under /sports/:sportId/leagues, so every league page sits below
+// the sport it belongs to.
+const router = express.Router({ mergeParams: true });
+
+router.use(ensureAuthenticated, ensurePlayer);
+
+const findLeague = (req) => League.findOne({
+  where: { id: req.params.id, sportId: req.params.sportId },
+  include: ['sport', 'creator']
+});
+
+router.get('/new', async (req, res) => {
+  try {
+    const sport = await Sport.findByPk(req.params.sportId);
+
+    if (!sport) {
+      req.flash('error', 'Sport not found');
+      return res.redirect('/sports');
+    }
+
+    res.render('leagues/create', {
+      title: `New ${sport.name} League`,
+      sport
+    });
+  } catch (error) {
+    console.error('Create league form error:', error);
+    req.flash('error', 'Error loading create league form');
+    res.redirect(`/sports/${req.params.sportId}`);
+  }
+});
+
+router.post('/',
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('League name must be between 2 and 100 characters')
+  ],
+  async (req, res) => {
+    try {
+      const sport = await Sport.findByPk(req.params.sportId);
+
+      if (!sport) {
+        req.flash('error', 'Sport not found');
+        return res.redirect('/sports');
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/sports/${sport.id}/leagues/new`);
+      }
+
+      const league = await League.create({
+        sportId: sport.id,
+        creatorId: req.user.id,
+        name: req.body.name
+      });
+
+      req.flash('success', `${league.name} created! Add the teams or players taking part.`);
+      res.redirect(`/sports/${sport.id}/leagues/${league.id}`);
+    } catch (error) {
+      console.error('Create league error:', error);
+      req.flash('error', 'Error creating league');
+      res.redirect(`/sports/${req.params.sportId}/leagues/new`);
+    }
+  }
+);
+
+router.get('/:id', async (req, res) => {
+  try {
+    const league = await findLeague(req);
+
+    if (!league) {
+      req.flash('error', 'League not found');
+      return res.redirect(`/sports/${req.params.sportId}`);
+    }
+
+    const [members, fixtures, standings] = await Promise.all([
+      league.getMembers({ include: ['user'], order: [['name', 'ASC']] }),
+      league.getFixtures({
+        include: ['homeMember', 'awayMember', { association: 'result', include: ['scores'] }],
+        order: [['round', 'ASC'], ['date', 'ASC'], ['time', 'ASC'], ['id', 'ASC']]
+      }),
+      league.getStandings()
+    ]);
+
+    const canManage = league.canBeManagedBy(req.user);
+    const defaultTimeZone = req.user.timeZone || timezones.DEFAULT_TIME_ZONE;
+
+    res.render('leagues/view', {
+      title: league.name,
+      league,
+      members,
+      fixtures,
+      standings,
+      points: leagues.POINTS,
+      canManage,
+      timeZones: canManage ? timezones.listTimeZones() : [],
+      defaultTimeZone,
+      minDate: timezones.todayInZone(defaultTimeZone)
+    });
+  } catch (error) {
+    console.error('View league error:', error);
+    req.flash('error', 'Error loading league');
+    res.redirect(`/sports/${req.params.sportId}`);
+  }
+});
+
+// Members are teams entered by name or individual players picked by email.
+router.post('/:id/members',
+  [
+    body('name')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    body('email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isEmail()
+      .withMessage('Please enter a valid email address')
+  ],
+  async (req, res) => {
+    try {
+      const league = await findLeague(req);
+
+      if (!league) {
+        req.flash('error', 'League not found');
+        return res.redirect(`/sports/${req.params.sportId}`);
+      }
+
+      const leagueUrl = `/sports/${league.sportId}/leagues/${league.id}`;
+      if (!league.canBeManagedBy(req.user)) {
+        req.flash('error', 'Only the league organizer can change its members');
+        return res.redirect(leagueUrl);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(leagueUrl);
+      }
+
+      if (await league.hasFixtures()) {
+        req.flash('error', 'Members cannot change once fixtures are scheduled');
+        return res.redirect(leagueUrl);
+      }
+
+      let player = null;
+      if (req.body.email) {
+        player = await User.findOne({ where: { email: req.body.email.toLowerCase() } });
+        if (!player) {
+          req.flash('error', 'No player found with that email address');
+          return res.redirect(leagueUrl);
+        }
+      }
+
+      const name = req.body.name || (player && player.name);
+      if (!name) {
+        req.flash('error', 'Enter a team name or a player\'s email address');
+        return res.redirect(leagueUrl);
+      }
+
+      if (await LeagueMember.count({ where: { leagueId: league.id, name } }) > 0) {
+        req.flash('error', `${name} is already in this league`);
+        return res.redirect(leagueUrl);
+      }
+
+      await LeagueMember.create({ leagueId: league.id, name, userId: player ? player.id : null });
+
+      req.flash('success', `${name} added to the league`);
+      res.redirect(leagueUrl);
+    } catch (error) {
+      console.error('Add league member error:', error);
+      req.flash('error', 'Error adding league member');
+      res.redirect(`/sports/${req.params.sportId}/leagues/${req.params.id}`);
+    }
+  }
+);
+
+router.post('/:id/members/:memberId/remove', async (req, res) => {
+  try {
+    const league = await findLeague(req);
+
+    if (!league) {
+      req.flash('error', 'League not found');
+      return res.redirect(`/sports/${req.params.sportId}`);
+    }
+
+    const leagueUrl = `/sports/${league.sportId}/leagues/${league.id}`;
+    if (!league.canBeManagedBy(req.user)) {
+      req.flash('error', 'Only the league organizer can change its members');
+      return res.redirect(leagueUrl);
+    }
+
+    if (await league.hasFixtures()) {
+      req.flash('error', 'Members cannot change once fixtures are scheduled');
+      return res.redirect(leagueUrl);
+    }
+
+    await LeagueMember.destroy({ where: { id: req.params.memberId, leagueId: league.id } });
+
+    req.flash('success', 'Member removed from the league');
+    res.redirect(leagueUrl);
+  } catch (error) {
+    console.error('Remove league member error:', error);
+    req.flash('error', 'Error removing league member');
+    res.redirect(`/sports/${req.params.sportId}/leagues/${req.params.id}`);
+  }
+});
+
+router.post('/:id/fixtures',
+  [
+    body('startDate')
+      .isISO8601({ strict: true, strictSeparator: true })
+      .withMessage('Please enter a valid start date')
+      .custom((startDate, { req }) => {
+        const timeZone = req.body.timeZone || req.user.timeZone || timezones.DEFAULT_TIME_ZONE;
+        if (startDate < timezones.todayInZone(timeZone)) {
+          throw new Error('The first round must be in the future');
+        }
+        return true;
+      }),
+    body('time')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Please enter a valid time in HH:MM format'),
+    body('timeZone')
+      .optional({ values: 'falsy' })
+      .custom(timeZone => timezones.isValidTimeZone(timeZone))
+      .withMessage('Please select a valid time zone'),
+    body('venue')
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Venue must be between 2 and 200 characters'),
+    body('playersNeeded')
+      .isInt({ min: 2, max: 50 })
+      .withMessage('Players per game must be between 2 and 50'),
+    body('durationMinutes')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 15, max: 480 })
+      .withMessage('Duration must be between 15 minutes and 8 hours'),
+    body('daysBetweenRounds')
+      .isInt({ min: 1, max: 28 })
+      .withMessage('Rounds must be between 1 and 28 days apart')
+  ],
+  async (req, res) => {
+    try {
+      const league = await findLeague(req);
+
+      if (!league) {
+        req.flash('error', 'League not found');
+        return res.redirect(`/sports/${req.params.sportId}`);
+      }
+
+      const leagueUrl = `/sports/${league.sportId}/leagues/${league.id}`;
+      if (!league.canBeManagedBy(req.user)) {
+        req.flash('error', 'Only the league organizer can schedule fixtures');
+        return res.redirect(leagueUrl);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(leagueUrl);
+      }
+
+      const fixtures = await league.generateFixtures({
+        startDate: req.body.startDate,
+        time: req.body.time,
+        timeZone: req.body.timeZone || req.user.timeZone || timezones.DEFAULT_TIME_ZONE,
+        venue: req.body.venue,
+        playersNeeded: parseInt(req.body.playersNeeded),
+        durationMinutes: parseInt(req.body.durationMinutes) || null,
+        daysBetweenRounds: parseInt(req.body.daysBetweenRounds),
+        legs: req.body.legs === '2' ? 2 : 1
+      });
+
+      req.flash('success', `${fixtures.length} fixtures scheduled`);
+      res.redirect(leagueUrl);
+    } catch (error) {
+      console.error('Schedule fixtures error:', error);
+      req.flash('error', error.message || 'Error scheduling fixtures');
+      res.redirect(`/sports/${req.params.sportId}/leagues/${req.params.id}`);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { Notification } = require('../models');
+const { ensureAuthenticated } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(ensureAuthenticated);
+
+router.get('/', async (req, res) => {
+  try {
+    const notifications = await Notification.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+
+    res.render('notifications/index', {
+      title: 'Notifications',
+      notifications
+    });
+  } catch (error) {
+    console.error('Notifications error:', error);
+    req.flash('error', 'Error loading notifications');
+    res.redirect('/player/dashboard');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!notification) {
+      req.flash('error', 'Notification not found');
+      return res.redirect('/notifications');
+    }
+
+    await notification.markRead();
+
+    res.redirect(notification.sessionId ? `/sessions/${notification.sessionId}` : '/notifications');
+  } catch (error) {
+    console.error('Open notification error:', error);
+    req.flash('error', 'Error opening notification');
+    res.redirect('/notifications');
+  }
+});
+
+router.post('/read-all', async (req, res) => {
+  try {
+    await Notification.markAllRead(req.user.id);
+
+    req.flash('success', 'All notifications marked as read');
+    res.redirect('/notifications');
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    req.flash('error', 'Error updating notifications');
+    res.redirect('/notifications');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
-const { Session, Sport, User } = require('../models');
+const { JoinRequest, PlayerSkill, Session, SessionRemoval, Sport, User, UserBlock, UserSession, WaitlistEntry } = require('../models');
 const { ensureAuthenticated, ensurePlayer } = require('../middleware/auth');
+const sessionActions = require('../services/sessionActions');
+const skillLevels = require('../services/skillLevels');
 const { Op } = require('sequelize');
 
 const router = express.Router();
@@ -12,19 +14,20 @@ router.get('/dashboard', async (req, res) => {
     const [createdSessions, joinedSessions, availableSessions] = await Promise.all([
       Session.findAll({
         where: { creatorId: req.user.id },
-        include: ['sport', 'players'],
+        include: ['sport', 'players', 'series'],
         order: [['date', 'ASC'], ['time', 'ASC']]
       }),
       Session.findAll({
         include: [
           'sport',
           'creator',
+          'series',
           {
             model: User,
             as: 'players',
             where: { id: req.user.id },
             required: true,
-            through: { attributes: [] }
+            through: { attributes: ['team'] }
           }
         ],
         order: [['date', 'ASC'], ['time', 'ASC']]
@@ -32,30 +35,78 @@ router.get('/dashboard', async (req, res) => {
       Session.findAll({
         where: {
           creatorId: { [Op.ne]: req.user.id },
-          status: 'active'
+          status: 'active',
+          visibility: 'public'
         },
         include: ['sport', 'creator', 'players'],
         order: [['date', 'ASC'], ['time', 'ASC']]
       })
     ]);
 
+    const waitlistPositions = await WaitlistEntry.getPositionsForUser(req.user.id);
+    const waitlistedSessions = await Session.findAll({
+      where: {
+        id: Object.keys(waitlistPositions),
+        status: 'active'
+      },
+      include: ['sport', 'creator'],
+      order: [['date', 'ASC'], ['time', 'ASC']]
+    });
+
+    const [removals, joinRequests, blockedBy] = await Promise.all([
+      SessionRemoval.findAll({
+        where: { userId: req.user.id },
+        include: [{ model: Session, as: 'session', include: ['sport', 'creator'] }],
+        order: [['createdAt', 'DESC']]
+      }),
+      JoinRequest.findAll({
+        where: { userId: req.user.id },
+        include: [{ model: Session, as: 'session', include: ['sport', 'creator'] }],
+        order: [['createdAt', 'DESC']]
+      }),
+      UserBlock.findAll({ where: { blockedId: req.user.id } })
+    ]);
+
+    // Sessions the player cannot get into are not worth suggesting
     const joinedSessionIds = joinedSessions.map(session => session.id);
+    const removedSessionIds = [...removals, ...joinRequests].map(record => record.sessionId);
+    const blockingCreatorIds = blockedBy.map(block => block.blockerId);
     const filteredAvailableSessions = availableSessions.filter(session =>
-      !joinedSessionIds.includes(session.id)
+      !joinedSessionIds.includes(session.id) && !session.hasStarted() &&
+      !removedSessionIds.includes(session.id) && !blockingCreatorIds.includes(session.creatorId)
     );
 
-    const today = new Date().toISOString().split('T')[0];
-    const upcomingCreated = createdSessions.filter(session => session.date >= today);
-    const pastCreated = createdSessions.filter(session => session.date < today);
-    const upcomingJoined = joinedSessions.filter(session => session.date >= today);
-    const pastJoined = joinedSessions.filter(session => session.date < today);
+    // Sessions stay upcoming until they end so in-progress games remain visible
+    const upcomingCreated = createdSessions.filter(session => !session.isPast());
+    const pastCreated = createdSessions.filter(session => session.isPast());
+    const upcomingJoined = joinedSessions.filter(session => !session.isPast());
+    const pastJoined = joinedSessions.filter(session => session.isPast());
+
+    const playerCounts = await Session.countPlayersFor(
+      [...upcomingCreated, ...upcomingJoined].map(session => session.id)
+    );
+    const pendingRequestCounts = await JoinRequest.count({
+      where: { sessionId: upcomingCreated.map(session => session.id), status: 'pending' },
+      group: ['sessionId']
+    });
 
     res.render('player/dashboard', {
       title: 'Player Dashboard',
       upcomingCreated,
+      upcomingCreatedGroups: Session.groupBySeries(upcomingCreated),
       pastCreated,
       upcomingJoined,
+      upcomingJoinedGroups: Session.groupBySeries(upcomingJoined),
       pastJoined,
+      playerCounts,
+      waitlistedSessions: waitlistedSessions.filter(session => !session.isPast()),
+      waitlistPositions,
+      removals: removals.filter(removal => !removal.session.isPast()),
+      joinRequests: joinRequests.filter(request => !request.session.isPast()),
+      pendingRequestCounts: pendingRequestCounts.reduce((counts, row) => {
+        counts[row.sessionId] = row.count;
+        return counts;
+      }, {}),
       availableSessions: filteredAvailableSessions.slice(0, 6)
     });
   } catch (error) {
@@ -65,14 +116,97 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+router.get('/profile/:id', async (req, res) => {
+  try {
+    const profileUser = await User.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'role', 'createdAt']
+    });
+
+    if (!profileUser) {
+      req.flash('error', 'Player not found');
+      return res.redirect('/player/dashboard');
+    }
+
+    const isOwnProfile = profileUser.id === req.user.id;
+    const [reliability, sessionsJoined, recentAttendance, isBlocked, skills, sports] = await Promise.all([
+      profileUser.getReliability(),
+      UserSession.count({ where: { userId: profileUser.id } }),
+      UserSession.findAll({
+        where: { userId: profileUser.id, attendance: { [Op.ne]: null } },
+        include: [{ model: Session, as: 'session', include: ['sport'] }],
+        order: [['attendanceMarkedAt', 'DESC']],
+        limit: 10
+      }),
+      UserBlock.isBlocked(req.user.id, profileUser.id),
+      PlayerSkill.findAll({
+        where: { userId: profileUser.id },
+        include: ['sport'],
+        order: [['sport', 'name', 'ASC']]
+      }),
+      isOwnProfile ? Sport.findAll({ order: [['name', 'ASC']] }) : []
+    ]);
+
+    res.render('player/profile', {
+      title: `${profileUser.name} - Player Profile`,
+      profileUser,
+      reliability,
+      sessionsJoined,
+      recentAttendance,
+      isBlocked,
+      skills,
+      sports,
+      isOwnProfile
+    });
+  } catch (error) {
+    console.error('Player profile error:', error);
+    req.flash('error', 'Error loading player profile');
+    res.redirect('/player/dashboard');
+  }
+});
+
+// Self-declared levels arrive as parallel sportIds[] and levels[] arrays;
+// an empty level clears the player's level for that sport.
+router.post('/profile/skills', async (req, res) => {
+  try {
+    const sportIds = [].concat(req.body.sportIds || []).map(id => parseInt(id));
+    const ranks = [].concat(req.body.levels || []);
+    const sports = await Sport.findAll({ where: { id: sportIds }, attributes: ['id'] });
+    const knownSportIds = new Set(sports.map(sport => sport.id));
+
+    const levels = {};
+    for (const [index, sportId] of sportIds.entries()) {
+      if (!knownSportIds.has(sportId)) continue;
+      const rank = ranks[index] ? parseInt(ranks[index]) : null;
+      if (rank !== null && !skillLevels.isValidRank(rank)) {
+        req.flash('error', 'Please choose a valid skill level');
+        return res.redirect(`/player/profile/${req.user.id}`);
+      }
+      levels[sportId] = rank;
+    }
+
+    await PlayerSkill.setLevels(req.user.id, levels);
+
+    req.flash('success', 'Skill levels updated');
+    res.redirect(`/player/profile/${req.user.id}`);
+  } catch (error) {
+    console.error('Update skill levels error:', error);
+    req.flash('error', 'Error updating skill levels');
+    res.redirect(`/player/profile/${req.user.id}`);
+  }
+});
+
 router.get('/sessions', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = 10;
     const offset = (page - 1) * limit;
     const sportFilter = req.query.sport;
+    const levelFilter = skillLevels.isValidRank(parseInt(req.query.level)) ? parseInt(req.query.level) : null;
 
-    const whereClause = { status: 'active' };
+    const whereClause = { status: 'active', ...Session.listableBy(req.user), ...await Session.unfinishedWhere() };
+    if (levelFilter) {
+      Object.assign(whereClause, Session.skillLevelFilter(levelFilter));
+    }
 
     const includeClause = ['creator', 'players'];
     if (sportFilter) {
@@ -104,6 +238,7 @@ router.get('/sessions', async (req, res) => {
       attributes: ['id']
     });
     const joinedSessionIds = joinedSessions.map(s => s.id);
+    const waitlistPositions = await WaitlistEntry.getPositionsForUser(req.user.id);
 
     const sports = await Sport.findAll({ order: [['name', 'ASC']] });
 
@@ -113,8 +248,10 @@ router.get('/sessions', async (req, res) => {
       title: 'Available Sessions',
       sessions,
       joinedSessionIds,
+      waitlistPositions,
       sports,
       currentSportFilter: sportFilter,
+      currentLevelFilter: levelFilter,
       pagination: {
         currentPage: page,
         totalPages,
@@ -135,38 +272,36 @@ router.post('/sessions/:id/join', async (req, res) => {
       include: ['sport', 'creator', 'players']
     });
 
-    if (!session) {
+    if (!session || !(await session.isAccessibleTo(req.user, { inviteCode: req.body.invite }))) {
       req.flash('error', 'Session not found');
       return res.redirect('/player/sessions');
     }
 
-    if (session.isPast && session.isPast()) {
-      req.flash('error', 'Cannot join past sessions');
-      return res.redirect('/player/sessions');
-    }
-
-    if (session.status === 'cancelled') {
-      req.flash('error', 'Cannot join cancelled sessions');
-      return res.redirect('/player/sessions');
-    }
+    const guests = parseInt(req.body.guests || 0);
+    const outcome = await sessionActions.joinSession(session, req.user, { guests });
 
-    if (session.creatorId === req.user.id) {
-      req.flash('error', 'You cannot join your own session');
+    if (outcome.error) {
+      req.flash('error', outcome.error);
       return res.redirect('/player/sessions');
     }
 
-    if (await session.hasUserJoined(req.user.id)) {
-      req.flash('error', 'You have already joined this session');
-      return res.redirect('/player/sessions');
+    if (outcome.status === 'requested') {
+      req.flash('success', `Your request to join the ${session.sport.name} session has been sent to the organizer.`);
+      return res.redirect('/player/dashboard');
     }
 
-    if (await session.isFull()) {
-      req.flash('error', 'This session is full');
-      return res.redirect('/player/sessions');
+    if (outcome.status === 'waitlisted') {
+      const { availableSlots } = outcome;
+      let reason = 'just filled up';
+      if (availableSlots === 0) {
+        reason = 'is full';
+      } else if (availableSlots < 1 + guests) {
+        reason = `only has ${availableSlots} slot${availableSlots !== 1 ? 's' : ''} left`;
+      }
+      req.flash('success', `This ${session.sport.name} session ${reason}. You are #${outcome.position} on the waitlist.`);
+      return res.redirect('/player/dashboard');
     }
 
-    await session.addPlayer(req.user);
-
     req.flash('success', `Successfully joined ${session.sport.name} session!`);
     res.redirect('/player/dashboard');
   } catch (error) {
@@ -179,7 +314,7 @@ router.post('/sessions/:id/join', async (req, res) => {
 router.post('/sessions/:id/leave', async (req, res) => {
   try {
     const session = await Session.findByPk(req.params.id, {
-      include: ['sport', 'players']
+      include: ['sport']
     });
 
     if (!session) {
@@ -187,12 +322,22 @@ router.post('/sessions/:id/leave', async (req, res) => {
       return res.redirect('/player/dashboard');
     }
 
-    if (!(await session.hasUserJoined(req.user.id))) {
-      req.flash('error', 'You have not joined this session');
+    const outcome = await sessionActions.leaveSession(session, req.user);
+
+    if (outcome.error) {
+      req.flash('error', outcome.error);
+      return res.redirect('/player/dashboard');
+    }
+
+    if (outcome.status === 'unwaitlisted') {
+      req.flash('success', `You have left the waitlist for ${session.sport.name} session`);
       return res.redirect('/player/dashboard');
     }
 
-    await session.removePlayer(req.user);
+    if (outcome.status === 'withdrawn') {
+      req.flash('success', `You have withdrawn your request to join the ${session.sport.name} session`);
+      return res.redirect('/player/dashboard');
+    }
 
     req.flash('success', `Successfully left ${session.sport.name} session`);
     res.redirect('/player/dashboard');
@@ -203,4 +348,58 @@ router.post('/sessions/:id/leave', async (req, res) => {
   }
 });
 
+router.get('/blocked', async (req, res) => {
+  try {
+    const blocks = await UserBlock.findAll({
+      where: { blockerId: req.user.id },
+      include: [{ model: User, as: 'blocked', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.render('player/blocked', {
+      title: 'Blocked Players',
+      blocks
+    });
+  } catch (error) {
+    console.error('Blocked players error:', error);
+    req.flash('error', 'Error loading blocked players');
+    res.redirect('/player/dashboard');
+  }
+});
+
+router.post('/blocked', async (req, res) => {
+  try {
+    const blocked = await User.findByPk(req.body.userId);
+
+    if (!blocked) {
+      req.flash('error', 'Player not found');
+      return res.redirect('/player/blocked');
+    }
+
+    await UserBlock.block(req.user.id, blocked.id);
+
+    req.flash('success', `${blocked.name} can no longer join your sessions`);
+    res.redirect(`/player/profile/${blocked.id}`);
+  } catch (error) {
+    console.error('Block player error:', error);
+    req.flash('error', error.message || 'Error blocking player');
+    res.redirect('/player/blocked');
+  }
+});
+
+router.post('/blocked/:userId/unblock', async (req, res) => {
+  try {
+    if (await UserBlock.unblock(req.user.id, parseInt(req.params.userId))) {
+      req.flash('success', 'Player unblocked');
+    } else {
+      req.flash('error', 'That player is not blocked');
+    }
+    res.redirect('/player/blocked');
+  } catch (error) {
+    console.error('Unblock player error:', error);
+    req.flash('error', 'Error unblocking player');
+    res.redirect('/player/blocked');
+  }
+});
+
 module.exports = router;
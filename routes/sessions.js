@@ -1,21 +1,97 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { Session, Sport, User } = require('../models');
+const { AuditLog, JoinRequest, MatchResult, Session, SessionComment, Sport, User, UserBlock, UserSession, Venue, sequelize } = require('../models');
 const { ensureAuthenticated, ensurePlayer } = require('../middleware/auth');
+const events = require('../services/events');
+const sessionActions = require('../services/sessionActions');
+const { buildCalendar } = require('../services/ical');
+const liveUpdates = require('../services/liveUpdates');
+const teams = require('../services/teams');
+const timezones = require('../services/timezones');
 
 const router = express.Router();
 
 router.use(ensureAuthenticated, ensurePlayer);
 
-router.get('/new', async (req, res) => {
+const withWarnings = (message, warnings) => {
+  return warnings.length > 0 ? `${message} Note: ${warnings[0]}.` : message;
+};
+
+// Results can be recorded from the moment a session starts and edited
+// afterwards; every save is kept in the result's history.
+const loadResultSession = (id) => Session.findByPk(id, {
+  include: [
+    'sport', 'players', 'homeMember', 'awayMember',
+    { model: MatchResult, as: 'result', include: ['scores', 'playerStats'] },
+    { association: 'tournamentMatch', include: ['tournament', 'homeEntrant', 'awayEntrant'] }
+  ]
+});
+
+const checkCanRecordResult = (session, user) => {
+  if (!session) return 'Session not found';
+  if (session.creatorId !== user.id && user.role !== 'admin') return 'Only the organizer can record results';
+  if (session.status === 'cancelled' || !session.hasStarted()) {
+    return 'Results can only be recorded once the session has started';
+  }
+  return null;
+};
+
+const updateSession = async (req, res) => {
   try {
-    const sports = await Sport.findAll({
-      order: [['name', 'ASC']]
+    const session = await Session.findByPk(req.params.id, {
+      include: ['players', 'sport']
     });
 
+    if (!session) {
+      req.flash('error', 'Session not found');
+      return res.redirect('/player/dashboard');
+    }
+
+    const denied = sessionActions.checkCanEdit(session, req.user);
+    if (denied) {
+      req.flash('error', denied.error);
+      return res.redirect('/player/dashboard');
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect(`/sessions/${req.params.id}/edit`);
+    }
+
+    const outcome = await sessionActions.updateSessions(session, req.user, req.body);
+    if (outcome.error) {
+      req.flash('error', outcome.error);
+      return res.redirect(`/sessions/${req.params.id}/edit`);
+    }
+
+    const occurrences = outcome.sessions;
+    req.flash('success', withWarnings(occurrences.length > 1
+      ? `${occurrences.length} sessions updated successfully!`
+      : 'Session updated successfully!', outcome.warnings));
+    res.redirect(`/sessions/${session.id}`);
+  } catch (error) {
+    console.error('Update session error:', error);
+    req.flash('error', 'Error updating session: ' + error.message);
+    res.redirect(`/sessions/${req.params.id}/edit`);
+  }
+};
+
+router.get('/new', async (req, res) => {
+  try {
+    const [sports, venues] = await Promise.all([
+      Sport.findAll({ order: [['name', 'ASC']] }),
+      Venue.findAll({ order: [['name', 'ASC']] })
+    ]);
+    const defaultTimeZone = req.user.timeZone || timezones.DEFAULT_TIME_ZONE;
+
     res.render('sessions/create', {
       title: 'Create New Session',
-      sports
+      sports,
+      venues,
+      timeZones: timezones.listTimeZones(),
+      defaultTimeZone,
+      minDate: timezones.todayInZone(defaultTimeZone)
     });
   } catch (error) {
     console.error('Create session form error:', error);
@@ -24,35 +100,7 @@ router.get('/new', async (req, res) => {
   }
 });
 
-router.post('/',
-  [
-    body('sportId')
-      .isInt({ min: 1 })
-      .withMessage('Please select a valid sport'),
-    body('date')
-      .isISO8601({ strict: true, strictSeparator: true })
-      .withMessage('Please enter a valid date')
-      .custom((date) => {
-        const sessionDate = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (sessionDate < today) {
-          throw new Error('Session date must be in the future');
-        }
-        return true;
-      }),
-    body('time')
-      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-      .withMessage('Please enter a valid time in HH:MM format'),
-    body('venue')
-      .trim()
-      .isLength({ min: 2, max: 200 })
-      .withMessage('Venue must be between 2 and 200 characters'),
-    body('playersNeeded')
-      .isInt({ min: 1, max: 50 })
-      .withMessage('Players needed must be between 1 and 50')
-  ],
+router.post('/', sessionActions.createRules,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -61,24 +109,16 @@ router.post('/',
         return res.redirect('/sessions/new');
       }
 
-      const { sportId, date, time, venue, playersNeeded } = req.body;
-
-      const sport = await Sport.findByPk(sportId);
-      if (!sport) {
-        req.flash('error', 'Selected sport not found');
+      const outcome = await sessionActions.createSessions(req.user, req.body);
+      if (outcome.error) {
+        req.flash('error', outcome.error);
         return res.redirect('/sessions/new');
       }
 
-      const session = await Session.create({
-        sportId: parseInt(sportId),
-        creatorId: req.user.id,
-        date,
-        time,
-        venue: venue.trim(),
-        playersNeeded: parseInt(playersNeeded)
-      });
-
-      req.flash('success', `${sport.name} session created successfully!`);
+      const { sport, sessions, warnings } = outcome;
+      req.flash('success', withWarnings(req.body.repeat === 'weekly'
+        ? `${sport.name} series created with ${sessions.length} sessions!`
+        : `${sport.name} session created successfully!`, warnings));
       res.redirect('/player/dashboard');
     } catch (error) {
       console.error('Create session error:', error);
@@ -88,13 +128,90 @@ router.post('/',
   }
 );
 
+// Live slot counts and rosters for the sessions a page shows, as a
+// Server-Sent Events stream. Sessions the user can't see are left out, and
+// a 204 tells the browser there is nothing to follow so it stops retrying.
+router.get('/live', async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(','))]
+      .map(id => parseInt(id))
+      .filter(id => Number.isInteger(id) && id > 0)
+      .slice(0, liveUpdates.MAX_SESSIONS);
+    const sessions = ids.length > 0
+      ? await Session.findAll({ where: { id: ids }, include: ['players'], order: [['id', 'ASC']] })
+      : [];
+
+    const visible = [];
+    for (const session of sessions) {
+      if (await session.isAccessibleTo(req.user, { inviteCode: req.query.invite || null })) {
+        visible.push(session);
+      }
+    }
+
+    if (visible.length === 0) {
+      return res.status(204).end();
+    }
+
+    liveUpdates.stream(req, res, visible);
+  } catch (error) {
+    console.error('Live session updates error:', error);
+    res.status(500).end();
+  }
+});
+
+// Invite links carry the code in the query string, which the session page
+// passes on to its join form.
+router.get('/invite', (req, res) => {
+  const code = (req.query.code || '').trim();
+  if (!code) {
+    req.flash('error', 'Please enter an invite code');
+    return res.redirect('/player/sessions');
+  }
+  res.redirect(`/sessions/invite/${encodeURIComponent(code)}`);
+});
+
+router.get('/invite/:code', async (req, res) => {
+  try {
+    const session = await Session.findOne({ where: { inviteCode: req.params.code } });
+
+    if (!session) {
+      req.flash('error', 'That invite code is not valid');
+      return res.redirect('/player/sessions');
+    }
+
+    res.redirect(`/sessions/${session.id}?invite=${encodeURIComponent(session.inviteCode)}`);
+  } catch (error) {
+    console.error('Session invite error:', error);
+    req.flash('error', 'Error opening invite');
+    res.redirect('/player/sessions');
+  }
+});
+
 router.get('/:id', async (req, res) => {
   try {
     const session = await Session.findByPk(req.params.id, {
-      include: ['sport', 'creator', 'players']
+      include: [
+        'sport', 'creator', 'players', 'series', 'venueDetails', 'league', 'homeMember', 'awayMember',
+        { association: 'tournamentMatch', include: ['tournament', 'homeEntrant', 'awayEntrant'] },
+        {
+          model: MatchResult,
+          as: 'result',
+          include: [
+            'scores',
+            { association: 'playerStats', include: ['user'] },
+            { association: 'revisions', include: ['editedBy'] }
+          ]
+        }
+      ],
+      order: [
+        [{ model: MatchResult, as: 'result' }, { model: sequelize.models.PlayerStat, as: 'playerStats' }, 'value', 'DESC'],
+        [{ model: MatchResult, as: 'result' }, { model: sequelize.models.MatchResultRevision, as: 'revisions' }, 'id', 'DESC']
+      ]
     });
+    const inviteCode = req.query.invite || null;
 
-    if (!session) {
+    // Invite-only sessions look missing to anyone without access
+    if (!session || !(await session.isAccessibleTo(req.user, { inviteCode }))) {
       req.flash('error', 'Session not found');
       return res.redirect('/player/dashboard');
     }
@@ -102,7 +219,39 @@ router.get('/:id', async (req, res) => {
     const hasJoined = await session.hasUserJoined(req.user.id);
     const availableSlots = await session.getAvailableSlots();
     const isOwner = session.creatorId === req.user.id;
-    const canJoin = !session.isPast() && !hasJoined && !isOwner && availableSlots > 0 && session.status === 'active';
+    const canManage = isOwner || req.user.role === 'admin';
+    const waitlist = await session.getWaitlist({
+      include: ['user'],
+      order: [['id', 'ASC']]
+    });
+    const waitlistIndex = waitlist.findIndex(entry => entry.userId === req.user.id);
+    const waitlistPosition = waitlistIndex === -1 ? null : waitlistIndex + 1;
+    const [joinRestriction, joinRequest] = await Promise.all([
+      isOwner ? null : session.getJoinRestriction(req.user.id),
+      JoinRequest.findOne({ where: { sessionId: session.id, userId: req.user.id } })
+    ]);
+
+    const isOpenToViewer = !session.hasStarted() && !hasJoined && !isOwner && session.status === 'active' &&
+      !waitlistPosition && !joinRestriction && !joinRequest;
+    const canRequestToJoin = isOpenToViewer && session.requiresApproval;
+    const canJoin = isOpenToViewer && !session.requiresApproval && availableSlots > 0;
+    const canJoinWaitlist = isOpenToViewer && !session.requiresApproval && availableSlots === 0;
+    const canMarkAttendance = canManage &&
+      session.status !== 'cancelled' && session.hasStarted() && session.players.length > 0;
+    const canRemovePlayers = canManage && session.status === 'active' && !session.hasStarted();
+    const canPickTeams = canManage && session.status !== 'cancelled' && session.players.length >= teams.MIN_TEAMS;
+    const canRecordResult = !checkCanRecordResult(session, req.user);
+    const canDiscuss = await session.canDiscuss(req.user);
+    const comments = canDiscuss
+      ? await session.getComments({ include: ['author'], order: [['createdAt', 'ASC'], ['id', 'ASC']] })
+      : [];
+    const pendingRequests = canManage
+      ? await session.getJoinRequests({ where: { status: 'pending' }, include: ['user'], order: [['id', 'ASC']] })
+      : [];
+    const inviteUrl = canManage && session.visibility !== 'public'
+      ? `${req.protocol}://${req.get('host')}/sessions/invite/${await session.getInviteCode()}`
+      : null;
+    const history = await AuditLog.forEntity('session', session.id);
 
     res.render('sessions/view', {
       title: `${session.sport.name} Session Details`,
@@ -111,6 +260,27 @@ router.get('/:id', async (req, res) => {
       availableSlots,
       isOwner,
       canJoin,
+      waitlist,
+      waitlistPosition,
+      canJoinWaitlist,
+      canRequestToJoin,
+      joinRestriction,
+      joinRequest,
+      pendingRequests,
+      canRemovePlayers,
+      canMarkAttendance,
+      canPickTeams,
+      canRecordResult,
+      canDiscuss,
+      comments,
+      maxCommentLength: SessionComment.MAX_LENGTH,
+      lineup: session.getTeams(),
+      viewerTeam: session.getTeamOf(req.user.id),
+      teamMethodLabels: teams.METHOD_LABELS,
+      inviteCode,
+      inviteUrl,
+      history,
+      attendanceLabels: UserSession.ATTENDANCE_LABELS,
       formattedDateTime: session.getFormattedDateTime()
     });
   } catch (error) {
@@ -120,11 +290,180 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.get('/:id/edit', async (req, res) => {
+// Attendance can be marked from the moment a session starts, so organizers
+// can check players in at the venue and correct it afterwards.
+router.post('/:id/attendance',
+  [
+    body('attendance.*')
+      .optional({ values: 'falsy' })
+      .isIn(UserSession.ATTENDANCE_STATUSES)
+      .withMessage('Please choose a valid attendance status')
+  ],
+  async (req, res) => {
+    try {
+      const session = await Session.findByPk(req.params.id);
+
+      if (!session) {
+        req.flash('error', 'Session not found');
+        return res.redirect('/player/dashboard');
+      }
+
+      if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
+        req.flash('error', 'Only the organizer can mark attendance');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      if (session.status === 'cancelled' || !session.hasStarted()) {
+        req.flash('error', 'Attendance can only be marked once the session has started');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      // The form posts player ids and statuses as parallel lists; keying the
+      // statuses by id would turn small ids into a compacted array.
+      const playerIds = [].concat(req.body.playerIds || []);
+      const statuses = [].concat(req.body.attendance || []);
+      const marks = new Map(playerIds.map((id, index) => [parseInt(id), statuses[index] || null]));
+
+      const records = await UserSession.findAll({ where: { sessionId: session.id } });
+      await sequelize.transaction(async (transaction) => {
+        for (const record of records) {
+          if (!marks.has(record.userId)) continue;
+          const attendance = marks.get(record.userId);
+          if (attendance === record.attendance) continue;
+          await record.update({
+            attendance,
+            attendanceMarkedAt: attendance ? new Date() : null
+          }, { transaction });
+        }
+      });
+
+      req.flash('success', 'Attendance saved');
+      res.redirect(`/sessions/${session.id}`);
+    } catch (error) {
+      console.error('Mark attendance error:', error);
+      req.flash('error', 'Error saving attendance');
+      res.redirect(`/sessions/${req.params.id}`);
+    }
+  }
+);
+
+// Organizers generate a line-up from the joined players and can then move
+// players between teams by hand before saving it again.
+router.post('/:id/teams/generate',
+  [
+    body('teamCount')
+      .isInt({ min: teams.MIN_TEAMS, max: teams.MAX_TEAMS })
+      .withMessage('Please choose between 2 and 8 teams'),
+    body('method')
+      .isIn(teams.METHODS)
+      .withMessage('Please choose how to pick the teams')
+  ],
+  async (req, res) => {
+    try {
+      const session = await Session.findByPk(req.params.id, { include: ['players'] });
+
+      if (!session) {
+        req.flash('error', 'Session not found');
+        return res.redirect('/player/dashboard');
+      }
+
+      if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
+        req.flash('error', 'Only the organizer can pick teams');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      if (session.status === 'cancelled') {
+        req.flash('error', 'Cannot pick teams for cancelled sessions');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      const teamCount = parseInt(req.body.teamCount);
+      if (session.players.length < teamCount) {
+        req.flash('error', `At least ${teamCount} players need to join before splitting into ${teamCount} teams`);
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      await session.generateTeams(teamCount, req.body.method);
+
+      req.flash('success', `Players split into ${teamCount} teams. Move players around below if needed.`);
+      res.redirect(`/sessions/${session.id}`);
+    } catch (error) {
+      console.error('Generate teams error:', error);
+      req.flash('error', 'Error generating teams');
+      res.redirect(`/sessions/${req.params.id}`);
+    }
+  }
+);
+
+router.post('/:id/teams',
+  [
+    body('teams.*')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1, max: teams.MAX_TEAMS })
+      .withMessage('Please choose a valid team')
+  ],
+  async (req, res) => {
+    try {
+      const session = await Session.findByPk(req.params.id);
+
+      if (!session) {
+        req.flash('error', 'Session not found');
+        return res.redirect('/player/dashboard');
+      }
+
+      if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
+        req.flash('error', 'Only the organizer can pick teams');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      if (session.status === 'cancelled') {
+        req.flash('error', 'Cannot pick teams for cancelled sessions');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      if (!session.teamCount) {
+        req.flash('error', 'Generate teams before changing the line-up');
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/sessions/${session.id}`);
+      }
+
+      // Parallel lists, like the attendance form
+      const playerIds = [].concat(req.body.playerIds || []);
+      const chosen = [].concat(req.body.teams || []);
+      const assignments = new Map(playerIds.map((id, index) => [parseInt(id), parseInt(chosen[index]) || null]));
+
+      await session.saveTeams(session.teamCount, assignments);
+
+      req.flash('success', 'Line-up saved');
+      res.redirect(`/sessions/${session.id}`);
+    } catch (error) {
+      console.error('Save teams error:', error);
+      req.flash('error', 'Error saving the line-up');
+      res.redirect(`/sessions/${req.params.id}`);
+    }
+  }
+);
+
+router.post('/:id/teams/clear', async (req, res) => {
   try {
-    const session = await Session.findByPk(req.params.id, {
-      include: ['sport']
-    });
+    const session = await Session.findByPk(req.params.id);
 
     if (!session) {
       req.flash('error', 'Session not found');
@@ -132,117 +471,454 @@ router.get('/:id/edit', async (req, res) => {
     }
 
     if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
-      req.flash('error', 'You can only edit your own sessions');
-      return res.redirect('/player/dashboard');
+      req.flash('error', 'Only the organizer can pick teams');
+      return res.redirect(`/sessions/${session.id}`);
     }
 
-    if (session.isPast()) {
-      req.flash('error', 'Cannot edit past sessions');
-      return res.redirect('/player/dashboard');
-    }
+    await session.clearTeams();
 
-    const sports = await Sport.findAll({
-      order: [['name', 'ASC']]
-    });
+    req.flash('success', 'Teams cleared');
+    res.redirect(`/sessions/${session.id}`);
+  } catch (error) {
+    console.error('Clear teams error:', error);
+    req.flash('error', 'Error clearing teams');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
 
-    res.render('sessions/edit', {
-      title: 'Edit Session',
+router.get('/:id/result', async (req, res) => {
+  try {
+    const session = await loadResultSession(req.params.id);
+
+    const problem = checkCanRecordResult(session, req.user);
+    if (problem) {
+      req.flash('error', problem);
+      return res.redirect(session ? `/sessions/${session.id}` : '/player/dashboard');
+    }
+
+    const teamCount = session.teamCount || 2;
+    res.render('sessions/result', {
+      title: 'Record Result',
       session,
-      sports
+      result: session.result,
+      teamCount,
+      scores: session.result ? session.result.getScoreList(teamCount) : Array(teamCount).fill(null),
+      stats: new Map((session.result ? session.result.playerStats : []).map(stat => [stat.userId, stat.value]))
     });
   } catch (error) {
-    console.error('Edit session form error:', error);
-    req.flash('error', 'Error loading edit form');
-    res.redirect('/player/dashboard');
+    console.error('Result form error:', error);
+    req.flash('error', 'Error loading the result form');
+    res.redirect(`/sessions/${req.params.id}`);
   }
 });
 
-router.put('/:id',
+router.post('/:id/result',
   [
-    body('sportId')
-      .isInt({ min: 1 })
-      .withMessage('Please select a valid sport'),
-    body('date')
-      .isISO8601()
-      .withMessage('Please enter a valid date')
-      .custom((date) => {
-        const sessionDate = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (sessionDate < today) {
-          throw new Error('Session date must be in the future');
-        }
-        return true;
-      }),
-    body('time')
-      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-      .withMessage('Please enter a valid time in HH:MM format'),
-    body('venue')
+    body('scores.*')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 0, max: MatchResult.MAX_SCORE })
+      .withMessage(`Scores must be whole numbers between 0 and ${MatchResult.MAX_SCORE}`),
+    body('winner')
+      .optional({ values: 'falsy' })
+      .matches(/^(draw|\d+)$/)
+      .withMessage('Please choose a valid winner'),
+    body('statLabel')
+      .optional()
       .trim()
-      .isLength({ min: 2, max: 200 })
-      .withMessage('Venue must be between 2 and 200 characters'),
-    body('playersNeeded')
-      .isInt({ min: 1, max: 50 })
-      .withMessage('Players needed must be between 1 and 50')
+      .isLength({ max: 30 })
+      .withMessage('Stat name must be 30 characters or fewer'),
+    body('stats.*')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 0, max: 999 })
+      .withMessage('Player stats must be whole numbers between 0 and 999'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Notes must be 1000 characters or fewer')
   ],
   async (req, res) => {
     try {
-      const session = await Session.findByPk(req.params.id, {
-        include: ['players', 'sport']
+      const session = await loadResultSession(req.params.id);
+
+      const problem = checkCanRecordResult(session, req.user);
+      if (problem) {
+        req.flash('error', problem);
+        return res.redirect(session ? `/sessions/${session.id}` : '/player/dashboard');
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/sessions/${session.id}/result`);
+      }
+
+      const teamCount = session.teamCount || 2;
+      const postedScores = [].concat(req.body.scores || []);
+      const scores = Array.from({ length: teamCount }, (_, index) => {
+        return postedScores[index] ? parseInt(postedScores[index]) : null;
+      });
+      const winner = !req.body.winner ? null : req.body.winner === 'draw' ? 'draw' : parseInt(req.body.winner);
+
+      // Stats come in as parallel lists like attendance; blanks are skipped
+      // and only players in the session count.
+      const playerIds = new Set(session.players.map(player => player.id));
+      const statPlayerIds = [].concat(req.body.statPlayerIds || []);
+      const statValues = [].concat(req.body.stats || []);
+      const stats = new Map();
+      statPlayerIds.forEach((id, index) => {
+        if (statValues[index] && playerIds.has(parseInt(id))) {
+          stats.set(parseInt(id), parseInt(statValues[index]));
+        }
+      });
+
+      // Tournament matches also have to fit the bracket, e.g. knockouts
+      // need a winner. The check, the result and the bracket move together
+      // so a failure leaves none of them behind.
+      const { tournamentMatch } = session;
+      await sequelize.transaction(async (transaction) => {
+        if (tournamentMatch) {
+          await tournamentMatch.checkResult(MatchResult.resolveWinner(scores, winner), { transaction });
+        }
+
+        const result = await MatchResult.record(session, {
+          scores,
+          winner,
+          statLabel: req.body.statLabel,
+          stats,
+          notes: req.body.notes
+        }, req.user, { transaction });
+
+        if (tournamentMatch) {
+          await tournamentMatch.recordWinner(result.winningTeam, { transaction });
+        }
       });
 
+      req.flash('success', session.result ? 'Result updated' : 'Result recorded');
+      res.redirect(`/sessions/${session.id}`);
+    } catch (error) {
+      console.error('Record result error:', error);
+      req.flash('error', error.message || 'Error saving the result');
+      res.redirect(`/sessions/${req.params.id}/result`);
+    }
+  }
+);
+
+const commentValidators = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: SessionComment.MAX_LENGTH })
+    .withMessage(`Comments must be between 1 and ${SessionComment.MAX_LENGTH} characters`)
+];
+
+const findComment = (session, commentId) => SessionComment.findOne({
+  where: { id: commentId, sessionId: session.id }
+});
+
+router.post('/:id/comments', commentValidators, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id);
+
+    if (!session) {
+      req.flash('error', 'Session not found');
+      return res.redirect('/player/dashboard');
+    }
+
+    if (!(await session.canDiscuss(req.user))) {
+      req.flash('error', 'Only the organizer and joined players can comment on this session');
+      return res.redirect(`/sessions/${session.id}`);
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect(`/sessions/${session.id}#comments`);
+    }
+
+    const comment = await SessionComment.create({
+      sessionId: session.id,
+      userId: req.user.id,
+      body: req.body.body
+    });
+    await events.publish('comment.posted', { session, comment, actor: req.user });
+
+    req.flash('success', 'Comment posted');
+    res.redirect(`/sessions/${session.id}#comment-${comment.id}`);
+  } catch (error) {
+    console.error('Post comment error:', error);
+    req.flash('error', 'Error posting comment');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
+
+router.put('/:id/comments/:commentId', commentValidators, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id);
+    const comment = session && await findComment(session, req.params.commentId);
+
+    if (!comment) {
+      req.flash('error', 'Comment not found');
+      return res.redirect(session ? `/sessions/${session.id}` : '/player/dashboard');
+    }
+
+    if (!comment.canBeEditedBy(req.user) || !(await session.canDiscuss(req.user))) {
+      req.flash('error', 'You can only edit your own comments');
+      return res.redirect(`/sessions/${session.id}#comments`);
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      req.flash('error', errors.array()[0].msg);
+      return res.redirect(`/sessions/${session.id}#comment-${comment.id}`);
+    }
+
+    await comment.update({ body: req.body.body, editedAt: new Date() });
+
+    req.flash('success', 'Comment updated');
+    res.redirect(`/sessions/${session.id}#comment-${comment.id}`);
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    req.flash('error', 'Error updating comment');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
+
+// Authors can take back their own comments; the organizer and admins can
+// remove anyone's to keep the thread on topic.
+router.post('/:id/comments/:commentId/delete', async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id);
+    const comment = session && await findComment(session, req.params.commentId);
+
+    if (!comment) {
+      req.flash('error', 'Comment not found');
+      return res.redirect(session ? `/sessions/${session.id}` : '/player/dashboard');
+    }
+
+    if (!comment.canBeDeletedBy(req.user, session)) {
+      req.flash('error', 'You can only delete your own comments');
+      return res.redirect(`/sessions/${session.id}#comments`);
+    }
+
+    await comment.destroy();
+
+    req.flash('success', 'Comment deleted');
+    res.redirect(`/sessions/${session.id}#comments`);
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    req.flash('error', 'Error deleting comment');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
+
+// Organizers and admins can take a player out of a session before it starts.
+// The player is told why and cannot rejoin; ticking "block" also keeps them
+// out of every other session the organizer runs.
+router.post('/:id/players/:userId/remove',
+  [
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be 500 characters or fewer')
+  ],
+  async (req, res) => {
+    try {
+      const session = await Session.findByPk(req.params.id, { include: ['sport'] });
+
       if (!session) {
         req.flash('error', 'Session not found');
         return res.redirect('/player/dashboard');
       }
 
       if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
-        req.flash('error', 'You can only edit your own sessions');
-        return res.redirect('/player/dashboard');
+        req.flash('error', 'Only the organizer can remove players');
+        return res.redirect(`/sessions/${session.id}`);
       }
 
-      if (session.isPast()) {
-        req.flash('error', 'Cannot edit past sessions');
-        return res.redirect('/player/dashboard');
+      if (session.status !== 'active' || session.hasStarted()) {
+        req.flash('error', 'Players can only be removed before the session starts');
+        return res.redirect(`/sessions/${session.id}`);
       }
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         req.flash('error', errors.array()[0].msg);
-        return res.redirect(`/sessions/${req.params.id}/edit`);
+        return res.redirect(`/sessions/${session.id}`);
       }
 
-      const { sportId, date, time, venue, playersNeeded } = req.body;
+      const player = await User.findByPk(req.params.userId);
+      if (!player) {
+        req.flash('error', 'Player not found');
+        return res.redirect(`/sessions/${session.id}`);
+      }
 
-      const currentPlayerCount = session.players.length;
-      if (parseInt(playersNeeded) < currentPlayerCount) {
-        req.flash('error', `Cannot reduce players needed below current joined count (${currentPlayerCount})`);
-        return res.redirect(`/sessions/${req.params.id}/edit`);
+      const reason = req.body.reason || null;
+      const promoted = await session.removePlayerFromSession(player.id, { removedById: req.user.id, reason });
+      if (req.body.block) {
+        await UserBlock.block(session.creatorId, player.id);
       }
 
-      await session.update({
-        sportId: parseInt(sportId),
-        date,
-        time,
-        venue: venue.trim(),
-        playersNeeded: parseInt(playersNeeded)
-      });
+      await events.publish('player.removed', { session, user: player, actor: req.user, reason });
+      for (const user of promoted) {
+        await events.publish('player.promoted', { session, user });
+      }
 
-      req.flash('success', 'Session updated successfully!');
+      req.flash('success', req.body.block
+        ? `${player.name} has been removed and blocked from your sessions`
+        : `${player.name} has been removed from the session`);
       res.redirect(`/sessions/${session.id}`);
     } catch (error) {
-      console.error('Update session error:', error);
-      req.flash('error', 'Error updating session: ' + error.message);
-      res.redirect(`/sessions/${req.params.id}/edit`);
+      console.error('Remove player error:', error);
+      req.flash('error', error.message || 'Error removing player');
+      res.redirect(`/sessions/${req.params.id}`);
+    }
+  }
+);
+
+// Approving runs through the same locked reservation as joining, so a request
+// approved after the session filled up lands the player on the waitlist.
+router.post('/:id/requests/:requestId/:decision(approve|decline)', async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id, { include: ['sport'] });
+
+    if (!session) {
+      req.flash('error', 'Session not found');
+      return res.redirect('/player/dashboard');
+    }
+
+    if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
+      req.flash('error', 'Only the organizer can review join requests');
+      return res.redirect(`/sessions/${session.id}`);
+    }
+
+    const request = await JoinRequest.findOne({
+      where: { id: req.params.requestId, sessionId: session.id, status: 'pending' },
+      include: ['user']
+    });
+    if (!request) {
+      req.flash('error', 'Join request not found');
+      return res.redirect(`/sessions/${session.id}`);
+    }
+
+    if (req.params.decision === 'decline') {
+      await request.update({ status: 'declined' });
+      req.flash('success', `Declined ${request.user.name}'s request to join`);
+      return res.redirect(`/sessions/${session.id}`);
+    }
+
+    const outcome = await session.approveJoinRequest(request);
+    if (outcome.status === 'waitlisted') {
+      req.flash('success', `${request.user.name} was approved and is #${outcome.position} on the waitlist because the session is full`);
+    } else {
+      await events.publish('player.joined', { session, user: request.user });
+      req.flash('success', `${request.user.name} has joined the session`);
+    }
+    res.redirect(`/sessions/${session.id}`);
+  } catch (error) {
+    console.error('Review join request error:', error);
+    req.flash('error', error.message || 'Error reviewing join request');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
+
+// Gives the session a new invite code so links shared earlier stop working.
+// Players who already joined keep their place.
+router.post('/:id/invite-code', async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id);
+
+    if (!session) {
+      req.flash('error', 'Session not found');
+      return res.redirect('/player/dashboard');
+    }
+
+    if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
+      req.flash('error', 'Only the organizer can reset the invite link');
+      return res.redirect(`/sessions/${session.id}`);
+    }
+
+    await session.regenerateInviteCode();
+
+    req.flash('success', 'Invite link reset. Links shared before no longer work.');
+    res.redirect(`/sessions/${session.id}`);
+  } catch (error) {
+    console.error('Reset invite code error:', error);
+    req.flash('error', 'Error resetting invite link');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
+
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id, {
+      include: ['sport', 'creator', 'players']
+    });
+
+    if (!session || !(await session.isAccessibleTo(req.user, { inviteCode: req.query.invite }))) {
+      req.flash('error', 'Session not found');
+      return res.redirect('/player/dashboard');
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`${session.sport.name.replace(/[^\w-]+/g, '-').toLowerCase()}-${session.date}.ics`);
+    res.send(buildCalendar([session], { name: `${session.sport.name} Session`, host: req.hostname }));
+  } catch (error) {
+    console.error('Session calendar export error:', error);
+    req.flash('error', 'Error exporting session');
+    res.redirect(`/sessions/${req.params.id}`);
+  }
+});
+
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.id, {
+      include: ['sport', 'players', 'series']
+    });
+
+    if (!session) {
+      req.flash('error', 'Session not found');
+      return res.redirect('/player/dashboard');
     }
+
+    if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
+      req.flash('error', 'You can only edit your own sessions');
+      return res.redirect('/player/dashboard');
+    }
+
+    if (session.hasStarted()) {
+      req.flash('error', 'Cannot edit sessions that have already started');
+      return res.redirect('/player/dashboard');
+    }
+
+    const [sports, venues] = await Promise.all([
+      Sport.findAll({ order: [['name', 'ASC']] }),
+      Venue.findAll({ order: [['name', 'ASC']] })
+    ]);
+
+    res.render('sessions/edit', {
+      title: 'Edit Session',
+      session,
+      sports,
+      venues,
+      timeZones: timezones.listTimeZones(),
+      minDate: timezones.todayInZone(session.timeZone)
+    });
+  } catch (error) {
+    console.error('Edit session form error:', error);
+    req.flash('error', 'Error loading edit form');
+    res.redirect('/player/dashboard');
   }
+});
+
+router.put('/:id', sessionActions.updateRules,
+  (req, res) => updateSession(req, res)
 );
 
 router.get('/:id/cancel', async (req, res) => {
   try {
     const session = await Session.findByPk(req.params.id, {
-      include: ['sport', 'players']
+      include: ['sport', 'players', 'series']
     });
 
     if (!session) {
@@ -255,8 +931,8 @@ router.get('/:id/cancel', async (req, res) => {
       return res.redirect('/player/dashboard');
     }
 
-    if (session.isPast()) {
-      req.flash('error', 'Cannot cancel past sessions');
+    if (session.hasStarted()) {
+      req.flash('error', 'Cannot cancel sessions that have already started');
       return res.redirect('/player/dashboard');
     }
 
@@ -276,13 +952,7 @@ router.get('/:id/cancel', async (req, res) => {
   }
 });
 
-router.post('/:id/cancel',
-  [
-    body('reason')
-      .trim()
-      .isLength({ min: 10, max: 500 })
-      .withMessage('Cancellation reason must be between 10 and 500 characters')
-  ],
+router.post('/:id/cancel', sessionActions.cancelRules,
   async (req, res) => {
     try {
       const session = await Session.findByPk(req.params.id, {
@@ -294,8 +964,9 @@ router.post('/:id/cancel',
         return res.redirect('/player/dashboard');
       }
 
-      if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
-        req.flash('error', 'You can only cancel your own sessions');
+      const denied = sessionActions.checkCanCancel(session, req.user);
+      if (denied) {
+        req.flash('error', denied.error);
         return res.redirect('/player/dashboard');
       }
 
@@ -305,9 +976,14 @@ router.post('/:id/cancel',
         return res.redirect(`/sessions/${req.params.id}/cancel`);
       }
 
-      await session.cancelSession(req.body.reason.trim());
+      const { sessions: occurrences } = await sessionActions.cancelSessions(session, req.user, {
+        reason: req.body.reason.trim(),
+        scope: req.body.scope
+      });
 
-      req.flash('success', `${session.sport.name} session cancelled successfully`);
+      req.flash('success', occurrences.length > 1
+        ? `${occurrences.length} ${session.sport.name} sessions cancelled successfully`
+        : `${session.sport.name} session cancelled successfully`);
       res.redirect('/player/dashboard');
     } catch (error) {
       console.error('Cancel session error:', error);
@@ -317,58 +993,9 @@ router.post('/:id/cancel',
   }
 );
 
-router.post('/:id/update', async (req, res) => {
-  console.log('🚀 FALLBACK POST ROUTE HIT');
-  try {
-      const session = await Session.findByPk(req.params.id, {
-        include: ['players', 'sport']
-      });
-
-      if (!session) {
-        req.flash('error', 'Session not found');
-        return res.redirect('/player/dashboard');
-      }
-
-      if (session.creatorId !== req.user.id && req.user.role !== 'admin') {
-        req.flash('error', 'You can only edit your own sessions');
-        return res.redirect('/player/dashboard');
-      }
-
-      if (session.isPast()) {
-        req.flash('error', 'Cannot edit past sessions');
-        return res.redirect('/player/dashboard');
-      }
-
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        req.flash('error', errors.array()[0].msg);
-        return res.redirect(`/sessions/${req.params.id}/edit`);
-      }
-
-      const { sportId, date, time, venue, playersNeeded } = req.body;
-
-      const currentPlayerCount = session.players.length;
-      if (parseInt(playersNeeded) < currentPlayerCount) {
-        req.flash('error', `Cannot reduce players needed below current joined count (${currentPlayerCount})`);
-        return res.redirect(`/sessions/${req.params.id}/edit`);
-      }
-
-      await session.update({
-        sportId: parseInt(sportId),
-        date,
-        time,
-        venue: venue.trim(),
-        playersNeeded: parseInt(playersNeeded)
-      });
-
-      req.flash('success', 'Session updated successfully!');
-      res.redirect(`/sessions/${session.id}`);
-    } catch (error) {
-      console.error('Update session error:', error);
-      req.flash('error', 'Error updating session: ' + error.message);
-      res.redirect(`/sessions/${req.params.id}/edit`);
-    }
-  }
+// For clients that can't send PUT; validated exactly like the route above
+router.post('/:id/update', sessionActions.updateRules,
+  (req, res) => updateSession(req, res)
 );
 
 router.get('/:id/cancel', async (req, res) => {
@@ -387,8 +1014,8 @@ router.get('/:id/cancel', async (req, res) => {
       return res.redirect('/player/dashboard');
     }
 
-    if (session.isPast()) {
-      req.flash('error', 'Cannot cancel past sessions');
+    if (session.hasStarted()) {
+      req.flash('error', 'Cannot cancel sessions that have already started');
       return res.redirect('/player/dashboard');
     }
 
@@ -1,5 +1,5 @@
 const express = require('express');
-const { Sport, Session, User } = require('../models');
+const { MatchResult, Sport, Session, User } = require('../models');
 const { ensureAuthenticated } = require('../middleware/auth');
 
 const router = express.Router();
@@ -14,7 +14,8 @@ router.get('/', async (req, res) => {
         as: 'sessions',
         required: false,
         where: {
-          status: 'active'
+          status: 'active',
+          ...Session.listableBy(req.user)
         },
         include: ['players']
       }],
@@ -43,6 +44,8 @@ router.get('/:id', async (req, res) => {
         {
           model: Session,
           as: 'sessions',
+          required: false,
+          where: Session.listableBy(req.user),
           include: ['creator', 'players'],
           order: [['date', 'ASC'], ['time', 'ASC']]
         }
@@ -54,12 +57,11 @@ router.get('/:id', async (req, res) => {
       return res.redirect('/sports');
     }
 
-    const today = new Date().toISOString().split('T')[0];
     const upcomingSessions = sport.sessions.filter(session => 
-      session.date >= today && session.status === 'active'
+      !session.isPast() && session.status === 'active'
     );
     const pastSessions = sport.sessions.filter(session => 
-      session.date < today || session.status !== 'active'
+      session.isPast() || session.status !== 'active'
     );
 
     const joinedSessionIds = [];
@@ -77,11 +79,26 @@ router.get('/:id', async (req, res) => {
       joinedSessionIds.push(...userJoinedSessions.map(s => s.id));
     }
 
+    const [leagues, tournaments] = await Promise.all([
+      sport.getLeagues({ order: [['createdAt', 'DESC']] }),
+      sport.getTournaments({ order: [['createdAt', 'DESC']] })
+    ]);
+
+    const resultSessions = await Session.findAll({
+      where: { sportId: sport.id, ...Session.listableBy(req.user) },
+      include: [{ model: MatchResult, as: 'result', required: true, include: ['scores'] }],
+      order: [['date', 'DESC'], ['time', 'DESC']],
+      limit: 10
+    });
+
     res.render('sports/view', {
       title: sport.name,
       sport,
       upcomingSessions,
       pastSessions,
+      resultSessions,
+      leagues,
+      tournaments,
       joinedSessionIds
     });
   } catch (error) {
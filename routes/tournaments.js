@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Tournament, TournamentEntrant, Sport, User, Venue, Session } = require('../models');
+const { ensureAuthenticated, ensureAdmin } = require('../middleware/auth');
+const tournaments = require('../services/tournaments');
+const timezones = require('../services/timezones');
+
+// Mounted under /sports/:sportId/tournaments. Everyone signed in can follow
+// a bracket; only admins run tournaments.
+const router = express.Router({ mergeParams: true });
+
+router.use(ensureAuthenticated);
+
+const findTournament = (req) => Tournament.findOne({
+  where: { id: req.params.id, sportId: req.params.sportId },
+  include: ['sport', 'creator']
+});
+
+const tournamentUrl = (tournament) => `/sports/${tournament.sportId}/tournaments/${tournament.id}`;
+
+router.get('/new', ensureAdmin, async (req, res) => {
+  try {
+    const sport = await Sport.findByPk(req.params.sportId);
+
+    if (!sport) {
+      req.flash('error', 'Sport not found');
+      return res.redirect('/sports');
+    }
+
+    res.render('tournaments/create', {
+      title: `New ${sport.name} Tournament`,
+      sport,
+      formatLabels: tournaments.FORMAT_LABELS
+    });
+  } catch (error) {
+    console.error('Create tournament form error:', error);
+    req.flash('error', 'Error loading create tournament form');
+    res.redirect(`/sports/${req.params.sportId}`);
+  }
+});
+
+router.post('/', ensureAdmin,
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Tournament name must be between 2 and 100 characters'),
+    body('format')
+      .isIn(tournaments.FORMATS)
+      .withMessage('Please choose a valid format')
+  ],
+  async (req, res) => {
+    try {
+      const sport = await Sport.findByPk(req.params.sportId);
+
+      if (!sport) {
+        req.flash('error', 'Sport not found');
+        return res.redirect('/sports');
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(`/sports/${sport.id}/tournaments/new`);
+      }
+
+      const tournament = await Tournament.create({
+        sportId: sport.id,
+        creatorId: req.user.id,
+        name: req.body.name,
+        format: req.body.format
+      });
+
+      req.flash('success', `${tournament.name} created! Register the teams or players taking part.`);
+      res.redirect(tournamentUrl(tournament));
+    } catch (error) {
+      console.error('Create tournament error:', error);
+      req.flash('error', 'Error creating tournament');
+      res.redirect(`/sports/${req.params.sportId}/tournaments/new`);
+    }
+  }
+);
+
+router.get('/:id', async (req, res) => {
+  try {
+    const tournament = await findTournament(req);
+
+    if (!tournament) {
+      req.flash('error', 'Tournament not found');
+      return res.redirect(`/sports/${req.params.sportId}`);
+    }
+
+    const [entrants, rounds] = await Promise.all([
+      tournament.getEntrants({ include: ['user'], order: [['seed', 'ASC']] }),
+      tournament.getRounds()
+    ]);
+    const isRoundRobin = tournament.format === 'round_robin';
+    const standings = isRoundRobin ? await tournament.getStandings() : [];
+
+    // A knockout is won in the final; a round robin once every match has
+    // a result
+    const matches = rounds.flatMap(round => round.matches);
+    let champion = null;
+    if (!isRoundRobin && rounds.length > 0) {
+      champion = rounds[rounds.length - 1].matches[0].winner;
+    } else if (isRoundRobin && matches.length > 0 && matches.every(match => match.session && match.session.result)) {
+      champion = standings[0].entrant;
+    }
+
+    const canManage = tournament.canBeManagedBy(req.user);
+    const defaultTimeZone = req.user.timeZone || timezones.DEFAULT_TIME_ZONE;
+
+    res.render('tournaments/view', {
+      title: tournament.name,
+      tournament,
+      entrants,
+      rounds,
+      standings,
+      champion,
+      points: tournaments.POINTS,
+      canManage,
+      venues: canManage && matches.length === 0 ? await Venue.findAll({ order: [['name', 'ASC']] }) : [],
+      maxEntrants: tournaments.MAX_ENTRANTS,
+      minDate: timezones.todayInZone(defaultTimeZone)
+    });
+  } catch (error) {
+    console.error('View tournament error:', error);
+    req.flash('error', 'Error loading tournament');
+    res.redirect(`/sports/${req.params.sportId}`);
+  }
+});
+
+// Entrants are teams entered by name or individual players picked by email
+router.post('/:id/entrants', ensureAdmin,
+  [
+    body('name')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+    body('email')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isEmail()
+      .withMessage('Please enter a valid email address')
+  ],
+  async (req, res) => {
+    try {
+      const tournament = await findTournament(req);
+
+      if (!tournament) {
+        req.flash('error', 'Tournament not found');
+        return res.redirect(`/sports/${req.params.sportId}`);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      if (await tournament.hasMatches()) {
+        req.flash('error', 'Entrants cannot change once matches are scheduled');
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      const entrantCount = await tournament.countEntrants();
+      if (entrantCount >= tournaments.MAX_ENTRANTS) {
+        req.flash('error', `A tournament can have at most ${tournaments.MAX_ENTRANTS} entrants`);
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      let player = null;
+      if (req.body.email) {
+        player = await User.findOne({ where: { email: req.body.email.toLowerCase() } });
+        if (!player) {
+          req.flash('error', 'No player found with that email address');
+          return res.redirect(tournamentUrl(tournament));
+        }
+      }
+
+      const name = req.body.name || (player && player.name);
+      if (!name) {
+        req.flash('error', 'Enter a team name or a player\'s email address');
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      if (await TournamentEntrant.count({ where: { tournamentId: tournament.id, name } }) > 0) {
+        req.flash('error', `${name} is already registered for this tournament`);
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      await TournamentEntrant.create({
+        tournamentId: tournament.id,
+        name,
+        userId: player ? player.id : null,
+        seed: entrantCount + 1
+      });
+
+      req.flash('success', `${name} registered as seed ${entrantCount + 1}`);
+      res.redirect(tournamentUrl(tournament));
+    } catch (error) {
+      console.error('Add tournament entrant error:', error);
+      req.flash('error', 'Error registering entrant');
+      res.redirect(`/sports/${req.params.sportId}/tournaments/${req.params.id}`);
+    }
+  }
+);
+
+router.post('/:id/entrants/:entrantId/remove', ensureAdmin, async (req, res) => {
+  try {
+    const tournament = await findTournament(req);
+
+    if (!tournament) {
+      req.flash('error', 'Tournament not found');
+      return res.redirect(`/sports/${req.params.sportId}`);
+    }
+
+    if (await tournament.hasMatches()) {
+      req.flash('error', 'Entrants cannot change once matches are scheduled');
+      return res.redirect(tournamentUrl(tournament));
+    }
+
+    await TournamentEntrant.destroy({ where: { id: req.params.entrantId, tournamentId: tournament.id } });
+
+    // Close the gap so seeds keep running 1, 2, 3...
+    const entrants = await tournament.getEntrants({ order: [['seed', 'ASC']] });
+    for (const [index, entrant] of entrants.entries()) {
+      if (entrant.seed !== index + 1) await entrant.update({ seed: index + 1 });
+    }
+
+    req.flash('success', 'Entrant removed from the tournament');
+    res.redirect(tournamentUrl(tournament));
+  } catch (error) {
+    console.error('Remove tournament entrant error:', error);
+    req.flash('error', 'Error removing entrant');
+    res.redirect(`/sports/${req.params.sportId}/tournaments/${req.params.id}`);
+  }
+});
+
+router.post('/:id/schedule', ensureAdmin,
+  [
+    body('date')
+      .isISO8601({ strict: true, strictSeparator: true })
+      .withMessage('Please enter a valid date')
+      .custom((date, { req }) => {
+        if (date < timezones.todayInZone(req.user.timeZone || timezones.DEFAULT_TIME_ZONE)) {
+          throw new Error('The tournament must be in the future');
+        }
+        return true;
+      }),
+    body('times')
+      .custom(times => tournaments.parseTimeSlots(times) !== null)
+      .withMessage('Enter the start times as HH:MM, separated by commas'),
+    body('venueIds')
+      .custom(venueIds => [].concat(venueIds || []).length > 0)
+      .withMessage('Choose at least one venue'),
+    body('playersNeeded')
+      .isInt({ min: 2, max: 50 })
+      .withMessage('Players per match must be between 2 and 50'),
+    body('durationMinutes')
+      .optional({ values: 'falsy' })
+      .isInt({ min: 15, max: 480 })
+      .withMessage('Duration must be between 15 minutes and 8 hours')
+  ],
+  async (req, res) => {
+    try {
+      const tournament = await findTournament(req);
+
+      if (!tournament) {
+        req.flash('error', 'Tournament not found');
+        return res.redirect(`/sports/${req.params.sportId}`);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        req.flash('error', errors.array()[0].msg);
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      // Keep the venues in the order they were ticked so the first one
+      // fills up first
+      const venueIds = [].concat(req.body.venueIds).map(id => parseInt(id));
+      const found = await Venue.findAll({ where: { id: venueIds } });
+      const venues = venueIds.map(id => found.find(venue => venue.id === id)).filter(Boolean);
+      if (venues.length === 0) {
+        req.flash('error', 'Selected venue not found');
+        return res.redirect(tournamentUrl(tournament));
+      }
+
+      const matches = await tournament.generateSchedule({
+        date: req.body.date,
+        times: tournaments.parseTimeSlots(req.body.times),
+        venues,
+        playersNeeded: parseInt(req.body.playersNeeded),
+        durationMinutes: parseInt(req.body.durationMinutes) || Session.DEFAULT_DURATION_MINUTES
+      });
+
+      const sessionCount = matches.filter(match => !match.isBye()).length;
+      req.flash('success', `${sessionCount} matches scheduled`);
+      res.redirect(tournamentUrl(tournament));
+    } catch (error) {
+      console.error('Schedule tournament error:', error);
+      req.flash('error', error.message || 'Error scheduling matches');
+      res.redirect(`/sports/${req.params.sportId}/tournaments/${req.params.id}`);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const { AuditLog, Sport } = require('../models');
+
+// Audit entries are written by the code making a change, inside its
+// transaction, rather than from an event subscriber: publish() only logs a
+// failing subscriber, and the log has to hold every change or none of it.
+// A failed entry rolls the change back.
+
+// A session's sport is recorded by name, as it was called at the time,
+// rather than by id.
+const withSportNames = async (changes, options) => {
+  if (!changes.sportId) return changes;
+
+  const { from, to } = changes.sportId;
+  const sports = await Sport.findAll({ ...options, where: { id: [from, to] } });
+  const nameOf = (id) => {
+    const sport = sports.find(candidate => candidate.id === id);
+    return sport ? sport.name : `#${id}`;
+  };
+
+  return Object.fromEntries(Object.entries(changes).map(([field, change]) => {
+    return field === 'sportId' ? ['sport', { from: nameOf(from), to: nameOf(to) }] : [field, change];
+  }));
+};
+
+const recordSessionUpdated = async ({ session, actor, changes }, options = {}) => {
+  await AuditLog.record({
+    actor,
+    action: 'session.updated',
+    entityType: 'session',
+    entityId: session.id,
+    changes: await withSportNames(changes, options)
+  }, options);
+};
+
+const recordSessionCancelled = async ({ session, actor, reason }, options = {}) => {
+  await AuditLog.record({
+    actor,
+    action: 'session.cancelled',
+    entityType: 'session',
+    entityId: session.id,
+    changes: {
+      status: { from: 'active', to: 'cancelled' },
+      cancellationReason: { from: null, to: reason }
+    }
+  }, options);
+};
+
+const recordSportUpdated = async ({ sport, actor, changes }, options = {}) => {
+  await AuditLog.record({
+    actor,
+    action: 'sport.updated',
+    entityType: 'sport',
+    entityId: sport.id,
+    changes
+  }, options);
+};
+
+module.exports = {
+  recordSessionUpdated,
+  recordSessionCancelled,
+  recordSportUpdated
+};
@@ -0,0 +1,27 @@
+const { Strategy } = require('passport');
+
+// Passport strategy for "Authorization: Bearer <token>" headers. `verify`
+// receives the token and calls done(error, user, info) like the local
+// strategy's callback.
+class BearerStrategy extends Strategy {
+  constructor(verify) {
+    super();
+    this.name = 'bearer';
+    this.verify = verify;
+  }
+
+  authenticate(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+      return this.fail('Bearer realm="api"', 401);
+    }
+
+    this.verify(match[1], (error, user, info) => {
+      if (error) return this.error(error);
+      if (!user) return this.fail('Bearer realm="api", error="invalid_token"', 401);
+      this.success(user, info);
+    });
+  }
+}
+
+module.exports = BearerStrategy;
@@ -0,0 +1,41 @@
+const { mailer } = require('./mailer');
+const templates = require('./mailTemplates');
+
+const RESCHEDULE_FIELDS = ['date', 'time', 'timeZone', 'venue'];
+
+const mailPlayers = async (session, actor, buildMessage) => {
+  const [sport, players] = await Promise.all([session.getSport(), session.getPlayers()]);
+  const recipients = players.filter(player => !actor || player.id !== actor.id);
+
+  for (const user of recipients) {
+    const { subject, text } = buildMessage({ user, session, sport });
+    await mailer.send({ to: user.email, subject, text });
+  }
+};
+
+const onSessionCancelled = async ({ session, actor, reason }) => {
+  await mailPlayers(session, actor, (context) => templates.cancellation({ ...context, reason }));
+};
+
+const onSessionUpdated = async ({ session, actor, changes }) => {
+  if (!RESCHEDULE_FIELDS.some(field => changes[field])) return;
+
+  await mailPlayers(session, actor, (context) => templates.reschedule({ ...context, changes }));
+};
+
+const onPlayerJoined = async ({ session, user }) => {
+  const sport = await session.getSport();
+  const { subject, text } = templates.joinConfirmation({ user, session, sport });
+  await mailer.send({ to: user.email, subject, text });
+};
+
+const subscribe = (events) => {
+  events.on('session.cancelled', onSessionCancelled);
+  events.on('session.updated', onSessionUpdated);
+  events.on('player.joined', onPlayerJoined);
+  events.on('player.promoted', onPlayerJoined);
+};
+
+module.exports = {
+  subscribe
+};
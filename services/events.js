@@ -0,0 +1,21 @@
+const EventEmitter = require('events');
+
+// Session lifecycle events, plus sport changes. Routes publish after a
+// change is saved; the notification, mail and other subscribers listen here
+// so routes don't need to know who cares about a change.
+class SessionEvents extends EventEmitter {
+  // Runs every listener and waits for async ones to settle. A failing
+  // subscriber is logged and never breaks the request that published.
+  async publish(event, payload) {
+    const listeners = this.listeners(event);
+    await Promise.all(listeners.map(async (listener) => {
+      try {
+        await listener(payload);
+      } catch (error) {
+        console.error(`Event "${event}" handler error:`, error);
+      }
+    }));
+  }
+}
+
+module.exports = new SessionEvents();
@@ -0,0 +1,77 @@
+// Minimal RFC 5545 writer for session events. Start times are written in UTC
+// so calendar apps place them correctly whatever zone the session is in.
+const PRODUCT_ID = '-//Sports Scheduler//Sessions//EN';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines
+// that start with a single space.
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const formatUtc = (value) => {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+const buildEvent = (session, { host = 'sports-scheduler' } = {}) => {
+  const sportName = session.sport ? session.sport.name : 'Sports session';
+  const cancelled = session.status === 'cancelled';
+  const description = [];
+
+  if (session.creator) description.push(`Organized by ${session.creator.name}`);
+  if (session.players) description.push(`${session.getHeadcount()} of ${session.playersNeeded} players joined`);
+  if (cancelled && session.cancellationReason) description.push(`Cancelled: ${session.cancellationReason}`);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:session-${session.id}@${host}`,
+    `DTSTAMP:${formatUtc(session.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${formatUtc(session.updatedAt || new Date())}`,
+    `SEQUENCE:${session.calendarSequence || 0}`,
+    `DTSTART:${formatUtc(session.getStartDateTime())}`,
+    `DTEND:${formatUtc(session.getEndDateTime())}`,
+    `SUMMARY:${escapeText(cancelled ? `Cancelled: ${sportName}` : sportName)}`,
+    `LOCATION:${escapeText(session.venue)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
+
+const buildCalendar = (sessions, { name = 'Sports Scheduler', host } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...sessions.flatMap(session => buildEvent(session, { host })),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  buildEvent,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,122 @@
+// Fixture scheduling and standings for leagues. Both work on plain member
+// ids and fixture summaries so they can be used without the database.
+const POINTS = { win: 3, draw: 1, loss: 0 };
+
+// Round-robin pairings by the circle method: every member meets every other
+// once per leg, one game each per round. With an odd number of members one
+// sits out each round. Returns rounds of [homeId, awayId] pairs; a second
+// leg repeats the first with home and away swapped.
+const roundRobin = (memberIds, { legs = 1 } = {}) => {
+  const slots = memberIds.length % 2 === 0 ? [...memberIds] : [...memberIds, null];
+  const half = slots.length / 2;
+  const rounds = [];
+
+  for (let round = 0; round < slots.length - 1; round++) {
+    const pairs = [];
+    for (let i = 0; i < half; i++) {
+      const first = slots[i];
+      const second = slots[slots.length - 1 - i];
+      if (first === null || second === null) continue;
+      // Alternate who plays at home so nobody hosts every week
+      pairs.push(round % 2 === 0 ? [first, second] : [second, first]);
+    }
+    rounds.push(pairs);
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (legs === 2) {
+    return [...rounds, ...rounds.map(pairs => pairs.map(([home, away]) => [away, home]))];
+  }
+  return rounds;
+};
+
+// Kick-off times for the games of one round, played back to back from
+// `time` so they never share a slot at the venue. Returns null when a game
+// would start after midnight.
+const staggerKickOffs = (time, count, durationMinutes) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const times = [];
+  for (let game = 0; game < count; game++) {
+    const start = hours * 60 + minutes + game * durationMinutes;
+    if (start >= 24 * 60) return null;
+    times.push(`${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`);
+  }
+  return times;
+};
+
+const blankRow = (memberId) => ({
+  memberId,
+  played: 0,
+  won: 0,
+  drawn: 0,
+  lost: 0,
+  scored: 0,
+  conceded: 0,
+  difference: 0,
+  points: 0
+});
+
+// Points one member took off another across the fixtures between them
+const headToHead = (fixtures, memberId, opponentId) => {
+  return fixtures
+    .filter(fixture => [fixture.homeId, fixture.awayId].includes(memberId) &&
+      [fixture.homeId, fixture.awayId].includes(opponentId))
+    .reduce((points, fixture) => {
+      if (fixture.winner === 'draw') return points + POINTS.draw;
+      const winnerId = fixture.winner === 'home' ? fixture.homeId : fixture.awayId;
+      return points + (winnerId === memberId ? POINTS.win : POINTS.loss);
+    }, 0);
+};
+
+// Builds the table from played fixtures, each
+// { homeId, awayId, homeScore, awayScore, winner: 'home' | 'away' | 'draw' }
+// with null scores for games recorded without them. Ties on points are
+// broken by score difference, then scores for, then the points the tied
+// members took off each other.
+const buildStandings = (memberIds, fixtures) => {
+  const rows = new Map(memberIds.map(memberId => [memberId, blankRow(memberId)]));
+
+  fixtures.forEach(fixture => {
+    const home = rows.get(fixture.homeId);
+    const away = rows.get(fixture.awayId);
+    if (!home || !away) return;
+
+    home.played++;
+    away.played++;
+    if (fixture.homeScore !== null && fixture.awayScore !== null) {
+      home.scored += fixture.homeScore;
+      home.conceded += fixture.awayScore;
+      away.scored += fixture.awayScore;
+      away.conceded += fixture.homeScore;
+    }
+
+    if (fixture.winner === 'draw') {
+      home.drawn++;
+      away.drawn++;
+    } else {
+      const [winner, loser] = fixture.winner === 'home' ? [home, away] : [away, home];
+      winner.won++;
+      loser.lost++;
+    }
+  });
+
+  const standings = [...rows.values()];
+  standings.forEach(row => {
+    row.difference = row.scored - row.conceded;
+    row.points = row.won * POINTS.win + row.drawn * POINTS.draw + row.lost * POINTS.loss;
+  });
+
+  return standings.sort((a, b) => {
+    return b.points - a.points ||
+      b.difference - a.difference ||
+      b.scored - a.scored ||
+      headToHead(fixtures, b.memberId, a.memberId) - headToHead(fixtures, a.memberId, b.memberId);
+  });
+};
+
+module.exports = {
+  POINTS,
+  roundRobin,
+  staggerKickOffs,
+  buildStandings
+};
@@ -0,0 +1,112 @@
+const { Op } = require('sequelize');
+const { Session, sequelize } = require('../models');
+const audit = require('./audit');
+const events = require('./events');
+const timezones = require('./timezones');
+
+const AUTO_CANCEL_REASON = 'Automatically cancelled: not enough players joined before the cutoff';
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+// Stored dates are local to each session's zone, so callers pass the latest
+// date that can matter (the zone furthest ahead of UTC) and check the exact
+// instant per session.
+const findActiveSessionsUpTo = (latestDate, where = {}) => {
+  return Session.findAll({
+    where: {
+      ...where,
+      status: 'active',
+      date: { [Op.lte]: latestDate }
+    }
+  });
+};
+
+const completeFinishedSessions = async (now) => {
+  const sessions = await findActiveSessionsUpTo(timezones.todayInZone('Etc/GMT-14', now));
+  const finished = sessions.filter(session => session.isPast(now));
+
+  for (const session of finished) {
+    await session.update({ status: 'completed' });
+    await events.publish('session.completed', { session });
+  }
+  return finished;
+};
+
+// Cutoffs are at most a week ahead, so only sessions in the next eight days
+// can be due.
+const cancelUnderSubscribedSessions = async (now) => {
+  const latestDate = timezones.todayInZone('Etc/GMT-14', new Date(now.getTime() + 8 * 24 * 60 * 60 * 1000));
+  const sessions = await findActiveSessionsUpTo(latestDate, {
+    minPlayers: { [Op.ne]: null },
+    autoCancelHours: { [Op.ne]: null }
+  });
+
+  const cancelled = [];
+  for (const session of sessions) {
+    if (session.hasStarted(now) || session.getAutoCancelCutoff() > now) continue;
+
+    // Decided under the lock joins take, so a player joining at the cutoff
+    // either counts or finds the session cancelled, and a session the
+    // organizer just edited or cancelled is seen as it is now
+    const due = await sequelize.transaction(async (transaction) => {
+      await session.lockForUpdate(transaction);
+      if (session.status !== 'active' || !session.hasMinimumPlayers() || session.getAutoCancelCutoff() > now) return false;
+      if (await session.countHeadcount({ transaction }) >= session.minPlayers) return false;
+
+      await session.cancelSession(AUTO_CANCEL_REASON, { transaction });
+      await audit.recordSessionCancelled({ session, actor: null, reason: AUTO_CANCEL_REASON }, { transaction });
+      return true;
+    });
+    if (!due) continue;
+
+    await events.publish('session.cancelled', { session, actor: null, reason: AUTO_CANCEL_REASON });
+    cancelled.push(session);
+  }
+  return cancelled;
+};
+
+// One pass of the lifecycle job; `now` is injectable for tests.
+const runLifecycle = async (now = new Date()) => {
+  const cancelled = await cancelUnderSubscribedSessions(now);
+  const completed = await completeFinishedSessions(now);
+  return { cancelled, completed };
+};
+
+let timer = null;
+let running = false;
+
+// Runs the job on an interval inside the app process. Overlapping runs are
+// skipped and the timer does not keep the process alive on shutdown.
+const start = ({ intervalMinutes = DEFAULT_INTERVAL_MINUTES } = {}) => {
+  if (timer || !(intervalMinutes > 0)) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { cancelled, completed } = await runLifecycle();
+      if (cancelled.length > 0 || completed.length > 0) {
+        console.log(`Session lifecycle: ${completed.length} completed, ${cancelled.length} auto-cancelled`);
+      }
+    } catch (error) {
+      console.error('Session lifecycle error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  AUTO_CANCEL_REASON,
+  runLifecycle,
+  start,
+  stop
+};
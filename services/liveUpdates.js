@@ -0,0 +1,97 @@
+const { Session } = require('../models');
+const { serializeSession } = require('./serializers');
+
+const HEARTBEAT_SECONDS = 25;
+const RETRY_MS = 5000;
+const MAX_SESSIONS = 50;
+
+// Events that change what a page showing the session displays: its
+// headcount, open slots, roster or whether it still takes players.
+const EVENTS = [
+  'session.updated',
+  'session.cancelled',
+  'player.joined',
+  'player.promoted',
+  'player.left',
+  'player.removed'
+];
+
+// Open event streams, by the id of each session they follow
+const clients = new Map();
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// The slice of the API's session shape that live pages need. Sessions need
+// their players loaded.
+const toUpdate = (session, event = null) => {
+  const { id, status, playersNeeded, headcount, availableSlots, players } = serializeSession(session);
+  return { id, event, status, playersNeeded, headcount, availableSlots, players };
+};
+
+const addClient = (sessionId, res) => {
+  if (!clients.has(sessionId)) clients.set(sessionId, new Set());
+  clients.get(sessionId).add(res);
+};
+
+const removeClient = (sessionId, res) => {
+  const listeners = clients.get(sessionId);
+  if (!listeners) return;
+  listeners.delete(res);
+  if (listeners.size === 0) clients.delete(sessionId);
+};
+
+const countClients = (sessionId) => (clients.get(sessionId) || new Set()).size;
+
+// Turns the response into a Server-Sent Events stream for the given
+// sessions: a snapshot of each straight away, then an update whenever one
+// changes. A comment line every HEARTBEAT_SECONDS keeps proxies from
+// closing the idle connection.
+const stream = (req, res, sessions) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  sessions.forEach(session => {
+    addClient(session.id, res);
+    write(res, 'session', toUpdate(session));
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    sessions.forEach(session => removeClient(session.id, res));
+  });
+};
+
+// Sends the session's fresh state to every page following it. Nothing is
+// loaded when nobody is watching.
+const broadcast = async (event, { session }) => {
+  if (countClients(session.id) === 0) return;
+
+  const loaded = await Session.findByPk(session.id, { include: ['players'] });
+  if (!loaded) return;
+
+  const update = toUpdate(loaded, event);
+  (clients.get(session.id) || []).forEach(res => write(res, 'session', update));
+};
+
+const subscribe = (events) => {
+  EVENTS.forEach(event => {
+    events.on(event, (details) => broadcast(event, details));
+  });
+};
+
+module.exports = {
+  MAX_SESSIONS,
+  stream,
+  broadcast,
+  countClients,
+  subscribe
+};
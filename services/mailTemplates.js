@@ -0,0 +1,83 @@
+const timezones = require('./timezones');
+
+const formatTime = (time) => String(time).slice(0, 5);
+
+// Session times are written in the session's own zone unless the recipient
+// has picked a different one, in which case they are converted and labelled.
+const formatWhen = (date, time, timeZone, user) => {
+  if (!user.timeZone || user.timeZone === timeZone) {
+    return `${date} at ${formatTime(time)}`;
+  }
+  const local = timezones.getZonedParts(timezones.zonedTimeToDate(date, time, timeZone), user.timeZone);
+  return `${local.date} at ${local.time} (${user.timeZone.replace(/_/g, ' ')})`;
+};
+
+const sessionLink = (session) => {
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  return `${baseUrl}/sessions/${session.id}`;
+};
+
+const footer = (session) => [
+  '',
+  `Session details: ${sessionLink(session)}`,
+  '',
+  '— Sports Scheduler'
+].join('\n');
+
+const cancellation = ({ user, session, sport, reason }) => ({
+  subject: `Cancelled: ${sport.name} on ${session.date}`,
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `The ${sport.name} session on ${formatWhen(session.date, session.time, session.timeZone, user)} (${session.venue}) has been cancelled.`,
+    '',
+    `Reason: ${reason}`,
+    footer(session)
+  ].join('\n')
+});
+
+const reschedule = ({ user, session, sport, changes }) => {
+  const before = {
+    when: formatWhen(
+      changes.date ? changes.date.from : session.date,
+      changes.time ? changes.time.from : session.time,
+      changes.timeZone ? changes.timeZone.from : session.timeZone,
+      user
+    ),
+    venue: changes.venue ? changes.venue.from : session.venue
+  };
+  const after = {
+    when: formatWhen(session.date, session.time, session.timeZone, user),
+    venue: session.venue
+  };
+
+  return {
+    subject: `Rescheduled: ${sport.name} is now on ${after.when}`,
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `The ${sport.name} session you joined has changed.`,
+      '',
+      `Was: ${before.when}, ${before.venue}`,
+      `Now: ${after.when}, ${after.venue}`,
+      footer(session)
+    ].join('\n')
+  };
+};
+
+const joinConfirmation = ({ user, session, sport }) => ({
+  subject: `You're in: ${sport.name} on ${session.date}`,
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `You have joined the ${sport.name} session on ${formatWhen(session.date, session.time, session.timeZone, user)}.`,
+    `Venue: ${session.venue}`,
+    footer(session)
+  ].join('\n')
+});
+
+module.exports = {
+  cancellation,
+  reschedule,
+  joinConfirmation
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Keeps sent messages in memory; used by the test suite to assert on mail.
+const createMemoryTransport = () => ({
+  name: 'memory',
+  messages: [],
+  async send(message) {
+    this.messages.push(message);
+    return message;
+  },
+  clear() {
+    this.messages.length = 0;
+  }
+});
+
+// Writes each message as a JSON file so mail can be inspected in development
+// without a mail server.
+const createFileTransport = (directory) => ({
+  name: 'file',
+  directory,
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+    return message;
+  }
+});
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port: parseInt(port) || 587,
+    secure: secure === 'true',
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail(message);
+      return message;
+    }
+  };
+};
+
+const createTransportFromEnv = (env = process.env) => {
+  const defaultTransport = env.NODE_ENV === 'production'
+    ? 'smtp'
+    : env.NODE_ENV === 'test' ? 'memory' : 'file';
+
+  switch (env.MAIL_TRANSPORT || defaultTransport) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'memory':
+      return createMemoryTransport();
+    case 'file':
+      return createFileTransport(env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail'));
+    default:
+      throw new Error(`Unknown mail transport "${env.MAIL_TRANSPORT}"`);
+  }
+};
+
+class Mailer {
+  constructor(transport, from) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  useTransport(transport) {
+    this.transport = transport;
+    return transport;
+  }
+
+  async send({ to, subject, text }) {
+    return await this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+const mailer = new Mailer(
+  createTransportFromEnv(),
+  process.env.MAIL_FROM || 'Sports Scheduler <no-reply@sports-scheduler.local>'
+);
+
+module.exports = {
+  mailer,
+  Mailer,
+  createMemoryTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransportFromEnv
+};
@@ -0,0 +1,88 @@
+const { Notification } = require('../models');
+
+const TRACKED_FIELDS = ['date', 'time', 'timeZone', 'venue'];
+const FIELD_LABELS = { timeZone: 'time zone' };
+
+const describeSession = async (session) => {
+  const sport = await session.getSport();
+  return `${sport.name} session on ${session.date} at ${String(session.time).slice(0, 5)}`;
+};
+
+const notifyPlayers = async (session, actor, type, message) => {
+  const players = await session.getPlayers();
+  const recipients = players.filter(player => !actor || player.id !== actor.id);
+
+  await Notification.bulkCreate(recipients.map(player => ({
+    userId: player.id,
+    sessionId: session.id,
+    type,
+    message
+  })));
+};
+
+const onSessionCancelled = async ({ session, actor, reason }) => {
+  await notifyPlayers(session, actor, 'session_cancelled',
+    `The ${await describeSession(session)} has been cancelled. Reason: ${reason}`);
+};
+
+// Only date, time, zone and venue changes are worth interrupting players for;
+// a capacity bump on its own is not.
+const onSessionUpdated = async ({ session, actor, changes }) => {
+  const changed = TRACKED_FIELDS.filter(field => changes[field]);
+  if (changed.length === 0) return;
+
+  const details = changed
+    .map(field => `${FIELD_LABELS[field] || field} ${changes[field].from} → ${changes[field].to}`)
+    .join(', ');
+
+  await notifyPlayers(session, actor, 'session_updated',
+    `The ${await describeSession(session)} has changed: ${details}`);
+};
+
+const onPlayerPromoted = async ({ session, user }) => {
+  await Notification.create({
+    userId: user.id,
+    sessionId: session.id,
+    type: 'waitlist_promoted',
+    message: `A slot opened up and you have been moved from the waitlist into the ${await describeSession(session)}.`
+  });
+};
+
+const onPlayerRemoved = async ({ session, user, reason }) => {
+  await Notification.create({
+    userId: user.id,
+    sessionId: session.id,
+    type: 'player_removed',
+    message: `You have been removed from the ${await describeSession(session)}.` +
+      (reason ? ` Reason: ${reason}` : '')
+  });
+};
+
+// Everyone in the thread hears about a new comment except its author: the
+// organizer and the joined players.
+const onCommentPosted = async ({ session, comment, actor }) => {
+  const players = await session.getPlayers();
+  const recipientIds = new Set([session.creatorId, ...players.map(player => player.id)]);
+  recipientIds.delete(actor.id);
+
+  const excerpt = comment.body.length > 80 ? `${comment.body.slice(0, 77)}...` : comment.body;
+  const message = `${actor.name} commented on the ${await describeSession(session)}: "${excerpt}"`;
+  await Notification.bulkCreate([...recipientIds].map(userId => ({
+    userId,
+    sessionId: session.id,
+    type: 'comment_posted',
+    message
+  })));
+};
+
+const subscribe = (events) => {
+  events.on('session.cancelled', onSessionCancelled);
+  events.on('session.updated', onSessionUpdated);
+  events.on('player.promoted', onPlayerPromoted);
+  events.on('player.removed', onPlayerRemoved);
+  events.on('comment.posted', onCommentPosted);
+};
+
+module.exports = {
+  subscribe
+};
@@ -0,0 +1,61 @@
+// JSON shapes shared by the API and webhook payloads, so integrations see
+// a session the same way wherever it comes from. Sessions need their sport,
+// creator and players loaded.
+
+const serializeSport = (sport) => ({
+  id: sport.id,
+  name: sport.name
+});
+
+// `viewer`, when given, adds whether that user has joined.
+const serializeSession = (session, viewer = null) => {
+  const players = session.players || [];
+  const headcount = session.getHeadcount();
+
+  const data = {
+    id: session.id,
+    sport: session.sport ? serializeSport(session.sport) : { id: session.sportId },
+    creator: session.creator ? { id: session.creator.id, name: session.creator.name } : { id: session.creatorId },
+    status: session.status,
+    cancellationReason: session.cancellationReason,
+    date: session.date,
+    time: String(session.time).slice(0, 5),
+    timeZone: session.timeZone,
+    startsAt: session.getStartDateTime().toISOString(),
+    endsAt: session.getEndDateTime().toISOString(),
+    durationMinutes: session.durationMinutes,
+    venue: session.venue,
+    venueId: session.venueId,
+    court: session.court,
+    seriesId: session.seriesId,
+    playersNeeded: session.playersNeeded,
+    headcount,
+    availableSlots: Math.max(0, session.playersNeeded - headcount),
+    minPlayers: session.minPlayers,
+    autoCancelHours: session.autoCancelHours,
+    visibility: session.visibility,
+    requiresApproval: session.requiresApproval,
+    maxGuestsPerPlayer: session.maxGuestsPerPlayer,
+    minSkillLevel: session.minSkillLevel,
+    maxSkillLevel: session.maxSkillLevel,
+    restrictSkillLevel: session.restrictSkillLevel,
+    players: players.map(player => ({
+      id: player.id,
+      name: player.name,
+      guests: (player.UserSession && player.UserSession.guests) || 0
+    }))
+  };
+
+  if (viewer) {
+    data.joined = players.some(player => player.id === viewer.id);
+  }
+  return data;
+};
+
+const serializeUser = (user) => (user ? { id: user.id, name: user.name } : null);
+
+module.exports = {
+  serializeSession,
+  serializeSport,
+  serializeUser
+};
@@ -0,0 +1,522 @@
+const { body } = require('express-validator');
+const { JoinRequest, Session, SessionSeries, Sport, Venue, sequelize } = require('../models');
+const audit = require('./audit');
+const events = require('./events');
+const skillLevels = require('./skillLevels');
+const timezones = require('./timezones');
+
+// Creating, editing, cancelling, joining and leaving sessions, shared by the
+// web routes and the JSON API so both apply the same rules. Problems the
+// user can fix come back as { error, code } rather than being thrown; the
+// code ('forbidden', 'conflict' or 'invalid') lets the API pick a status
+// while the web routes just flash the message.
+
+const SCOPES = ['occurrence', 'following', 'series'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const shiftDate = (date, days) => {
+  const shifted = new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS);
+  return shifted.toISOString().split('T')[0];
+};
+
+const dayDifference = (from, to) => {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+};
+
+const scheduleOf = (session) => ({
+  sportId: session.sportId,
+  date: session.date,
+  time: String(session.time).slice(0, 5),
+  timeZone: session.timeZone,
+  durationMinutes: session.durationMinutes,
+  venue: session.venue,
+  playersNeeded: session.playersNeeded
+});
+
+const diffSchedules = (before, after) => {
+  const changes = {};
+  Object.keys(before).forEach(field => {
+    if (String(before[field]) !== String(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+};
+
+// The zone a create or update request is scheduled in: a managed venue's
+// zone wins over the one picked on the form.
+const requestTimeZone = async (req) => {
+  if (req.body.venueId) {
+    const venue = await Venue.findByPk(req.body.venueId);
+    if (venue) return venue.timeZone;
+  }
+  return req.body.timeZone || req.user.timeZone || timezones.DEFAULT_TIME_ZONE;
+};
+
+// Resolves the venue fields of a create or update request and checks each
+// booking against the venue's opening hours and existing sessions.
+const resolveVenueBooking = async (body, bookings, excludeSessionIds = []) => {
+  if (!body.venueId) {
+    return {
+      values: {
+        venueId: null,
+        court: null,
+        venue: (body.venue || '').trim(),
+        timeZone: body.timeZone || timezones.DEFAULT_TIME_ZONE
+      },
+      warnings: []
+    };
+  }
+
+  const venue = await Venue.findByPk(body.venueId);
+  if (!venue) {
+    return { error: 'Selected venue not found' };
+  }
+
+  const court = body.court ? parseInt(body.court) : null;
+  const durationMinutes = parseInt(body.durationMinutes) || Session.DEFAULT_DURATION_MINUTES;
+  const warnings = [];
+  for (const { date, time } of bookings) {
+    const result = await venue.checkAvailability({ date, time, court, durationMinutes, excludeSessionIds });
+    if (!result.available) {
+      return { error: result.message };
+    }
+    if (result.warning) {
+      warnings.push(result.warning);
+    }
+  }
+
+  return {
+    values: { venueId: venue.id, court, venue: venue.getSessionLabel(court), timeZone: venue.timeZone },
+    warnings
+  };
+};
+
+// An optional minimum player count only makes sense with a cutoff to check
+// it at, so the two are stored together or not at all.
+const minimumPlayersOf = (body) => {
+  const minPlayers = parseInt(body.minPlayers) || null;
+  return {
+    minPlayers,
+    autoCancelHours: minPlayers ? parseInt(body.autoCancelHours) : null
+  };
+};
+
+// Who can find the session, whether joining needs the organizer's approval
+// and how many guests each player may bring
+const accessOf = (body) => ({
+  visibility: body.visibility || 'public',
+  requiresApproval: Boolean(body.requiresApproval),
+  maxGuestsPerPlayer: parseInt(body.maxGuestsPerPlayer) || 0
+});
+
+// Either end of the skill range may be left open; enforcing a range that has
+// no ends would turn nobody away, so it is only stored alongside one.
+const skillRangeOf = (body) => {
+  const minSkillLevel = parseInt(body.minSkillLevel) || null;
+  const maxSkillLevel = parseInt(body.maxSkillLevel) || null;
+  return {
+    minSkillLevel,
+    maxSkillLevel,
+    restrictSkillLevel: Boolean(body.restrictSkillLevel) && (minSkillLevel !== null || maxSkillLevel !== null)
+  };
+};
+
+// Fields every session has, checked the same way on create and update
+const sessionRules = [
+  body('sportId')
+    .isInt({ min: 1 })
+    .withMessage('Please select a valid sport'),
+  body('date')
+    .isISO8601({ strict: true, strictSeparator: true })
+    .withMessage('Please enter a valid date')
+    .custom(async (date, { req }) => {
+      // "Today" depends on where the session takes place
+      const timeZone = await requestTimeZone(req);
+      if (date < timezones.todayInZone(timeZone)) {
+        throw new Error('Session date must be in the future');
+      }
+      return true;
+    }),
+  body('time')
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Please enter a valid time in HH:MM format'),
+  body('venueId')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Please select a valid venue'),
+  body('court')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Please select a valid court'),
+  body('venue')
+    .if((value, { req }) => !req.body.venueId)
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Venue must be between 2 and 200 characters'),
+  body('timeZone')
+    .optional({ values: 'falsy' })
+    .custom(timeZone => timezones.isValidTimeZone(timeZone))
+    .withMessage('Please select a valid time zone'),
+  body('durationMinutes')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 minutes and 8 hours'),
+  body('playersNeeded')
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Players needed must be between 1 and 50'),
+  body('minPlayers')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Minimum players must be between 1 and 50')
+    .custom((minPlayers, { req }) => parseInt(minPlayers) <= parseInt(req.body.playersNeeded))
+    .withMessage('Minimum players cannot exceed players needed'),
+  body('autoCancelHours')
+    .if(body('minPlayers').notEmpty())
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Please choose when the minimum must be reached'),
+  body('visibility')
+    .optional()
+    .isIn(Session.VISIBILITIES)
+    .withMessage('Please choose who can see the session'),
+  body('maxGuestsPerPlayer')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0, max: 5 })
+    .withMessage('Guests per player must be between 0 and 5'),
+  body('minSkillLevel')
+    .optional({ values: 'falsy' })
+    .isInt({ min: skillLevels.MIN_RANK, max: skillLevels.MAX_RANK })
+    .withMessage('Please choose a valid skill level'),
+  body('maxSkillLevel')
+    .optional({ values: 'falsy' })
+    .isInt({ min: skillLevels.MIN_RANK, max: skillLevels.MAX_RANK })
+    .withMessage('Please choose a valid skill level')
+    .custom((maxSkillLevel, { req }) => !req.body.minSkillLevel || parseInt(maxSkillLevel) >= parseInt(req.body.minSkillLevel))
+    .withMessage('Highest skill level cannot be below the lowest')
+];
+
+const createRules = [
+  ...sessionRules,
+  body('repeat')
+    .optional()
+    .isIn(['none', 'weekly'])
+    .withMessage('Please select a valid repeat option'),
+  body('repeatInterval')
+    .if(body('repeat').equals('weekly'))
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Repeat interval must be between 1 and 12 weeks'),
+  body('repeatDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Please select valid weekdays'),
+  body('repeatEnd')
+    .if(body('repeat').equals('weekly'))
+    .isIn(['until', 'count'])
+    .withMessage('Please choose when the series ends'),
+  body('repeatUntil')
+    .if(body('repeat').equals('weekly'))
+    .if(body('repeatEnd').equals('until'))
+    .isISO8601({ strict: true, strictSeparator: true })
+    .withMessage('Please enter a valid end date for the series')
+    .custom((repeatUntil, { req }) => {
+      if (repeatUntil < req.body.date) {
+        throw new Error('Series end date must be on or after the first session');
+      }
+      return true;
+    }),
+  body('repeatCount')
+    .if(body('repeat').equals('weekly'))
+    .if(body('repeatEnd').equals('count'))
+    .isInt({ min: 2, max: SessionSeries.MAX_OCCURRENCES })
+    .withMessage(`Number of sessions must be between 2 and ${SessionSeries.MAX_OCCURRENCES}`)
+];
+
+const updateRules = [
+  ...sessionRules,
+  body('scope')
+    .optional()
+    .isIn(SCOPES)
+    .withMessage('Please choose which sessions to update')
+];
+
+const cancelRules = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Cancellation reason must be between 10 and 500 characters'),
+  body('scope')
+    .optional()
+    .isIn(SCOPES)
+    .withMessage('Please choose which sessions to cancel')
+];
+
+const checkCanEdit = (session, user) => {
+  if (session.creatorId !== user.id && user.role !== 'admin') {
+    return { error: 'You can only edit your own sessions', code: 'forbidden' };
+  }
+  if (session.hasStarted()) {
+    return { error: 'Cannot edit sessions that have already started', code: 'conflict' };
+  }
+  return null;
+};
+
+const checkCanCancel = (session, user) => {
+  if (session.creatorId !== user.id && user.role !== 'admin') {
+    return { error: 'You can only cancel your own sessions', code: 'forbidden' };
+  }
+  if (session.hasStarted()) {
+    return { error: 'Cannot cancel sessions that have already started', code: 'conflict' };
+  }
+  if (session.status === 'cancelled') {
+    return { error: 'Session is already cancelled', code: 'conflict' };
+  }
+  return null;
+};
+
+// The occurrences a series-wide change applies to, always including the
+// session it was made from.
+const scopedOccurrences = async (session, scope) => {
+  const occurrences = await session.getScopedOccurrences(scope);
+  if (!occurrences.some(occurrence => occurrence.id === session.id)) {
+    occurrences.unshift(session);
+  }
+  return occurrences;
+};
+
+// Creates a session, or a weekly series of them, from a validated request.
+// Resolves to { sport, sessions, warnings }.
+const createSessions = async (user, body) => {
+  const { sportId, date, time, playersNeeded } = body;
+  const durationMinutes = parseInt(body.durationMinutes) || Session.DEFAULT_DURATION_MINUTES;
+  const bookingRequest = { ...body, timeZone: body.timeZone || user.timeZone };
+
+  const sport = await Sport.findByPk(sportId);
+  if (!sport) {
+    return { error: 'Selected sport not found', code: 'invalid' };
+  }
+
+  const attributes = {
+    sportId: parseInt(sportId),
+    creatorId: user.id,
+    time,
+    durationMinutes,
+    playersNeeded: parseInt(playersNeeded),
+    ...minimumPlayersOf(body),
+    ...accessOf(body),
+    ...skillRangeOf(body)
+  };
+
+  if (body.repeat === 'weekly') {
+    const seriesAttributes = {
+      sportId: parseInt(sportId),
+      creatorId: user.id,
+      interval: parseInt(body.repeatInterval),
+      weekdays: [].concat(body.repeatDays || []).map(Number),
+      untilDate: body.repeatEnd === 'until' ? body.repeatUntil : null,
+      occurrenceCount: body.repeatEnd === 'count' ? parseInt(body.repeatCount) : null
+    };
+
+    const dates = SessionSeries.expandDates({ startDate: date, ...seriesAttributes });
+    if (dates.length === 0) {
+      return { error: 'The repeat settings do not produce any sessions', code: 'invalid' };
+    }
+
+    const booking = await resolveVenueBooking(bookingRequest, dates.map(occurrenceDate => ({ date: occurrenceDate, time })));
+    if (booking.error) {
+      return { error: booking.error, code: 'invalid' };
+    }
+
+    const sessions = await sequelize.transaction(async (transaction) => {
+      const series = await SessionSeries.create(seriesAttributes, { transaction });
+      return await Session.bulkCreate(dates.map(occurrenceDate => ({
+        ...attributes,
+        ...booking.values,
+        seriesId: series.id,
+        date: occurrenceDate
+      })), { transaction, validate: true });
+    });
+
+    for (const session of sessions) {
+      await events.publish('session.created', { session, actor: user });
+    }
+    return { sport, sessions, warnings: booking.warnings };
+  }
+
+  const booking = await resolveVenueBooking(bookingRequest, [{ date, time }]);
+  if (booking.error) {
+    return { error: booking.error, code: 'invalid' };
+  }
+
+  const session = await Session.create({ ...attributes, ...booking.values, date });
+  await events.publish('session.created', { session, actor: user });
+  return { sport, sessions: [session], warnings: booking.warnings };
+};
+
+// Applies a validated edit to the session and, by `body.scope`, the rest of
+// its series. Players hear about schedule changes and any freed slots go to
+// the waitlist. Resolves to { sessions, warnings }.
+const updateSessions = async (session, user, body) => {
+  const { sportId, date, time, playersNeeded } = body;
+  const durationMinutes = parseInt(body.durationMinutes) || session.durationMinutes;
+  const occurrences = await scopedOccurrences(session, body.scope);
+
+  // Moving one occurrence of a series moves the others by the same number
+  // of days, so "Sunday cricket" becomes "Saturday cricket" everywhere.
+  const dayShift = dayDifference(session.date, date);
+  const newDates = occurrences.map(occurrence => {
+    return occurrence.id === session.id ? date : shiftDate(occurrence.date, dayShift);
+  });
+  const schedulesBefore = occurrences.map(scheduleOf);
+
+  const booking = await resolveVenueBooking(
+    { ...body, durationMinutes, timeZone: body.timeZone || session.timeZone },
+    newDates.map(newDate => ({ date: newDate, time })),
+    occurrences.map(occurrence => occurrence.id)
+  );
+  if (booking.error) {
+    return { error: booking.error, code: 'invalid' };
+  }
+
+  // The headcount is checked under the row lock joins take, so none can
+  // land between the check and the update and leave the session overbooked
+  const rejection = await sequelize.transaction(async (transaction) => {
+    for (const occurrence of occurrences) {
+      await occurrence.lockForUpdate(transaction);
+      const headcount = await occurrence.countHeadcount({ transaction });
+      if (parseInt(playersNeeded) < headcount) {
+        return {
+          error: `Cannot reduce players needed below current joined count including guests (${headcount}) on ${occurrence.date}`,
+          code: 'invalid'
+        };
+      }
+    }
+
+    for (const [index, occurrence] of occurrences.entries()) {
+      await occurrence.update({
+        sportId: parseInt(sportId),
+        date: newDates[index],
+        time,
+        durationMinutes,
+        ...booking.values,
+        playersNeeded: parseInt(playersNeeded),
+        ...minimumPlayersOf(body),
+        ...accessOf(body),
+        ...skillRangeOf(body)
+      }, { transaction });
+
+      const changes = diffSchedules(schedulesBefore[index], scheduleOf(occurrence));
+      if (Object.keys(changes).length > 0) {
+        await audit.recordSessionUpdated({ session: occurrence, actor: user, changes }, { transaction });
+      }
+    }
+    return null;
+  });
+  if (rejection) return rejection;
+
+  for (const [index, occurrence] of occurrences.entries()) {
+    const changes = diffSchedules(schedulesBefore[index], scheduleOf(occurrence));
+    if (Object.keys(changes).length > 0) {
+      await events.publish('session.updated', { session: occurrence, actor: user, changes });
+    }
+
+    const promoted = await occurrence.promoteFromWaitlist();
+    for (const promotedUser of promoted) {
+      await events.publish('player.promoted', { session: occurrence, user: promotedUser });
+    }
+  }
+
+  return { sessions: occurrences, warnings: booking.warnings };
+};
+
+// Cancels the session and, by `scope`, the rest of its series. Resolves to
+// { sessions }.
+const cancelSessions = async (session, user, { reason, scope }) => {
+  const occurrences = await scopedOccurrences(session, scope);
+
+  await sequelize.transaction(async (transaction) => {
+    for (const occurrence of occurrences) {
+      await occurrence.cancelSession(reason, { transaction });
+      await audit.recordSessionCancelled({ session: occurrence, actor: user, reason }, { transaction });
+    }
+  });
+
+  for (const occurrence of occurrences) {
+    await events.publish('session.cancelled', { session: occurrence, actor: user, reason });
+  }
+
+  return { sessions: occurrences };
+};
+
+// Takes the user (and guests) into the session, onto its waitlist when it
+// is full, or sends the organizer a request when joining needs approval.
+// Resolves to { status: 'requested' | 'joined' | 'waitlisted', position,
+// availableSlots }, the slots being the count before joining.
+// Rules the models enforce while joining are thrown like elsewhere.
+const joinSession = async (session, user, { guests = 0 } = {}) => {
+  if (session.hasStarted()) {
+    return { error: 'Cannot join sessions that have already started', code: 'conflict' };
+  }
+  if (session.status === 'cancelled') {
+    return { error: 'Cannot join cancelled sessions', code: 'conflict' };
+  }
+  if (session.creatorId === user.id) {
+    return { error: 'You cannot join your own session', code: 'conflict' };
+  }
+  if (await session.hasUserJoined(user.id)) {
+    return { error: 'You have already joined this session', code: 'conflict' };
+  }
+
+  if (session.requiresApproval) {
+    await session.requestToJoin(user.id, { guests });
+    return { status: 'requested' };
+  }
+
+  // The reservation re-checks capacity under a lock, so slots taken since
+  // the count was read land the player on the waitlist instead.
+  const availableSlots = await session.getAvailableSlots();
+  const outcome = await session.reserveSlot(user.id, { guests });
+  if (outcome.status === 'joined') {
+    await events.publish('player.joined', { session, user });
+  }
+  return { ...outcome, availableSlots };
+};
+
+// Gives up the user's slot, waitlist place or pending join request.
+// Resolves to { status: 'left' | 'unwaitlisted' | 'withdrawn' }.
+const leaveSession = async (session, user) => {
+  const outcome = await session.releaseSlot(user.id);
+
+  if (outcome.status === 'unwaitlisted') {
+    return { status: 'unwaitlisted' };
+  }
+
+  if (outcome.status === 'not_joined') {
+    const withdrawn = await JoinRequest.destroy({
+      where: { sessionId: session.id, userId: user.id, status: 'pending' }
+    });
+    if (withdrawn > 0) {
+      return { status: 'withdrawn' };
+    }
+    return { error: 'You have not joined this session', code: 'conflict' };
+  }
+
+  await events.publish('player.left', { session, user });
+  for (const promotedUser of outcome.promoted) {
+    await events.publish('player.promoted', { session, user: promotedUser });
+  }
+  return { status: 'left' };
+};
+
+module.exports = {
+  SCOPES,
+  requestTimeZone,
+  createRules,
+  updateRules,
+  cancelRules,
+  checkCanEdit,
+  checkCanCancel,
+  createSessions,
+  updateSessions,
+  cancelSessions,
+  joinSession,
+  leaveSession
+};
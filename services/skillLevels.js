@@ -0,0 +1,43 @@
+// Skill levels shared by sessions and player profiles. Levels are stored as
+// ranks so a session can accept a range and a player's level can be
+// compared against it.
+const SKILL_LEVELS = [
+  { rank: 1, label: 'Beginner' },
+  { rank: 2, label: 'Intermediate' },
+  { rank: 3, label: 'Advanced' }
+];
+
+const MIN_RANK = SKILL_LEVELS[0].rank;
+const MAX_RANK = SKILL_LEVELS[SKILL_LEVELS.length - 1].rank;
+
+const isValidRank = (rank) => Number.isInteger(rank) && rank >= MIN_RANK && rank <= MAX_RANK;
+
+const labelFor = (rank) => {
+  const level = SKILL_LEVELS.find(candidate => candidate.rank === rank);
+  return level ? level.label : null;
+};
+
+// A missing bound leaves that end of the range open.
+const isInRange = (rank, min, max) => {
+  return (min === null || rank >= min) && (max === null || rank <= max);
+};
+
+// "Intermediate", "Beginner – Intermediate", "Intermediate and up", or null
+// when every level is welcome.
+const describeRange = (min, max) => {
+  if (min === null && max === null) return null;
+  if (min === max) return labelFor(min);
+  if (max === null) return `${labelFor(min)} and up`;
+  if (min === null) return `Up to ${labelFor(max)}`;
+  return `${labelFor(min)} – ${labelFor(max)}`;
+};
+
+module.exports = {
+  SKILL_LEVELS,
+  MIN_RANK,
+  MAX_RANK,
+  isValidRank,
+  labelFor,
+  isInRange,
+  describeRange
+};
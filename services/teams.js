@@ -0,0 +1,63 @@
+// Splits a session's players into teams. Each entry is a player's party,
+// { userId, size, rating }, where size counts the player and their guests
+// (who always play on the same team) and rating is the party's combined
+// strength, or 0 when splitting at random.
+const METHODS = ['random', 'skill', 'attendance'];
+
+const METHOD_LABELS = {
+  random: 'Random',
+  skill: 'Balanced by skill level',
+  attendance: 'Balanced by attendance history'
+};
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 8;
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Deals the strongest parties first, each to the team with the fewest
+// players and, among those, the lowest total rating. Returns a Map of user
+// id to team number, counting teams from 1.
+const splitIntoTeams = (entries, teamCount, { balanced = true, random = Math.random } = {}) => {
+  const order = balanced
+    ? [...entries].sort((a, b) => b.rating - a.rating || b.size - a.size)
+    : shuffle(entries, random);
+  const teams = Array.from({ length: teamCount }, (_, index) => ({ number: index + 1, size: 0, rating: 0 }));
+  const assignments = new Map();
+
+  order.forEach(entry => {
+    const team = teams.reduce((best, candidate) => {
+      if (candidate.size !== best.size) return candidate.size < best.size ? candidate : best;
+      return candidate.rating < best.rating ? candidate : best;
+    });
+    team.size += entry.size;
+    team.rating += entry.rating;
+    assignments.set(entry.userId, team.number);
+  });
+
+  return assignments;
+};
+
+// Players without a rating yet count as average so they neither weaken
+// nor strengthen the team they land on.
+const fillMissingRatings = (ratings) => {
+  const known = ratings.filter(rating => rating !== null);
+  const average = known.length > 0 ? known.reduce((sum, rating) => sum + rating, 0) / known.length : 0;
+  return ratings.map(rating => (rating === null ? average : rating));
+};
+
+module.exports = {
+  METHODS,
+  METHOD_LABELS,
+  MIN_TEAMS,
+  MAX_TEAMS,
+  splitIntoTeams,
+  fillMissingRatings
+};
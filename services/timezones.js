@@ -0,0 +1,102 @@
+// Helpers for working with wall-clock dates and times in IANA time zones.
+// Sessions store the local date and time they were scheduled for together
+// with the zone they happen in; these functions turn that into instants and
+// back, without relying on the server's own zone.
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Intl leaves out the plain UTC zone, which is the most common server default.
+const listTimeZones = () => ['UTC', ...Intl.supportedValuesOf('timeZone')];
+
+// Splits an instant into its wall-clock parts in the given zone.
+const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second)
+  };
+};
+
+const getOffsetMs = (instant, timeZone) => {
+  const { date, time, seconds } = getZonedParts(instant, timeZone);
+  const asUtc = Date.parse(`${date}T${time}:${String(seconds).padStart(2, '0')}Z`);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Converts a wall-clock date (YYYY-MM-DD) and time (HH:MM[:SS]) in the given
+// zone to a Date. The offset is checked twice so times next to a daylight
+// saving change resolve to the offset that actually applies then.
+const zonedTimeToDate = (date, time, timeZone = DEFAULT_TIME_ZONE) => {
+  const wallClock = Date.parse(`${date}T${String(time).slice(0, 8).padEnd(8, ':00')}Z`);
+  const firstGuess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  const offset = getOffsetMs(new Date(firstGuess), timeZone);
+  return new Date(wallClock - offset);
+};
+
+const todayInZone = (timeZone = DEFAULT_TIME_ZONE, now = new Date()) => {
+  return getZonedParts(now, timeZone).date;
+};
+
+// The earliest stored date that can still belong to an unfinished session:
+// yesterday in the zone furthest behind UTC, so sessions that started late
+// and run past midnight are included. Callers filter precisely afterwards.
+const earliestUnfinishedDate = (now = new Date()) => {
+  return todayInZone('Etc/GMT+12', new Date(now.getTime() - 24 * 60 * 60 * 1000));
+};
+
+const formatDate = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  return instant.toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+const formatTime = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  return getZonedParts(instant, timeZone).time;
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  listTimeZones,
+  getZonedParts,
+  zonedTimeToDate,
+  todayInZone,
+  earliestUnfinishedDate,
+  formatDate,
+  formatTime
+};
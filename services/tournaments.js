@@ -0,0 +1,127 @@
+// Bracket and scheduling helpers for tournaments. Like services/leagues.js
+// they work on plain ids and times so they can be used without the
+// database; round robins reuse the league pairings and standings.
+const { roundRobin, buildStandings, POINTS } = require('./leagues');
+
+const FORMATS = ['knockout', 'round_robin'];
+
+const FORMAT_LABELS = {
+  knockout: 'Knockout',
+  round_robin: 'Round robin'
+};
+
+const MIN_ENTRANTS = 2;
+const MAX_ENTRANTS = 64;
+
+// Bracket positions for seeds 1..size so the top seeds only meet in the
+// late rounds: [1, 8, 4, 5, 2, 7, 3, 6] for eight.
+const seedOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+};
+
+// First-round pairs for entrant ids listed by seed, padded with byes (null)
+// up to the next power of two. Byes go to the top seeds and never face each
+// other.
+const knockoutDraw = (entrantIds) => {
+  let size = 2;
+  while (size < entrantIds.length) size *= 2;
+
+  const slots = seedOrder(size).map(seed => entrantIds[seed - 1] || null);
+  const pairs = [];
+  for (let i = 0; i < slots.length; i += 2) {
+    pairs.push([slots[i], slots[i + 1]]);
+  }
+  return pairs;
+};
+
+const knockoutRoundCount = (entrantCount) => Math.max(1, Math.ceil(Math.log2(entrantCount)));
+
+// Where the winner of a knockout match plays next: the match at half its
+// position in the following round, at home when coming from an even one.
+const nextMatchOf = (position) => ({
+  position: Math.floor(position / 2),
+  side: position % 2 === 0 ? 'home' : 'away'
+});
+
+const roundName = (round, roundCount, format = 'knockout') => {
+  if (format === 'knockout') {
+    const fromEnd = roundCount - round;
+    if (fromEnd === 0) return 'Final';
+    if (fromEnd === 1) return 'Semi-finals';
+    if (fromEnd === 2) return 'Quarter-finals';
+  }
+  return `Round ${round}`;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Parses "10:00, 11:30" into sorted HH:MM strings. Returns null when any
+// entry is not a valid time.
+const parseTimeSlots = (value) => {
+  const times = String(value || '').split(/[\s,]+/).filter(Boolean);
+  if (times.length === 0 || !times.every(time => /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time))) {
+    return null;
+  }
+  const padded = times.map(time => time.padStart(5, '0'));
+  return [...new Set(padded)].sort();
+};
+
+// Spreads each round's matches over `slots` ({ time, venue, court }
+// sorted by time), one match per slot. A court only takes a match once the
+// one before it has finished, and a round only starts once every game of
+// the previous round has finished, so winners are known before they play
+// again. Returns the slots picked for each round, or throws when they run
+// out.
+const allocateSlots = (matchCounts, slots, durationMinutes) => {
+  const courtOf = (slot) => (slot.venue && slot.court ? `${slot.venue.id}:${slot.court}` : null);
+  const taken = [];
+  const isFree = (slot) => {
+    const court = courtOf(slot);
+    return !court || !taken.some(other => {
+      return courtOf(other) === court && Math.abs(toMinutes(other.time) - toMinutes(slot.time)) < durationMinutes;
+    });
+  };
+
+  let readyAt = 0;
+  return matchCounts.map((count, index) => {
+    const picked = [];
+    for (const slot of slots) {
+      if (picked.length === count) break;
+      if (toMinutes(slot.time) >= readyAt && isFree(slot)) {
+        picked.push(slot);
+        taken.push(slot);
+      }
+    }
+    if (picked.length < count) {
+      throw new Error(`Not enough free courts and time slots for round ${index + 1}: add more times or venues`);
+    }
+    if (picked.length > 0) readyAt = Math.max(...picked.map(slot => toMinutes(slot.time))) + durationMinutes;
+    return picked;
+  });
+};
+
+module.exports = {
+  FORMATS,
+  FORMAT_LABELS,
+  MIN_ENTRANTS,
+  MAX_ENTRANTS,
+  POINTS,
+  seedOrder,
+  knockoutDraw,
+  knockoutRoundCount,
+  nextMatchOf,
+  roundName,
+  toMinutes,
+  parseTimeSlots,
+  allocateSlots,
+  roundRobin,
+  buildStandings
+};
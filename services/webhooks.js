@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Session, Webhook, WebhookDelivery } = require('../models');
+const { serializeSession, serializeUser } = require('./serializers');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BATCH_SIZE = 50;
+const USER_AGENT = 'SportsScheduler-Webhooks/1';
+
+// Internal events and the webhook event each is delivered as. A waitlist
+// promotion is a player joining as far as a receiver is concerned.
+const EVENT_SOURCES = {
+  'session.created': 'session.created',
+  'session.updated': 'session.updated',
+  'session.cancelled': 'session.cancelled',
+  'player.joined': 'player.joined',
+  'player.promoted': 'player.joined',
+  'player.left': 'player.left'
+};
+
+// Receivers check the X-Webhook-Signature header by computing the same HMAC
+// over "<X-Webhook-Timestamp>.<raw body>" with their copy of the secret.
+const sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const buildPayload = async (event, { session, actor = null, user = null, changes, reason }, now) => {
+  const loaded = await Session.findByPk(session.id, { include: ['sport', 'creator', 'players'] });
+  const data = { session: serializeSession(loaded), actor: serializeUser(actor) };
+
+  if (user) data.player = serializeUser(user);
+  if (changes) data.changes = changes;
+  if (reason) data.reason = reason;
+
+  return { event, occurredAt: now.toISOString(), data };
+};
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Logs a delivery for every active webhook subscribed to the event. When the
+// worker is running they go out straight away; otherwise on the next pass.
+const enqueue = async (event, details, now = new Date()) => {
+  const webhooks = await Webhook.findAll({
+    where: { active: true, eventTypes: { [Op.contains]: [event] } }
+  });
+  if (webhooks.length === 0) return [];
+
+  const payload = await buildPayload(event, details, now);
+  const deliveries = await WebhookDelivery.bulkCreate(webhooks.map(webhook => ({
+    webhookId: webhook.id,
+    event,
+    payload,
+    nextAttemptAt: now
+  })));
+
+  if (timer) tick();
+  return deliveries;
+};
+
+// POSTs the delivery's payload once and records how it went
+const attempt = async (delivery, now = new Date()) => {
+  const { webhook } = delivery;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const responseBody = await response.text();
+
+    await delivery.recordAttempt({
+      responseStatus: response.status,
+      responseBody,
+      error: response.ok ? null : `Endpoint answered ${response.status}`
+    }, now);
+  } catch (error) {
+    await delivery.recordAttempt({ error: error.cause ? `${error.message}: ${error.cause.message}` : error.message }, now);
+  }
+  return delivery;
+};
+
+// Sends every pending delivery that is due; `now` is injectable for tests.
+const deliverDue = async (now = new Date()) => {
+  const deliveries = await WebhookDelivery.findAll({
+    where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+    include: [{ model: Webhook, as: 'webhook', where: { active: true } }],
+    order: [['id', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  for (const delivery of deliveries) {
+    await attempt(delivery, now);
+  }
+  return deliveries;
+};
+
+// Sends a delivery again straight away with a fresh set of attempts, for
+// the Retry button on the delivery log. Needs its webhook loaded.
+const redeliver = async (delivery, now = new Date()) => {
+  await delivery.retry(now);
+  return await attempt(delivery, now);
+};
+
+// One worker pass. Events arriving mid-pass ask for another straight after,
+// so a new delivery never waits for the interval.
+const tick = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      const deliveries = await deliverDue();
+      const failed = deliveries.filter(delivery => delivery.status !== 'succeeded');
+      if (failed.length > 0) {
+        console.log(`Webhooks: ${deliveries.length - failed.length} delivered, ${failed.length} failed`);
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Retries run on an interval inside the app process, like the session
+// lifecycle job; the timer does not keep the process alive on shutdown.
+const start = ({ intervalSeconds = DEFAULT_INTERVAL_SECONDS } = {}) => {
+  if (timer || !(intervalSeconds > 0)) return;
+
+  timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+const subscribe = (events) => {
+  Object.entries(EVENT_SOURCES).forEach(([source, event]) => {
+    events.on(source, (details) => enqueue(event, details));
+  });
+};
+
+module.exports = {
+  sign,
+  enqueue,
+  deliverDue,
+  redeliver,
+  start,
+  stop,
+  subscribe
+};